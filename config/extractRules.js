@@ -0,0 +1,67 @@
+// 본문 추출 도메인별 규칙 - services/extractService.js 가 사용
+// 규칙이 없거나 선택자가 빈 결과면 readability 방식 점수 추출로 폴백한다.
+//
+// 필드 (모두 선택, CSS 선택자)
+//   content : 본문 컨테이너 (여러 개면 순서대로 시도)
+//   byline  : 기자명
+//   remove  : 본문 안에서 제거할 요소 (광고, 관련기사 등)
+const extractRules = {
+  'yna.co.kr': {
+    content: ['article.story-news', '.story-news.article', '#articleWrap .article-txt'],
+    byline: ['.writer-zone .tit-name', '.writer-zone01 .tit-name'],
+    remove: ['.writer-zone', '.article-ad-box', '.related-zone', '.copyright'],
+  },
+  'nhk.or.jp': {
+    content: ['#news_textbody, #news_textmore, .news_add', '.content--detail-body', '.module--detail-content'],
+    remove: ['.content--share', '.module--share'],
+  },
+  'bbc.com': {
+    content: ['article [data-component="text-block"]', 'article'],
+    byline: ['[data-testid="byline-new-contributors"] span', '[data-component="byline-block"]'],
+    remove: ['[data-component="links-block"]', '[data-component="related-internet-links"]', 'figure figcaption'],
+  },
+  'bbc.co.uk': {
+    content: ['article [data-component="text-block"]', 'article'],
+    byline: ['[data-component="byline-block"]'],
+    remove: ['[data-component="links-block"]'],
+  },
+  'cnn.com': {
+    content: ['.article__content', '.zn-body__paragraph'],
+    byline: ['.byline__names', '.metadata__byline__author'],
+  },
+  'reuters.com': {
+    content: ['[data-testid="ArticleBody"]', '.article-body__content'],
+    byline: ['[data-testid="AuthorByline"]'],
+  },
+  'theguardian.com': {
+    content: ['[data-gu-name="body"]', '.article-body-commercial-selector'],
+    byline: ['[rel="author"]'],
+  },
+  'aljazeera.com': {
+    content: ['.wysiwyg--all-content', '#main-content-area'],
+    byline: ['.article-author-name-item a'],
+  },
+  'japantimes.co.jp': {
+    content: ['.article-body', '#jtarticle'],
+    byline: ['.author-name'],
+  },
+  'joongang.co.kr': {
+    content: ['#article_body'],
+    byline: ['.byline'],
+    remove: ['.ab_photo figcaption', '.ab_related_article'],
+  },
+  'hankyung.com': {
+    content: ['#articletxt', '.article-body'],
+    byline: ['.author'],
+  },
+  'khan.co.kr': {
+    content: ['#articleBody', '.art_body'],
+    byline: ['.byline'],
+  },
+  'chosun.com': {
+    content: ['.article-body'],
+    byline: ['.article-byline__author'],
+  },
+};
+
+module.exports = { extractRules };
@@ -1,45 +1,70 @@
-// RSS 소스 설정 - 안정적이고 신뢰할 수 있는 뉴스 피드들
-const rssSources = {
-  world: [
-    { name: 'BBC World', url: 'https://feeds.bbci.co.uk/news/world/rss.xml' },
-    { name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml' },
-    { name: 'NPR World', url: 'https://feeds.npr.org/1004/rss.xml' },
-    { name: 'The Guardian World', url: 'https://www.theguardian.com/world/rss' },
-    { name: 'ABC News International', url: 'https://abcnews.go.com/abcnews/internationalheadlines/rss' },
-    // 기존 소스들 (페일오버용)
-    { name: 'Reuters World', url: 'https://feeds.reuters.com/reuters/worldNews' },
-    { name: 'CNN World', url: 'http://rss.cnn.com/rss/edition_world.rss' }
-  ],
-  korea: [
-    { name: 'Yonhap News', url: 'https://www.yna.co.kr/rss/news.xml' },
-    { name: 'Kyunghyang', url: 'http://www.khan.co.kr/rss/rssdata/total_news.xml' },
-    { name: 'Hankyung', url: 'https://rss.hankyung.com/news/economy.xml' },
-    // 추가 대체 소스
-    { name: 'Chosun Ilbo', url: 'https://www.chosun.com/arc/outboundfeeds/rss/?outputType=xml' }
-  ],
-  japan: [
-    { name: 'NHK World', url: 'https://www3.nhk.or.jp/rss/news/cat0.xml' },
-    { name: 'Japan Times', url: 'https://www.japantimes.co.jp/feed/' },
-    { name: 'Kyodo News', url: 'https://english.kyodonews.net/rss/all.xml' }
-  ],
-  tech: [
-    { name: 'TechCrunch', url: 'https://techcrunch.com/feed/' },
-    { name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index' },
-    { name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml' },
-    { name: 'Wired', url: 'https://www.wired.com/feed/rss' }
-  ],
-  business: [
-    { name: 'Reuters Business', url: 'https://feeds.reuters.com/reuters/businessNews' },
-    { name: 'Bloomberg', url: 'https://feeds.bloomberg.com/markets/news.rss' },
-    { name: 'Financial Times', url: 'https://www.ft.com/rss/home' },
-    { name: 'Wall Street Journal', url: 'https://feeds.a.dj.com/rss/RSSWorldNews.xml' }
-  ],
-  buzz: [
-    { name: 'BBC Trending', url: 'https://feeds.bbci.co.uk/news/technology/rss.xml' },
-    { name: 'Buzzfeed News', url: 'https://www.buzzfeednews.com/news.xml' },
-    { name: 'Vice News', url: 'https://www.vice.com/en/rss' }
-  ]
-};
+// RSS 소스 카탈로그 - NewsService, worldSafe, services/rss/* 가 공통으로 읽는 단일 목록
+// 로더/검증: services/rss/catalog.js (POST /api/admin/sources/reload 로 재시작 없이 반영)
+//
+// 필드
+//   id        : 고유 키 (영문 소문자, 숫자, '-')
+//   name      : 표시용 매체명 (기사 source 로 사용)
+//   url       : 피드 URL (http/https)
+//   sections  : 노출 섹션 목록 (world, kr, japan, buzz, tech, business / 'korea' 는 'kr' 별칭)
+//   lang      : 기본 언어 (ISO 639-1)
+//   country   : 매체 국가 (ISO 3166-1 alpha-2)
+//   trust     : 신뢰 가중치 1~5 (랭킹 s 점수)
+//   phase     : 빠른 길 단계 (1 = 즉시 응답, 2 = 백필)
+//   priority  : 섹션 내 호출 순서 (작을수록 먼저, 기본 100)
+//   enabled   : false 면 파이프라인에서 제외
+const rssSources = [
+  // ---- world ----
+  { id: 'bbc-world', name: 'BBC World', url: 'https://feeds.bbci.co.uk/news/world/rss.xml', sections: ['world'], lang: 'en', country: 'GB', trust: 5, phase: 1, priority: 10, enabled: true },
+  { id: 'aljazeera', name: 'Al Jazeera', url: 'https://www.aljazeera.com/xml/rss/all.xml', sections: ['world'], lang: 'en', country: 'QA', trust: 4, phase: 1, priority: 20, enabled: true },
+  { id: 'npr-world', name: 'NPR World', url: 'https://feeds.npr.org/1004/rss.xml', sections: ['world'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 30, enabled: true },
+  { id: 'guardian-world', name: 'The Guardian World', url: 'https://www.theguardian.com/world/rss', sections: ['world'], lang: 'en', country: 'GB', trust: 4, phase: 2, priority: 40, enabled: true },
+  { id: 'dw-all', name: 'Deutsche Welle', url: 'https://rss.dw.com/rdf/rss-en-all', sections: ['world'], lang: 'en', country: 'DE', trust: 4, phase: 2, priority: 50, enabled: true },
+  { id: 'abc-intl', name: 'ABC News International', url: 'https://abcnews.go.com/abcnews/internationalheadlines/rss', sections: ['world'], lang: 'en', country: 'US', trust: 3, phase: 2, priority: 60, enabled: true },
+  // 기존 소스들 (페일오버용)
+  { id: 'reuters-world', name: 'Reuters World', url: 'https://feeds.reuters.com/reuters/worldNews', sections: ['world'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 70, enabled: true },
+  { id: 'reuters-world-alt', name: 'Reuters World', url: 'https://www.reuters.com/markets/world/rss', sections: ['world'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 71, enabled: true },
+  { id: 'cnn-world', name: 'CNN World', url: 'http://rss.cnn.com/rss/edition_world.rss', sections: ['world'], lang: 'en', country: 'US', trust: 4, phase: 2, priority: 80, enabled: true },
+  { id: 'reuters-top', name: 'Reuters Top News', url: 'https://feeds.reuters.com/reuters/topNews', sections: ['world', 'buzz'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 90, enabled: true },
 
-module.exports = { rssSources };
+  // ---- kr ----
+  { id: 'yonhap', name: '연합뉴스', url: 'https://www.yna.co.kr/rss/news.xml', sections: ['kr'], lang: 'ko', country: 'KR', trust: 4, phase: 1, priority: 10, enabled: true },
+  { id: 'joongang', name: '중앙일보', url: 'https://rss.joins.com/joins_news_list.xml', sections: ['kr'], lang: 'ko', country: 'KR', trust: 3, phase: 1, priority: 20, enabled: true },
+  { id: 'hankyung-economy', name: '한국경제', url: 'https://rss.hankyung.com/feed/economy.xml', sections: ['kr'], lang: 'ko', country: 'KR', trust: 3, phase: 2, priority: 30, enabled: true },
+  { id: 'kyunghyang', name: '경향신문', url: 'http://www.khan.co.kr/rss/rssdata/total_news.xml', sections: ['kr'], lang: 'ko', country: 'KR', trust: 3, phase: 2, priority: 40, enabled: true },
+  // 추가 대체 소스
+  { id: 'chosun', name: '조선일보', url: 'https://www.chosun.com/arc/outboundfeeds/rss/?outputType=xml', sections: ['kr'], lang: 'ko', country: 'KR', trust: 3, phase: 2, priority: 50, enabled: true },
+
+  // ---- japan ----
+  { id: 'nhk-news', name: 'NHK News', url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', sections: ['japan'], lang: 'ja', country: 'JP', trust: 5, phase: 1, priority: 10, enabled: true },
+  { id: 'japan-times', name: 'Japan Times', url: 'https://www.japantimes.co.jp/feed/', sections: ['japan'], lang: 'en', country: 'JP', trust: 4, phase: 1, priority: 20, enabled: true },
+  { id: 'kyodo', name: 'Kyodo News', url: 'https://english.kyodonews.net/rss/all.xml', sections: ['japan'], lang: 'en', country: 'JP', trust: 4, phase: 1, priority: 30, enabled: true },
+  { id: 'reuters-japan', name: 'Reuters Japan', url: 'https://feeds.reuters.com/reuters/JPDomesticNews', sections: ['japan'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 40, enabled: true },
+
+  // ---- tech ----
+  { id: 'techcrunch', name: 'TechCrunch', url: 'https://techcrunch.com/feed/', sections: ['tech'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 10, enabled: true },
+  { id: 'ars-technica', name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index', sections: ['tech'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 20, enabled: true },
+  { id: 'the-verge', name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml', sections: ['tech'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 30, enabled: true },
+  { id: 'wired', name: 'Wired', url: 'https://www.wired.com/feed/rss', sections: ['tech'], lang: 'en', country: 'US', trust: 4, phase: 2, priority: 40, enabled: true },
+  { id: 'cnn-tech', name: 'CNN Tech', url: 'https://rss.cnn.com/rss/edition_technology.rss', sections: ['tech'], lang: 'en', country: 'US', trust: 4, phase: 2, priority: 50, enabled: true },
+  { id: 'venturebeat', name: 'VentureBeat', url: 'https://feeds.feedburner.com/venturebeat/SZYF', sections: ['tech'], lang: 'en', country: 'US', trust: 3, phase: 2, priority: 60, enabled: true },
+  { id: 'oreilly-radar', name: 'O\'Reilly Radar', url: 'https://feeds.feedburner.com/oreilly/radar', sections: ['tech'], lang: 'en', country: 'US', trust: 3, phase: 2, priority: 70, enabled: true },
+  { id: 'reuters-tech', name: 'Reuters Tech', url: 'https://feeds.reuters.com/reuters/technologyNews', sections: ['tech'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 80, enabled: true },
 
+  // ---- business ----
+  { id: 'bbc-business', name: 'BBC Business', url: 'https://feeds.bbci.co.uk/news/business/rss.xml', sections: ['business'], lang: 'en', country: 'GB', trust: 5, phase: 1, priority: 10, enabled: true },
+  { id: 'bloomberg-markets', name: 'Bloomberg Markets', url: 'https://feeds.bloomberg.com/markets/news.rss', sections: ['business'], lang: 'en', country: 'US', trust: 5, phase: 1, priority: 20, enabled: true },
+  { id: 'cnn-business', name: 'CNN Business', url: 'http://rss.cnn.com/rss/money_latest.rss', sections: ['business'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 30, enabled: true },
+  { id: 'ft-home', name: 'Financial Times', url: 'https://www.ft.com/rss/home', sections: ['business'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 40, enabled: true },
+  { id: 'wsj-world', name: 'Wall Street Journal', url: 'https://feeds.a.dj.com/rss/RSSWorldNews.xml', sections: ['business'], lang: 'en', country: 'US', trust: 5, phase: 2, priority: 50, enabled: true },
+  { id: 'reuters-business', name: 'Reuters Business', url: 'https://feeds.reuters.com/reuters/businessNews', sections: ['business'], lang: 'en', country: 'GB', trust: 5, phase: 2, priority: 60, enabled: true },
+
+  // ---- buzz ----
+  { id: 'bbc-news', name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/rss.xml', sections: ['buzz'], lang: 'en', country: 'GB', trust: 5, phase: 1, priority: 10, enabled: true },
+  { id: 'cnn-top', name: 'CNN Top', url: 'http://rss.cnn.com/rss/edition.rss', sections: ['buzz'], lang: 'en', country: 'US', trust: 4, phase: 1, priority: 20, enabled: true },
+  { id: 'bbc-trending', name: 'BBC Trending', url: 'https://feeds.bbci.co.uk/news/technology/rss.xml', sections: ['buzz'], lang: 'en', country: 'GB', trust: 4, phase: 1, priority: 30, enabled: true },
+  { id: 'vice-news', name: 'Vice News', url: 'https://www.vice.com/en/rss', sections: ['buzz'], lang: 'en', country: 'US', trust: 2, phase: 2, priority: 40, enabled: true },
+  // 2023년 서비스 종료 - 피드 응답 없음
+  { id: 'buzzfeed-news', name: 'Buzzfeed News', url: 'https://www.buzzfeednews.com/news.xml', sections: ['buzz'], lang: 'en', country: 'US', trust: 2, phase: 2, priority: 50, enabled: false },
+];
+
+module.exports = { rssSources };
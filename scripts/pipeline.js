@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// scripts/pipeline.js - 섹션 수집 파이프라인(_getFast → _getFull)을 한 번 돌려 결과 요약 출력
+//   node scripts/pipeline.js --record [section ...]  실제 상류 응답을 fixtures/http 에 녹화
+//   node scripts/pipeline.js --replay [section ...]  네트워크 없이 녹화본으로 실행 (CI)
+// 재생 시에도 API 키 환경변수는 녹화 때와 같은 어댑터가 켜지도록 아무 값이나 설정해 둔다
+// (픽스처 키에서 API 키는 가려져 있으므로 실제 값일 필요는 없음)
+// 재생은 녹화 시각으로 시계를 맞춰 돌리고, 기사가 0건인 섹션이 있으면 실패(exit 1) - npm test 에서 사용
+const args = process.argv.slice(2);
+if (args.includes('--record')) process.env.HTTP_FIXTURES = 'record';
+if (args.includes('--replay')) process.env.HTTP_FIXTURES = 'replay';
+process.env.SOCIAL_SIGNAL_PROVIDER = process.env.SOCIAL_SIGNAL_PROVIDER || 'off';
+// 재생 결과가 이전 실행의 보관소(AI 결과 등)에 좌우되지 않도록
+if (process.env.HTTP_FIXTURES === 'replay') process.env.ARCHIVE_DB_PATH = process.env.ARCHIVE_DB_PATH || 'off';
+
+require('dotenv').config();
+const { fixturesRecordedAt } = require('../services/rss/httpRecorder');
+
+// Date.now()/new Date() 를 녹화 시각 기준으로 옮김 (흐르는 시간은 그대로)
+function pinClock(atMs) {
+  const RealDate = Date;
+  const offset = atMs - RealDate.now();
+  global.Date = class extends RealDate {
+    constructor(...a) { super(...(a.length ? a : [RealDate.now() + offset])); }
+    static now() { return RealDate.now() + offset; }
+  };
+}
+
+if (process.env.HTTP_FIXTURES === 'replay') {
+  const recordedAt = fixturesRecordedAt();
+  if (recordedAt) pinClock(recordedAt);
+}
+
+const NewsService = require('../services/newsService');
+
+async function main() {
+  const newsService = new NewsService();
+  const requested = args.filter(a => !a.startsWith('--'));
+  const sections = requested.length ? requested : newsService.getSections();
+  let failed = 0;
+
+  console.log(`HTTP fixtures: ${process.env.HTTP_FIXTURES || 'off'} (clock: ${new Date().toISOString()})`);
+  for (const section of sections) {
+    try {
+      const fast = await newsService.getSectionFast(section);
+      const full = await newsService.getSectionFull(section);
+      const sources = Array.from(new Set(full.data.map(a => a.source))).length;
+      console.log(`${section.padEnd(10)} fast=${String(fast.total).padStart(3)} full=${String(full.total).padStart(3)} sources=${sources}`);
+      if (!full.total) { failed++; console.error(`${section.padEnd(10)} failed: no articles`); }
+    } catch (e) {
+      failed++;
+      console.error(`${section.padEnd(10)} failed: ${e.message}`);
+    }
+  }
+  return failed;
+}
+
+main()
+  .then(failed => process.exit(failed ? 1 : 0))
+  .catch(e => { console.error(e); process.exit(1); });
@@ -8,8 +8,17 @@ const compression = require('compression');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
+const { requireAdmin } = require('./utils/adminAuth');
 const NewsService = require('./services/newsService');
 const AIService = require('./services/aiService');
+const CacheService = require('./services/cacheService');
+const ExtractService = require('./services/extractService');
+const ImageService = require('./services/imageService');
+const IngestScheduler = require('./services/ingestScheduler');
+const rssCatalog = require('./services/rss/catalog');
+const feedDiscovery = require('./services/rss/discovery');
+const { isPrivateHostError } = require('./services/rss/hostGuard');
+const opml = require('./services/rss/opml');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -19,8 +28,16 @@ const PORT = process.env.PORT || 8080;
 app.set('trust proxy', true); // Railway 프록시 환경에서 X-Forwarded-For 헤더 신뢰
 
 // Initialize services
-const newsService = new NewsService();
-const aiService = new AIService();
+rssCatalog.reloadCatalog(); // 시작 시 소스 카탈로그 검증 (오류 항목은 제외 후 로그)
+const cache = CacheService.shared(); // 프로세스에 Redis 연결 하나 - 모든 서비스에 전달
+const newsService = new NewsService({ cache });
+const aiService = new AIService({ cache });
+const extractService = new ExtractService({ cache });
+const imageService = new ImageService({ cache });
+
+// 백그라운드 수집: 켜져 있으면 섹션 라우트는 저장된 스냅샷만 읽음 (INGEST_SCHEDULER=false 면 요청 시 수집)
+const ingestScheduler = new IngestScheduler({ newsService, cache });
+if (process.env.INGEST_SCHEDULER !== 'false') newsService.attachScheduler(ingestScheduler);
 
 // 2) rate-limit: 표준 헤더만 사용하고, proxy 신뢰 기반 IP 추출
 const limiter = rateLimit({
@@ -67,6 +84,16 @@ app.use('/api', (req, res, next) => {
 
 app.use('/api/', limiter);
 
+// 원문을 가져오거나 AI 호출을 하는 라우트(/api/extract, /api/image, /api/summarize)는 IP 당 더 낮은 한도
+const expensiveLimiter = rateLimit({
+  windowMs: Number(process.env.RATE_WINDOW_MS ?? 60_000),
+  limit: Number(process.env.EXPENSIVE_RATE_LIMIT ?? 20),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.ip,
+  message: 'Too many requests, please try again later.'
+});
+
 // Static files with proper caching
 app.use(express.static(path.join(__dirname, 'public'), {
   maxAge: '1y',
@@ -95,6 +122,89 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Article URL for server-side fetches: only articles the service knows (no open fetch proxy)
+async function articleUrl(section, id) {
+  if (!section || !id) return null;
+  const article = await newsService.getArticleById(section, id);
+  return article ? (article.link || article.originalUrl || null) : null;
+}
+
+// Full-text extraction endpoint (registered before /api/:section, which would shadow it)
+app.get('/api/extract', expensiveLimiter, async (req, res) => {
+  try {
+    const { section, id, lang, force } = req.query;
+    
+    if (!section || !id) {
+      return res.status(400).json({
+        success: false,
+        error: 'section and id query parameters are required'
+      });
+    }
+    
+    const url = await articleUrl(section, id);
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+    
+    const result = await extractService.extract(url, { lang, force: force === 'true' });
+    if (!result) {
+      return res.status(422).json({
+        success: false,
+        error: 'Could not extract article text'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`API Error - /api/extract: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Extraction failed'
+    });
+  }
+});
+
+// Lazy og:image lookup for cards without a source image (registered before /api/:section)
+app.get('/api/image', expensiveLimiter, async (req, res) => {
+  try {
+    const { section, id } = req.query;
+    
+    if (!section || !id) {
+      return res.status(400).json({
+        success: false,
+        error: 'section and id query parameters are required'
+      });
+    }
+    
+    const url = await articleUrl(section, id);
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+    
+    const image = await imageService.resolveOgImage(url);
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      success: true,
+      data: image
+    });
+  } catch (error) {
+    logger.error(`API Error - /api/image: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Image lookup failed'
+    });
+  }
+});
+
 // Main news endpoint
 
 // New NewsService API Routes (빠른 로딩)
@@ -147,6 +257,31 @@ app.get('/api/:section', async (req, res) => {
   }
 });
 
+// 여러 매체가 함께 다룬 사건(스토리) 목록
+app.get('/api/stories/:section', async (req, res) => {
+  try {
+    const { section } = req.params;
+    const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
+
+    if (!validSections.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid section. Must be one of: ${validSections.join(', ')}`
+      });
+    }
+
+    const result = await newsService.getStories(section);
+    res.json(result);
+  } catch (error) {
+    logger.error(`API Error - /api/stories/${req.params.section}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stories',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // 4) 다운 방지용 fail-open 월드뉴스 라우트 (기존 호환성)
 const { worldHandler } = require('./services/news/worldSafe');
 app.get('/api/news/world', worldHandler); // 기존 동일 경로가 있어도 이 라인이 먼저면 우선 적용됨
@@ -209,6 +344,60 @@ app.get('/api/article/:section/:id', async (req, res) => {
   }
 });
 
+// Archived article with section/ranking history (SQLite archive)
+app.get('/api/archive/article/:id', (req, res) => {
+  try {
+    const archived = newsService.getArchivedArticle(req.params.id);
+    if (!archived) {
+      return res.status(newsService.archive ? 404 : 503).json({
+        success: false,
+        error: newsService.archive ? 'Article not found' : 'Archive is disabled'
+      });
+    }
+    res.json({ success: true, data: archived });
+  } catch (error) {
+    logger.error(`API Error - /api/archive/article/${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch archived article'
+    });
+  }
+});
+
+// Archived articles beyond the live 12-hour window (?from=&to=&q=&limit=&offset=)
+app.get('/api/archive/:section', (req, res) => {
+  try {
+    const { section } = req.params;
+    const { from, to, q, limit = 30, offset = 0 } = req.query;
+    const validSections = ['world', 'kr', 'korea', 'japan', 'buzz', 'tech', 'business'];
+
+    if (!validSections.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid section. Must be one of: ${validSections.join(', ')}`
+      });
+    }
+    if ([from, to].some(d => d && isNaN(new Date(d).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from/to must be ISO dates'
+      });
+    }
+
+    const result = newsService.getArchive(section, { from, to, q, limit: parseInt(limit) || 30, offset: parseInt(offset) || 0 });
+    if (!result) {
+      return res.status(503).json({ success: false, error: 'Archive is disabled' });
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error(`API Error - /api/archive/${req.params.section}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch archive'
+    });
+  }
+});
+
 // Search endpoint
 app.get('/api/search', async (req, res) => {
   try {
@@ -275,18 +464,24 @@ app.post('/api/translate', async (req, res) => {
 });
 
 // AI Summary endpoint
-app.post('/api/summarize', async (req, res) => {
+const SUMMARY_MAX_CHARS = 8000; // 추출 본문을 AI 에 넘길 때 상한
+app.post('/api/summarize', expensiveLimiter, async (req, res) => {
   try {
-    const { text, maxPoints = 5, detailed = false } = req.body;
+    const { text, section, id, lang, maxPoints = 5, detailed = false } = req.body;
     
-    if (!text || text.trim() === '') {
+    // section/id 로 알려진 기사면 원문 본문을 추출해 요약 (실패 시 text 로 폴백)
+    const url = await articleUrl(section, id);
+    const extraction = url ? await extractService.extract(url, { lang }) : null;
+    const source = extraction ? extraction.text.slice(0, SUMMARY_MAX_CHARS) : text;
+    
+    if (!source || source.trim() === '') {
       return res.status(400).json({
         success: false,
         error: 'Text is required'
       });
     }
     
-    const result = await aiService.summarize(text, { detailed });
+    const result = await aiService.summarize(source, { detailed });
     const summary = result.success ? result.data.summary : 'Failed to generate summary';
     
     res.json({
@@ -294,7 +489,14 @@ app.post('/api/summarize', async (req, res) => {
       data: {
         summary: summary,
         points: Array.isArray(summary) ? summary.length : 1,
-        detailed: detailed
+        detailed: detailed,
+        basedOn: extraction ? 'fulltext' : 'text',
+        extraction: extraction && {
+          byline: extraction.byline,
+          wordCount: extraction.wordCount,
+          leadImage: extraction.leadImage,
+          text: extraction.text
+        }
       }
     });
   } catch (error) {
@@ -343,6 +545,188 @@ app.post('/api/cache/clear', async (req, res) => {
   }
 });
 
+// Per-source health and circuit breaker state
+app.get('/api/sources/health', async (req, res) => {
+  try {
+    const sources = await newsService.getSourceHealth();
+    res.json({
+      success: true,
+      data: {
+        total: sources.length,
+        open: sources.filter(s => s.circuit !== 'closed').length,
+        sources
+      }
+    });
+  } catch (error) {
+    logger.error('API Error - /api/sources/health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch source health'
+    });
+  }
+});
+
+// Admin API: every /api/admin/* route needs ADMIN_TOKEN (X-Admin-Token or Authorization: Bearer)
+app.use('/api/admin', requireAdmin());
+
+// RSS source catalog
+app.get('/api/admin/sources', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      status: rssCatalog.getCatalogStatus(),
+      sources: rssCatalog.listSources({ includeDisabled: true })
+    }
+  });
+});
+
+app.post('/api/admin/sources/reload', (req, res) => {
+  const result = rssCatalog.reloadCatalog();
+  if (!result.ok) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reload source catalog',
+      errors: result.errors
+    });
+  }
+  res.json({
+    success: true,
+    data: { count: result.count, errors: result.errors }
+  });
+});
+
+// Find feeds on a website: <link rel="alternate">, feed links and common feed paths, each validated by parsing
+app.get('/api/admin/sources/discover', async (req, res) => {
+  const { url } = req.query;
+  if (!/^https?:\/\//i.test(url || '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'An http(s) url query parameter is required'
+    });
+  }
+  try {
+    const data = await feedDiscovery.discoverFeeds(url);
+    res.json({ success: true, data });
+  } catch (error) {
+    if (isPrivateHostError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Private, loopback and link-local addresses are not allowed'
+      });
+    }
+    // axios 오류 객체는 순환 참조라 메타로 넘기지 않음
+    logger.error(`API Error - /api/admin/sources/discover: ${error.message}`);
+    res.status(502).json({
+      success: false,
+      error: error.code === 'EROBOTS' ? 'Site disallows fetching this page' : 'Failed to fetch the website'
+    });
+  }
+});
+
+// Add a feed (e.g. a discovery candidate) to the catalog; name/lang default to what the feed declares
+app.post('/api/admin/sources', async (req, res) => {
+  const { url, ...fields } = req.body || {};
+  if (!/^https?:\/\//i.test(url || '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'An http(s) feed url is required'
+    });
+  }
+  let feed;
+  try {
+    feed = await feedDiscovery.inspectFeed(url, { publicOnly: true });
+  } catch (error) {
+    if (isPrivateHostError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Private, loopback and link-local addresses are not allowed'
+      });
+    }
+    return res.status(422).json({
+      success: false,
+      error: `Not a readable feed: ${error.response ? `HTTP ${error.response.status}` : error.message}`
+    });
+  }
+
+  const result = rssCatalog.addSource({
+    id: fields.id || rssCatalog.suggestId(feed.siteUrl || feed.url),
+    name: fields.name || feed.title || new URL(feed.url).hostname,
+    url: feed.url,
+    sections: fields.sections,
+    lang: fields.lang || (/^[a-z]{2}$/.test(feed.language || '') ? feed.language : undefined),
+    country: fields.country,
+    trust: fields.trust,
+    phase: fields.phase,
+    priority: fields.priority,
+    enabled: fields.enabled
+  });
+  if (!result.ok) {
+    const status = { duplicate: 409, invalid: 400 }[result.code] || 500;
+    return res.status(status).json({
+      success: false,
+      error: 'Failed to add source',
+      errors: result.errors
+    });
+  }
+  res.status(201).json({
+    success: true,
+    data: { source: result.entry, feed }
+  });
+});
+
+// OPML export: one folder per section
+app.get('/api/admin/sources/opml', (req, res) => {
+  res.type('text/x-opml; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="emarknews-sources.opml"');
+  res.send(opml.exportOpml({ includeDisabled: req.query.includeDisabled === 'true' }));
+});
+
+// OPML import: folders map to sections (?section= for feeds outside a known folder, ?dryRun=true to only report)
+app.post('/api/admin/sources/opml',
+  express.text({ type: ['text/*', 'application/xml', 'application/octet-stream'], limit: '2mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the OPML document as the request body (Content-Type: text/x-opml or application/xml)'
+      });
+    }
+    try {
+      const data = await opml.importOpml(req.body, {
+        defaultSection: req.query.section,
+        dryRun: req.query.dryRun === 'true'
+      });
+      res.json({ success: true, data });
+    } catch (error) {
+      logger.error(`API Error - /api/admin/sources/opml: ${error.message}`);
+      const invalid = error.code !== 'EOPMLSAVE';
+      res.status(invalid ? 400 : 500).json({
+        success: false,
+        error: invalid ? `Invalid OPML: ${error.message}` : 'Failed to save imported sources'
+      });
+    }
+  }
+);
+
+// Background ingestion jobs: last run, duration and item counts
+app.get('/api/ingest/status', async (req, res) => {
+  try {
+    const data = req.query.cadence === 'true'
+      ? await ingestScheduler.getStatusWithCadence()
+      : ingestScheduler.getStatus();
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('API Error - /api/ingest/status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ingest status'
+    });
+  }
+});
+
 // Serve HTML files
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -365,5 +749,6 @@ app.listen(PORT, '0.0.0.0', () => {
   logger.info(`EmarkNews server running on port ${PORT}`, { service: 'emarknews' });
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`, { service: 'emarknews' });
   logger.info(`Health check: http://localhost:${PORT}/health`, { service: 'emarknews' });
+  if (newsService.scheduler) ingestScheduler.start();
 });
 
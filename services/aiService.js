@@ -1,11 +1,12 @@
 const { OpenAI } = require('openai');
 const logger = require('../utils/logger');
 const CacheService = require('./cacheService');
+const { detectLanguage } = require('./sources/language');
 
 class AIService {
-  constructor() {
+  constructor(opts = {}) {
     this.client = null;
-    this.cache = new CacheService();
+    this.cache = opts.cache || CacheService.shared();
     this.queue = [];
     this.processing = false;
     this.concurrency = 3; // Responses API는 더 안정적이므로 동시성 줄임
@@ -237,6 +238,12 @@ ${article}
   }
 
   async translate(text, targetLang = 'ko') {
+    // 이미 목표 언어인 텍스트는 API 를 호출하지 않음 (힌트 없이 확실히 감지된 경우만)
+    const detected = detectLanguage(text);
+    if (detected.lang === targetLang && ['script', 'ngram'].includes(detected.method)) {
+      return { success: true, data: { translated: text, skipped: true } };
+    }
+
     const cacheKey = `translate:${targetLang}:${Buffer.from(text).toString('base64').substring(0, 32)}`;
     
     try {
@@ -2,10 +2,14 @@
 const Redis = require('ioredis');
 const logger = require('../utils/logger');
 
+// INCR + 첫 증가 때만 EXPIRE 를 한 번에 (EXPIRE NX 가 없는 Redis 7 미만 호환)
+const INCR_SCRIPT = "local v = redis.call('INCR', KEYS[1]) if v == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end return v";
+
 class CacheService {
   constructor() {
     this.redis = null;
     this.memoryCache = new Map();
+    this.counters = new Map(); // incr()/setIfAbsent() 키 (메모리 모드). 일반 키의 FIFO 제한에 밀려나지 않도록 따로 보관
     this.useMemory = false;
     
     this.initRedis();
@@ -51,10 +55,11 @@ class CacheService {
         const value = await this.redis.get(key);
         return value ? JSON.parse(value) : null;
       } else {
-        const item = this.memoryCache.get(key);
+        const item = this.memoryCache.get(key) || this.counters.get(key);
         if (item) {
           if (item.expiry && item.expiry < Date.now()) {
             this.memoryCache.delete(key);
+            this.counters.delete(key);
             return null;
           }
           return item.value;
@@ -90,12 +95,55 @@ class CacheService {
     }
   }
 
+  // 원자적 증가 (여러 인스턴스가 같은 카운터를 공유할 때). 키가 처음 생길 때만 TTL 설정
+  // 실패하면 null
+  async incr(key, ttl = 600) {
+    try {
+      if (!this.useMemory && this.redis) {
+        return await this.redis.eval(INCR_SCRIPT, 1, key, ttl);
+      } else {
+        const now = Date.now();
+        const item = this.counters.get(key);
+        const live = item && !(item.expiry && item.expiry < now);
+        if (!live) {
+          for (const [k, c] of this.counters) if (c.expiry < now) this.counters.delete(k); // 새 카운터 생길 때 만료분 정리
+        }
+        const value = (live ? item.value : 0) + 1;
+        this.counters.set(key, { value, expiry: live ? item.expiry : now + (ttl * 1000) });
+        return value;
+      }
+    } catch (error) {
+      logger.error(`Cache incr error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // 키가 없을 때만 저장 (Redis SET NX EX). 여러 인스턴스 중 하나만 권한을 얻을 때 사용
+  // 저장했으면 true, 이미 있으면 false, 실패하면 null
+  async setIfAbsent(key, value, ttl = 600) {
+    try {
+      if (!this.useMemory && this.redis) {
+        return (await this.redis.set(key, JSON.stringify(value), 'EX', ttl, 'NX')) === 'OK';
+      } else {
+        const now = Date.now();
+        const item = this.counters.get(key);
+        if (item && !(item.expiry && item.expiry < now)) return false;
+        this.counters.set(key, { value, expiry: now + (ttl * 1000) });
+        return true;
+      }
+    } catch (error) {
+      logger.error(`Cache setIfAbsent error: ${error.message}`);
+      return null;
+    }
+  }
+
   async delete(key) {
     try {
       if (!this.useMemory && this.redis) {
         await this.redis.del(key);
       } else {
         this.memoryCache.delete(key);
+        this.counters.delete(key);
       }
       return true;
     } catch (error) {
@@ -110,6 +158,7 @@ class CacheService {
         await this.redis.flushdb();
       } else {
         this.memoryCache.clear();
+        this.counters.clear();
       }
       logger.info('Cache cleared successfully');
       return true;
@@ -130,7 +179,8 @@ class CacheService {
       return {
         type: 'memory',
         size: this.memoryCache.size,
-        maxSize: 1000
+        maxSize: 1000,
+        counters: this.counters.size
       };
     }
   }
@@ -140,7 +190,16 @@ class CacheService {
       await this.redis.quit();
     }
     this.memoryCache.clear();
+    this.counters.clear();
+  }
+
+  // 프로세스 공용 인스턴스 (Redis 연결 1개). 서비스들은 opts.cache 가 없으면 이것을 씀
+  static shared() {
+    if (!sharedInstance) sharedInstance = new CacheService();
+    return sharedInstance;
   }
 }
 
+let sharedInstance = null;
+
 module.exports = CacheService;
\ No newline at end of file
@@ -0,0 +1,188 @@
+// services/extractService.js - 기사 본문 추출 (상세 보기/AI 상세 요약용)
+// - 도메인 규칙(config/extractRules.js) 우선, 없으면 readability 방식 점수 추출
+// - 결과(본문 텍스트, 기자명, 대표 이미지, 단어 수)는 CacheService 에 보관
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const CacheService = require('./cacheService');
+const { fetchWithRetry } = require('./rss/httpClient');
+const { assertPublicUrl, PUBLIC_ONLY } = require('./rss/hostGuard');
+const { extractRules } = require('../config/extractRules');
+const { domainFromUrl } = require('./sources/common');
+
+const EXTRACT = {
+  TTL_SEC: Number(process.env.EXTRACT_TTL_SEC || 24 * 3600),
+  TIMEOUT_MS: Number(process.env.EXTRACT_TIMEOUT_MS || 8000),
+  MAX_TEXT: Number(process.env.EXTRACT_MAX_CHARS || 50000),
+  MIN_PARAGRAPH: 25,
+};
+
+// 본문이 아닐 가능성이 높은 요소
+const STRIP_TAGS = 'script, style, noscript, iframe, form, nav, header, footer, aside, button, svg, template';
+const UNLIKELY_RE = /comment|share|social|related|recommend|sidebar|footer|header|menu|nav|promo|banner|advert|ad-|-ad\b|sponsor|subscribe|newsletter|popup|modal|cookie|breadcrumb|tag-list|copyright/i;
+const CJK_RE = /[぀-ヿ㐀-鿿]/g;
+
+const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
+const cleanText = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+// 공백 없는 일본어/중국어는 글자 단위, 그 외는 공백 단위
+function countWords(text) {
+  const cjk = (text.match(CJK_RE) || []).length;
+  const rest = text.replace(CJK_RE, ' ').split(/\s+/).filter(Boolean).length;
+  return cjk + rest;
+}
+
+function ruleFor(url) {
+  const host = domainFromUrl(url);
+  const key = Object.keys(extractRules).find(d => host === d || host.endsWith(`.${d}`));
+  return key ? extractRules[key] : null;
+}
+
+function paragraphsOf($, $root) {
+  const out = [];
+  $root.find('p, h2, h3, li, blockquote').each((_, el) => {
+    // 중첩된 블록은 바깥 블록에서 이미 텍스트를 얻었으므로 제외
+    if ($(el).parents('p, li, blockquote').length) return;
+    const t = cleanText($(el).text());
+    if (t) out.push(t);
+  });
+  // <p> 없이 <br> 로만 줄을 나눈 본문 (국내 언론사 다수)
+  if (!out.length) {
+    const html = $root.html() || '';
+    cheerio.load(html.replace(/<br\s*\/?>/gi, '\n')).root().text().split('\n').map(cleanText).filter(Boolean).forEach(t => out.push(t));
+  }
+  return out;
+}
+
+// readability 방식: 문단 부모에 점수 누적 → 최고 점수 컨테이너
+function scoreCandidates($) {
+  const scores = new Map();
+  $('p').each((_, el) => {
+    const text = cleanText($(el).text());
+    if (text.length < EXTRACT.MIN_PARAGRAPH) return;
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parent;
+    const grand = parent && parent.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grand) scores.set(grand, (scores.get(grand) || 0) + score / 2);
+  });
+
+  let best = null;
+  for (const [el, raw] of scores) {
+    const $el = $(el);
+    const textLen = cleanText($el.text()).length || 1;
+    const linkLen = cleanText($el.find('a').text()).length;
+    const score = raw * (1 - linkLen / textLen);
+    if (!best || score > best.score) best = { el, score };
+  }
+  return best ? $(best.el) : null;
+}
+
+function metaContent($, selectors) {
+  for (const sel of selectors) {
+    const v = $(sel).attr('content');
+    if (v && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+function jsonLdAuthor($) {
+  let author = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (author) return;
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const nodes = Array.isArray(data) ? data : (data['@graph'] || [data]);
+      for (const n of nodes) {
+        const a = Array.isArray(n?.author) ? n.author[0] : n?.author;
+        if (a) { author = typeof a === 'string' ? a : a.name; break; }
+      }
+    } catch { /* 잘못된 JSON-LD 무시 */ }
+  });
+  return author || null;
+}
+
+class ExtractService {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+  }
+
+  /**
+   * HTML 문자열에서 본문을 추출한다 (네트워크 없음).
+   * @returns {{ title, byline, text, leadImage, wordCount, method }}
+   */
+  extractFromHtml(html, url) {
+    const $ = cheerio.load(html);
+    const rule = ruleFor(url) || {};
+
+    const title = metaContent($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) || cleanText($('title').first().text());
+    const leadImage = metaContent($, ['meta[property="og:image"]', 'meta[property="og:image:url"]', 'meta[name="twitter:image"]']);
+    let byline = metaContent($, ['meta[name="author"]', 'meta[property="article:author"]', 'meta[name="byl"]']);
+    for (const sel of rule.byline || []) {
+      if (byline) break;
+      byline = cleanText($(sel).first().text()) || null;
+    }
+    byline = byline || cleanText($('[rel="author"], .byline').first().text()) || jsonLdAuthor($);
+
+    $(STRIP_TAGS).remove();
+    (rule.remove || []).forEach(sel => $(sel).remove());
+
+    // 1) 도메인 규칙
+    let paragraphs = [];
+    let method = 'readability';
+    for (const sel of rule.content || []) {
+      const $nodes = $(sel);
+      if (!$nodes.length) continue;
+      paragraphs = $nodes.toArray().flatMap(el => paragraphsOf($, $(el)));
+      if (paragraphs.join(' ').length >= EXTRACT.MIN_PARAGRAPH * 2) { method = 'selector'; break; }
+      paragraphs = [];
+    }
+
+    // 2) readability 폴백
+    if (!paragraphs.length) {
+      $('*').each((_, el) => {
+        const sig = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+        if (sig.trim() && UNLIKELY_RE.test(sig) && !/article|content|body|main|story/i.test(sig)) $(el).remove();
+      });
+      const $best = scoreCandidates($);
+      if ($best) paragraphs = paragraphsOf($, $best).filter(p => p.length >= EXTRACT.MIN_PARAGRAPH || /[.!?。다]$/.test(p));
+    }
+
+    const text = paragraphs.join('\n\n').slice(0, EXTRACT.MAX_TEXT);
+    return { title, byline: byline || null, text, leadImage: leadImage || null, wordCount: countWords(text), method };
+  }
+
+  /**
+   * URL 의 기사 본문을 추출한다. 결과는 캐시되며, 실패 시 null.
+   * @param {string} url
+   * @param {{ lang?: string, force?: boolean }} [opts]
+   */
+  async extract(url, { lang, force = false } = {}) {
+    if (!/^https?:\/\//i.test(url || '')) return null;
+    const key = `extract:${sha1(url)}`;
+    if (!force) {
+      const cached = await this.cache.get(key);
+      if (cached) return cached;
+    }
+
+    try {
+      // 피드 항목 링크도 외부 입력이므로 내부 주소(및 그리로의 리다이렉트)는 가져오지 않음
+      await assertPublicUrl(url);
+      const res = await fetchWithRetry(url, 2, { timeout: EXTRACT.TIMEOUT_MS, langHint: lang, robots: true, ...PUBLIC_ONLY });
+      const finalUrl = res.request?.res?.responseUrl || url;
+      const result = { url, finalUrl, ...this.extractFromHtml(res.data, finalUrl), extractedAt: new Date().toISOString() };
+      if (!result.text) {
+        this.logger.warn(`Extraction found no article text: ${url}`);
+        return null;
+      }
+      await this.cache.set(key, result, EXTRACT.TTL_SEC);
+      return result;
+    } catch (e) {
+      this.logger.warn(`Extraction failed: ${url} ${e.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = ExtractService;
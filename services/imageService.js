@@ -0,0 +1,89 @@
+// services/imageService.js - 기사 대표 이미지 지연 조회
+// - 소스가 이미지를 주지 않은 기사는 원문 페이지의 og:image / twitter:image 를 읽는다
+// - 카드가 화면에 보일 때 /api/image 로 요청되므로 목록 수집 경로에는 비용이 없다
+// - 결과(없음 포함)는 CacheService 에 보관
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const CacheService = require('./cacheService');
+const { fetchWithRetry } = require('./rss/httpClient');
+const { assertPublicUrl, PUBLIC_ONLY } = require('./rss/hostGuard');
+const { toImage } = require('./sources/common');
+
+const IMAGE = {
+  TTL_SEC: Number(process.env.OG_IMAGE_TTL_SEC || 7 * 24 * 3600),
+  MISS_TTL_SEC: 3600, // 이미지 없음/실패는 짧게 캐시
+  TIMEOUT_MS: Number(process.env.OG_IMAGE_TIMEOUT_MS || 5000),
+  HEAD_MAX_CHARS: 200000, // <head> 를 못 찾으면 앞부분만 파싱
+};
+
+const META_SELECTORS = [
+  ['meta[property="og:image:secure_url"]', 'og:image'],
+  ['meta[property="og:image"]', 'og:image'],
+  ['meta[property="og:image:url"]', 'og:image'],
+  ['meta[name="twitter:image"]', 'twitter:image'],
+  ['meta[name="twitter:image:src"]', 'twitter:image'],
+  ['link[rel="image_src"]', 'link:image_src'],
+];
+
+const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
+
+/**
+ * HTML 에서 대표 이미지 메타를 찾는다 (네트워크 없음).
+ * @returns {{ url, width, height, source } | null}
+ */
+function ogImageFromHtml(html, pageUrl) {
+  const str = String(html || '');
+  const head = (/<head[\s>][\s\S]*?<\/head>/i.exec(str) || [str.slice(0, IMAGE.HEAD_MAX_CHARS)])[0];
+  const $ = cheerio.load(head);
+  for (const [sel, source] of META_SELECTORS) {
+    const url = $(sel).attr('content') || $(sel).attr('href');
+    if (!url) continue;
+    const image = toImage({
+      url,
+      width: $('meta[property="og:image:width"]').attr('content'),
+      height: $('meta[property="og:image:height"]').attr('content'),
+      source,
+    }, pageUrl);
+    if (image) return image;
+  }
+  return null;
+}
+
+class ImageService {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+    this.inflight = new Map();
+  }
+
+  /**
+   * 기사 URL 의 og:image 를 조회한다. 없거나 실패하면 null.
+   * 같은 URL 의 동시 요청은 하나의 fetch 를 공유한다.
+   * @param {string} url 기사 URL
+   */
+  async resolveOgImage(url) {
+    if (!/^https?:\/\//i.test(url || '')) return null;
+    const key = `og-image:${sha1(url)}`;
+    const cached = await this.cache.get(key);
+    if (cached) return cached.image;
+
+    if (this.inflight.has(key)) return this.inflight.get(key);
+    const pending = (async () => {
+      let image = null;
+      try {
+        await assertPublicUrl(url); // 클라이언트가 준 URL - 내부 주소는 가져오지 않음
+        const res = await fetchWithRetry(url, 1, { timeout: IMAGE.TIMEOUT_MS, robots: true, ...PUBLIC_ONLY });
+        image = ogImageFromHtml(res.data, res.request?.res?.responseUrl || url);
+      } catch (e) {
+        this.logger.warn(`og:image lookup failed: ${url} ${e.message}`);
+      }
+      await this.cache.set(key, { image }, image ? IMAGE.TTL_SEC : IMAGE.MISS_TTL_SEC);
+      return image;
+    })().finally(() => this.inflight.delete(key));
+    this.inflight.set(key, pending);
+    return pending;
+  }
+}
+
+module.exports = ImageService;
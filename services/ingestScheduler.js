@@ -0,0 +1,203 @@
+// services/ingestScheduler.js - 백그라운드 수집 스케줄러
+// - 소스 job: 섹션 설정의 (어댑터, target) 마다 하나. 상류를 호출해 정규화 항목을 저장
+// - 섹션 job: 저장된 소스 항목을 합쳐 중복 제거/소셜 신호/AI/랭킹 후 섹션 스냅샷 저장
+// - 라우트(/api/:section, /api/:section/fast)는 스냅샷만 읽으므로 사용자 요청이 상류 지연을 떠안지 않음
+// - 소스 job 간격은 게시 주기에 맞춰 조정 (services/sources/cadence.js). 명시적으로 지정한 간격은 고정
+// - job 별 마지막 실행 시각, 소요 시간, 항목 수, 오류를 getStatus() 로 노출
+const logger = require('../utils/logger');
+const { PollCadence } = require('./sources/cadence');
+
+// "buzz=120,kr=180" → { buzz:120, kr:180 }
+function parseIntervals(str) {
+  const out = {};
+  for (const pair of String(str || '').split(',')) {
+    const [k, v] = pair.split('=').map(s => s && s.trim());
+    if (k && Number(v) > 0) out[k] = Number(v);
+  }
+  return out;
+}
+
+const INGEST = {
+  SECTION_INTERVAL_SEC: Number(process.env.INGEST_INTERVAL_SEC || 300),
+  SOURCE_INTERVAL_SEC: Number(process.env.INGEST_SOURCE_INTERVAL_SEC || 300),
+  SECTION_INTERVALS: parseIntervals(process.env.INGEST_SECTION_INTERVALS),
+  SOURCE_INTERVALS: parseIntervals(process.env.INGEST_SOURCE_INTERVALS),
+  TICK_MS: Number(process.env.INGEST_TICK_MS || 5000),
+  CONCURRENCY: Number(process.env.INGEST_CONCURRENCY || 4),
+  ADAPTIVE: process.env.INGEST_ADAPTIVE !== 'false',
+};
+
+class IngestScheduler {
+  /**
+   * @param {{ newsService, logger?, sections?: string[] }} opts
+   */
+  constructor(opts = {}) {
+    this.newsService = opts.newsService;
+    this.logger = opts.logger || logger;
+    this.cadence = opts.cadence || new PollCadence({ logger: this.logger, cache: opts.cache });
+    this.sections = opts.sections || this.newsService.getSections();
+    this.jobs = new Map();
+    this.timer = null;
+    this.active = 0;
+    this.running = false;
+  }
+
+  // 섹션 간(예: world/buzz 의 같은 RSS 피드) 동일 target 은 소스 job 하나로 공유
+  _buildJobs() {
+    this.jobs = new Map();
+    this.planVersion = this.newsService.getPlanVersion();
+    for (const section of this.sections) {
+      const sourceIds = [];
+      for (const { adapter, target } of this.newsService.planSection(section)) {
+        const key = this.newsService.targetKey(adapter, target);
+        const id = `source:${key}`;
+        if (!this.jobs.has(id)) {
+          const fixed = INGEST.SOURCE_INTERVALS[key] || INGEST.SOURCE_INTERVALS[adapter.name];
+          const intervalSec = fixed || INGEST.SOURCE_INTERVAL_SEC;
+          this.jobs.set(id, this._job(id, 'source', { key, adapter, target, intervalSec, adaptive: INGEST.ADAPTIVE && !fixed }));
+        }
+        sourceIds.push(id);
+      }
+      const intervalSec = INGEST.SECTION_INTERVALS[section] || INGEST.SECTION_INTERVAL_SEC;
+      this.jobs.set(`section:${section}`, this._job(`section:${section}`, 'section', { section, sourceIds, intervalSec }));
+    }
+  }
+
+  _job(id, type, extra) {
+    return {
+      id, type, ...extra,
+      nextRunAt: Date.now(),
+      lastRunAt: null, lastDurationMs: null, lastCount: null, lastError: null, retryAfterMs: null,
+      runs: 0, failures: 0,
+      promise: null,
+    };
+  }
+
+  start() {
+    if (this.running) return this;
+    this._buildJobs();
+    this.running = true;
+    this.timer = setInterval(() => this._tick(), INGEST.TICK_MS);
+    this.timer.unref?.();
+    this.logger.info(`Ingest scheduler started: ${this.jobs.size} jobs, concurrency ${INGEST.CONCURRENCY}`);
+    this._tick();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+  }
+
+  // 카탈로그 리로드 등으로 소스 구성이 바뀌었을 때 (실행 기록은 같은 id 끼리 유지, tick 에서 자동 감지)
+  rebuild() {
+    const previous = this.jobs;
+    this._buildJobs();
+    // 진행 중인 실행이 기존 job 객체를 갱신하므로 객체를 그대로 살리고 구성만 바꿈
+    for (const [id, job] of this.jobs) {
+      const old = previous.get(id);
+      if (!old) continue;
+      const keepInterval = old.adaptive && job.adaptive; // 학습된 간격 유지
+      this.jobs.set(id, Object.assign(old, { adapter: job.adapter, target: job.target, sourceIds: job.sourceIds, adaptive: job.adaptive, intervalSec: keepInterval ? old.intervalSec : job.intervalSec }));
+    }
+  }
+
+  // 소스 job 먼저, 이어서 섹션 job (섹션 job 은 진행 중인 소스 job 을 기다림)
+  _tick() {
+    if (this.newsService.getPlanVersion() !== this.planVersion) this.rebuild();
+    const now = Date.now();
+    const due = Array.from(this.jobs.values())
+      .filter(j => !j.promise && j.nextRunAt <= now)
+      .sort((a, b) => (a.type === b.type ? a.nextRunAt - b.nextRunAt : a.type === 'source' ? -1 : 1));
+    for (const job of due) {
+      if (this.active >= INGEST.CONCURRENCY) break;
+      this.runJob(job);
+    }
+  }
+
+  /**
+   * job 을 즉시 실행한다. 이미 실행 중이면 그 실행을 공유한다.
+   */
+  runJob(job) {
+    if (job.promise) return job.promise;
+    this.active++;
+    const started = Date.now();
+    job.promise = (async () => {
+      try {
+        const count = job.type === 'source' ? await this._runSource(job) : await this._runSection(job);
+        job.lastCount = count;
+        job.lastError = null;
+      } catch (e) {
+        job.retryAfterMs = e.retryAfterMs ?? null;
+        job.failures++;
+        job.lastError = String(e.code || e.message).slice(0, 200);
+        if (e.code !== 'ECIRCUITOPEN') this.logger.warn(`Ingest job ${job.id} failed: ${e.message}`);
+      } finally {
+        job.runs++;
+        job.lastRunAt = new Date(started).toISOString();
+        job.lastDurationMs = Date.now() - started;
+        job.nextRunAt = Date.now() + Math.max(job.intervalSec * 1000, job.retryAfterMs || 0);
+        job.promise = null;
+        this.active--;
+        if (this.running) setImmediate(() => this._tick()); // 대기 중인 job 바로 이어서
+      }
+    })();
+    return job.promise;
+  }
+
+  async _runSource(job) {
+    const { items, hints } = await this.newsService.ingestTarget(job.adapter, job.target);
+    job.retryAfterMs = hints?.retryAfterMs ?? null;
+    if (job.adaptive) job.intervalSec = await this.cadence.observe(job.key, items, hints, INGEST.SOURCE_INTERVAL_SEC);
+    return items.length;
+  }
+
+  async _runSection(job) {
+    await Promise.allSettled(job.sourceIds.map(id => this.jobs.get(id)?.promise).filter(Boolean));
+    const payload = await this.newsService.composeSection(job.section, { ttlSec: job.intervalSec * 3 });
+    job.retryAfterMs = null; // 이전 실패의 Retry-After 가 다음 간격을 계속 늘리지 않도록
+    return payload.total;
+  }
+
+  // 스냅샷이 아직 없는 섹션 요청 시 호출 (소스 job 이 한 번도 안 돌았으면 먼저 실행)
+  async runSectionNow(section) {
+    const job = this.jobs.get(`section:${section}`);
+    if (!job) return null;
+    const pending = job.sourceIds.map(id => this.jobs.get(id)).filter(j => j && !j.lastRunAt);
+    await Promise.allSettled(pending.map(j => this.runJob(j)));
+    return this.runJob(job);
+  }
+
+  getStatus() {
+    const jobs = Array.from(this.jobs.values()).map(j => ({
+      id: j.id,
+      type: j.type,
+      section: j.section || j.target?.section,
+      intervalSec: j.intervalSec,
+      adaptive: !!j.adaptive,
+      retryAfterMs: j.retryAfterMs,
+      running: !!j.promise,
+      lastRunAt: j.lastRunAt,
+      lastDurationMs: j.lastDurationMs,
+      lastCount: j.lastCount,
+      lastError: j.lastError,
+      runs: j.runs,
+      failures: j.failures,
+      nextRunAt: new Date(j.nextRunAt).toISOString(),
+    }));
+    return { running: this.running, active: this.active, concurrency: INGEST.CONCURRENCY, jobs };
+  }
+
+  // getStatus + 소스 job 별 학습 상태 (평균 게시 간격, 힌트, 마지막 새 항목)
+  async getStatusWithCadence() {
+    const status = this.getStatus();
+    await Promise.all(status.jobs.map(async (j) => {
+      const job = this.jobs.get(j.id);
+      if (job?.adaptive) j.cadence = await this.cadence.describe(job.key);
+    }));
+    return status;
+  }
+}
+
+module.exports = IngestScheduler;
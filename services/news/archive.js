@@ -0,0 +1,271 @@
+// services/news/archive.js - 기사 영구 보관소 (SQLite, better-sqlite3)
+// - 섹션 응답을 만들 때마다 기사(정규화 + AI 보강 결과)를 기록: 처음/마지막으로 본 시각, 섹션, 순위 이력
+// - AI 요약·번역은 기사 ID 별로 남겨 재시작 후에도 다시 요청하지 않음 (NewsService._reuseAiOutputs)
+// - 12시간 창(filterRecent)이 지난 기사는 /api/archive 로 조회
+// - 보존: 마지막으로 본 지 ARCHIVE_RETENTION_DAYS 가 지난 기사 삭제, 순위 표본은 ARCHIVE_RANKING_RETENTION_DAYS,
+//   기사 수가 ARCHIVE_MAX_ARTICLES 를 넘으면 오래전에 본 것부터 삭제 (한 시간마다)
+// - ARCHIVE_DB_PATH=off 면 비활성 (getArchive() → null). better-sqlite3 를 불러오지 못하거나 DB 를 열지 못해도
+//   null 이지만 설정상 켜져 있는 것이므로 error 로그 (네이티브 애드온 미빌드, 읽기 전용 경로 등)
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+let Database = null;
+let loadError = null;
+try { Database = require('better-sqlite3'); } catch (e) { loadError = e; }
+
+const ARCHIVE = {
+  PATH: process.env.ARCHIVE_DB_PATH || path.join(__dirname, '../../data/emarknews.sqlite'),
+  RETENTION_DAYS: Number(process.env.ARCHIVE_RETENTION_DAYS || 30),
+  RANKING_RETENTION_DAYS: Number(process.env.ARCHIVE_RANKING_RETENTION_DAYS || 7),
+  MAX_ARTICLES: Number(process.env.ARCHIVE_MAX_ARTICLES || 200000),
+  RANK_INTERVAL_SEC: Number(process.env.ARCHIVE_RANK_INTERVAL_SEC || 900), // 섹션별 순위 표본 간격
+  PRUNE_INTERVAL_MS: 3600 * 1000,
+  PAGE_MAX: 100,
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS articles (
+  id             TEXT PRIMARY KEY,
+  canonical_url  TEXT,
+  original_url   TEXT,
+  title          TEXT NOT NULL,
+  description    TEXT,
+  source         TEXT,
+  domain         TEXT,
+  lang           TEXT,
+  published_at   TEXT,
+  first_seen_at  TEXT NOT NULL,
+  last_seen_at   TEXT NOT NULL,
+  data           TEXT NOT NULL,
+  title_ko       TEXT,
+  summary_points TEXT,
+  ai_at          TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_articles_last_seen ON articles(last_seen_at);
+
+CREATE TABLE IF NOT EXISTS article_sections (
+  article_id    TEXT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+  section       TEXT NOT NULL,
+  first_seen_at TEXT NOT NULL,
+  last_seen_at  TEXT NOT NULL,
+  best_position INTEGER,
+  best_score    REAL,
+  PRIMARY KEY (article_id, section)
+);
+CREATE INDEX IF NOT EXISTS idx_article_sections_seen ON article_sections(section, last_seen_at);
+
+CREATE TABLE IF NOT EXISTS rankings (
+  article_id TEXT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+  section    TEXT NOT NULL,
+  ranked_at  TEXT NOT NULL,
+  position   INTEGER NOT NULL,
+  score      REAL,
+  rating     REAL,
+  PRIMARY KEY (article_id, section, ranked_at)
+);
+CREATE INDEX IF NOT EXISTS idx_rankings_time ON rankings(ranked_at);
+`;
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+const parseJson = (s) => { try { return JSON.parse(s); } catch { return null; } };
+
+class ArticleArchive {
+  /**
+   * @param {{ path?: string, logger?: object }} [opts] path=':memory:' 도 가능
+   */
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.path = opts.path || ARCHIVE.PATH;
+    if (this.path !== ':memory:') fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.lastRankedAt = new Map(); // section → ms
+    this._prepare();
+  }
+
+  _prepare() {
+    const db = this.db;
+    this.stmt = {
+      upsertArticle: db.prepare(`
+        INSERT INTO articles (id, canonical_url, original_url, title, description, source, domain, lang, published_at,
+                              first_seen_at, last_seen_at, data, title_ko, summary_points, ai_at)
+        VALUES (@id, @canonicalUrl, @originalUrl, @title, @description, @source, @domain, @lang, @publishedAt,
+                @now, @now, @data, @titleKo, @summaryPoints, @aiAt)
+        ON CONFLICT(id) DO UPDATE SET
+          title = excluded.title, description = excluded.description, last_seen_at = excluded.last_seen_at,
+          data = excluded.data,
+          title_ko = COALESCE(excluded.title_ko, articles.title_ko),
+          summary_points = COALESCE(excluded.summary_points, articles.summary_points),
+          ai_at = COALESCE(excluded.ai_at, articles.ai_at)`),
+      upsertSection: db.prepare(`
+        INSERT INTO article_sections (article_id, section, first_seen_at, last_seen_at, best_position, best_score)
+        VALUES (@id, @section, @now, @now, @position, @score)
+        ON CONFLICT(article_id, section) DO UPDATE SET
+          last_seen_at = excluded.last_seen_at,
+          best_position = CASE
+            WHEN excluded.best_position IS NULL THEN article_sections.best_position
+            WHEN article_sections.best_position IS NULL THEN excluded.best_position
+            ELSE MIN(article_sections.best_position, excluded.best_position) END,
+          best_score = MAX(COALESCE(article_sections.best_score, 0), COALESCE(excluded.best_score, 0))`),
+      insertRanking: db.prepare(`
+        INSERT OR REPLACE INTO rankings (article_id, section, ranked_at, position, score, rating)
+        VALUES (@id, @section, @now, @position, @score, @rating)`),
+      getArticle: db.prepare('SELECT * FROM articles WHERE id = ?'),
+      sectionsOf: db.prepare('SELECT section, first_seen_at, last_seen_at, best_position, best_score FROM article_sections WHERE article_id = ? ORDER BY section'),
+      rankingsOf: db.prepare('SELECT section, ranked_at, position, score, rating FROM rankings WHERE article_id = ? ORDER BY ranked_at'),
+      pruneRankings: db.prepare('DELETE FROM rankings WHERE ranked_at < ?'),
+      pruneArticles: db.prepare('DELETE FROM articles WHERE last_seen_at < ?'),
+      pruneOverflow: db.prepare('DELETE FROM articles WHERE id IN (SELECT id FROM articles ORDER BY last_seen_at DESC LIMIT -1 OFFSET ?)'),
+      counts: db.prepare('SELECT (SELECT COUNT(*) FROM articles) AS articles, (SELECT COUNT(*) FROM rankings) AS rankings, (SELECT MIN(first_seen_at) FROM articles) AS oldest'),
+    };
+  }
+
+  /**
+   * 섹션 랭킹 결과를 기록한다. 순위 표본은 섹션별 RANK_INTERVAL_SEC 에 한 번, 응답에 실린 상위 servedCount 개만.
+   * @param {string} section
+   * @param {Array<object>} ranked rankAndSort 결과 (자른 것 전)
+   * @param {number} servedCount 응답에 실린 기사 수
+   */
+  record(section, ranked, servedCount = ranked.length) {
+    const now = new Date().toISOString();
+    const last = this.lastRankedAt.get(section) || 0;
+    const sample = Date.now() - last >= ARCHIVE.RANK_INTERVAL_SEC * 1000;
+    if (sample) this.lastRankedAt.set(section, Date.now());
+
+    this.db.transaction(() => {
+      ranked.forEach((a, i) => {
+        if (!a?.id || !a.title) return;
+        const served = i < servedCount;
+        const hasAi = !!a.aiEnrichedAt;
+        this.stmt.upsertArticle.run({
+          id: a.id, canonicalUrl: a.canonicalUrl || a.link || null, originalUrl: a.originalUrl || null,
+          title: a.title, description: a.description || null, source: a.source || null, domain: a.domain || null,
+          lang: a.lang || null, publishedAt: a.publishedAt || null, now, data: JSON.stringify(a),
+          titleKo: hasAi ? a.titleKo || null : null,
+          summaryPoints: hasAi && a.summaryPoints?.length ? JSON.stringify(a.summaryPoints) : null,
+          aiAt: hasAi ? a.aiEnrichedAt : null,
+        });
+        this.stmt.upsertSection.run({ id: a.id, section, now, position: served ? i + 1 : null, score: a.score ?? null });
+        if (sample && served) {
+          this.stmt.insertRanking.run({ id: a.id, section, now, position: i + 1, score: a.score ?? null, rating: a.rating != null ? Number(a.rating) : null });
+        }
+      });
+    })();
+  }
+
+  /**
+   * 저장된 AI 결과 (id → { titleKo, summaryPoints, aiEnrichedAt })
+   * @param {string[]} ids
+   */
+  aiOutputs(ids) {
+    const out = new Map();
+    const unique = Array.from(new Set(ids.filter(Boolean)));
+    for (let i = 0; i < unique.length; i += 500) {
+      const chunk = unique.slice(i, i + 500);
+      const rows = this.db.prepare(`SELECT id, title_ko, summary_points, ai_at FROM articles WHERE ai_at IS NOT NULL AND id IN (${chunk.map(() => '?').join(',')})`).all(...chunk);
+      for (const r of rows) out.set(r.id, { titleKo: r.title_ko, summaryPoints: parseJson(r.summary_points) || [], aiEnrichedAt: r.ai_at });
+    }
+    return out;
+  }
+
+  /**
+   * 섹션 보관 기사 목록 (기간 안에 섹션에 실렸던 기사, 발행 시각 최신순)
+   * @param {string} section
+   * @param {{ from?: string, to?: string, q?: string, limit?: number, offset?: number }} [opts]
+   * @returns {{ items: object[], total: number }}
+   */
+  list(section, { from, to, q, limit = 30, offset = 0 } = {}) {
+    const where = ['s.section = @section'];
+    const params = { section };
+    if (from) { where.push('s.last_seen_at >= @from'); params.from = new Date(from).toISOString(); }
+    if (to) { where.push('s.first_seen_at <= @to'); params.to = new Date(to).toISOString(); }
+    if (q) { where.push('(a.title LIKE @q OR a.title_ko LIKE @q OR a.description LIKE @q)'); params.q = `%${q.replace(/[%_]/g, '')}%`; }
+    const sql = `FROM article_sections s JOIN articles a ON a.id = s.article_id WHERE ${where.join(' AND ')}`;
+    const total = this.db.prepare(`SELECT COUNT(*) AS n ${sql}`).get(params).n;
+    const rows = this.db.prepare(`
+      SELECT a.data, a.first_seen_at AS seen, s.first_seen_at, s.last_seen_at, s.best_position ${sql}
+      ORDER BY COALESCE(a.published_at, a.first_seen_at) DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: Math.min(Math.max(1, limit), ARCHIVE.PAGE_MAX), offset: Math.max(0, offset) });
+    const items = rows.map(r => ({
+      ...parseJson(r.data),
+      archive: { firstSeenAt: r.seen, sectionFirstSeenAt: r.first_seen_at, sectionLastSeenAt: r.last_seen_at, bestPosition: r.best_position },
+    }));
+    return { items, total };
+  }
+
+  /**
+   * 기사 하나와 섹션별 기록, 순위 이력. 없으면 null.
+   */
+  get(id) {
+    const row = this.stmt.getArticle.get(id);
+    if (!row) return null;
+    return {
+      article: parseJson(row.data),
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at,
+      sections: this.stmt.sectionsOf.all(id).map(s => ({
+        section: s.section, firstSeenAt: s.first_seen_at, lastSeenAt: s.last_seen_at, bestPosition: s.best_position, bestScore: s.best_score,
+      })),
+      rankings: this.stmt.rankingsOf.all(id).map(r => ({ section: r.section, rankedAt: r.ranked_at, position: r.position, score: r.score, rating: r.rating })),
+    };
+  }
+
+  // 보존 기간이 지난 기록 삭제
+  prune() {
+    const rankings = this.stmt.pruneRankings.run(daysAgo(ARCHIVE.RANKING_RETENTION_DAYS)).changes;
+    let articles = this.stmt.pruneArticles.run(daysAgo(ARCHIVE.RETENTION_DAYS)).changes;
+    if (ARCHIVE.MAX_ARTICLES > 0) articles += this.stmt.pruneOverflow.run(ARCHIVE.MAX_ARTICLES).changes;
+    if (rankings || articles) this.logger.info(`Archive pruned: ${articles} articles, ${rankings} ranking samples`);
+    return { articles, rankings };
+  }
+
+  startPruning() {
+    if (this.pruneTimer) return;
+    try { this.prune(); } catch (e) { this.logger.warn(`Archive prune failed: ${e.message}`); }
+    this.pruneTimer = setInterval(() => {
+      try { this.prune(); } catch (e) { this.logger.warn(`Archive prune failed: ${e.message}`); }
+    }, ARCHIVE.PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref?.();
+  }
+
+  getStatus() {
+    const { articles, rankings, oldest } = this.stmt.counts.get();
+    let sizeBytes = null;
+    try { sizeBytes = this.path === ':memory:' ? null : fs.statSync(this.path).size; } catch { /* 아직 없음 */ }
+    return {
+      path: this.path, articles, rankings, oldestFirstSeenAt: oldest, sizeBytes,
+      retentionDays: ARCHIVE.RETENTION_DAYS, rankingRetentionDays: ARCHIVE.RANKING_RETENTION_DAYS, maxArticles: ARCHIVE.MAX_ARTICLES,
+    };
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+    this.db.close();
+  }
+}
+
+// 프로세스당 하나 (NewsService 인스턴스가 여러 개여도 같은 파일 핸들)
+let shared;
+function getArchive() {
+  if (shared !== undefined) return shared;
+  shared = null;
+  if (ARCHIVE.PATH === 'off') return shared;
+  if (!Database) {
+    logger.error(`Article archive unavailable: better-sqlite3 failed to load (${loadError?.message}). Install with Node 20+ and without --ignore-scripts, or set ARCHIVE_DB_PATH=off`);
+    return shared;
+  }
+  try {
+    shared = new ArticleArchive();
+    shared.startPruning();
+    logger.info(`Article archive opened: ${shared.path}`);
+  } catch (e) {
+    logger.error(`Article archive unavailable: cannot open ${ARCHIVE.PATH}: ${e.message}`);
+  }
+  return shared;
+}
+
+module.exports = { ArticleArchive, getArchive, ARCHIVE };
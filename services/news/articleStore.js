@@ -0,0 +1,75 @@
+// services/news/articleStore.js - 기사 ID → 기사 저장소 (/api/article/:section/:id)
+// - 섹션 응답을 만들 때마다 그 기사들(AI 요약·번역 포함)을 ID 로 저장 → 섹션 캐시가 만료돼도 조회 가능
+// - 근접 중복으로 묶인 기사(alternates)의 ID 는 대표 기사로 연결
+// - 프로세스 안 LRU(ARTICLE_STORE_MAX) + CacheService(Redis 면 인스턴스 간 공유, ARTICLE_STORE_TTL_SEC)
+const logger = require('../../utils/logger');
+const CacheService = require('../cacheService');
+
+const ARTICLE_STORE = {
+  TTL_SEC: Number(process.env.ARTICLE_STORE_TTL_SEC || 3 * 24 * 3600),
+  MAX: Number(process.env.ARTICLE_STORE_MAX || 5000),
+};
+
+class ArticleStore {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+    this.prefix = opts.prefix || 'article:';
+    this.local = new Map(); // id → { article, section } | { aliasOf }, 삽입 순서 = LRU 순서
+  }
+
+  _remember(id, entry) {
+    this.local.delete(id);
+    this.local.set(id, entry);
+    if (this.local.size > ARTICLE_STORE.MAX) this.local.delete(this.local.keys().next().value);
+  }
+
+  // 메모리 캐시면 로컬 LRU 와 같은 내용을 두 번 들고 있을 필요가 없음
+  get _shared() { return this.cache.getStatus().type !== 'memory'; }
+
+  /**
+   * 섹션 응답의 기사들을 저장한다.
+   * @param {Array<object>} articles id 가 있는 기사
+   * @param {string} section
+   */
+  async putMany(articles, section) {
+    const writes = [];
+    for (const article of articles) {
+      if (!article?.id) continue;
+      const entry = { article, section };
+      this._remember(article.id, entry);
+      if (this._shared) writes.push(this.cache.set(this.prefix + article.id, entry, ARTICLE_STORE.TTL_SEC));
+      for (const alt of article.alternates || []) {
+        if (!alt.id || alt.id === article.id) continue;
+        this._remember(alt.id, { aliasOf: article.id });
+        if (this._shared) writes.push(this.cache.set(this.prefix + alt.id, { aliasOf: article.id }, ARTICLE_STORE.TTL_SEC));
+      }
+    }
+    await Promise.all(writes).catch(e => this.logger.warn(`Article store write failed: ${e.message}`));
+  }
+
+  async _entry(id) {
+    const local = this.local.get(id);
+    if (local) return local;
+    if (!this._shared) return null;
+    const stored = await this.cache.get(this.prefix + id);
+    if (stored) this._remember(id, stored);
+    return stored;
+  }
+
+  /**
+   * ID 로 기사를 찾는다 (묶인 기사의 ID 면 대표 기사). 없으면 null.
+   * @returns {Promise<{ article: object, section: string } | null>}
+   */
+  async get(id) {
+    let entry = await this._entry(id);
+    if (entry?.aliasOf) entry = await this._entry(entry.aliasOf);
+    return entry?.article ? entry : null;
+  }
+
+  getStatus() {
+    return { size: this.local.size, max: ARTICLE_STORE.MAX, shared: this._shared, ttlSec: ARTICLE_STORE.TTL_SEC };
+  }
+}
+
+module.exports = { ArticleStore, ARTICLE_STORE };
@@ -0,0 +1,158 @@
+// services/news/nearDuplicates.js - 출처가 다른 같은 기사(통신 기사 재게재 등) 묶기
+// - 제목+설명을 shingle 집합으로: 라틴 문자는 단어 1·2-gram, 한/중/일은 공백을 지운 글자 2-gram
+//   (한국어는 띄어쓰기와 조사가 매체마다 달라 단어 단위로는 잘 안 맞음)
+// - MinHash 서명을 밴드로 나눠(LSH) 후보만 고른 뒤 실제 Jaccard 로 확인
+//   제목끼리 NEAR_DUP_TITLE_THRESHOLD 이상이거나 제목+설명이 NEAR_DUP_THRESHOLD 이상이면 같은 기사
+// - 신뢰도가 가장 높은 출처가 대표(primary), 나머지는 대표의 alternates 로 기록
+const crypto = require('crypto');
+
+const NEAR_DUP = {
+  THRESHOLD: Number(process.env.NEAR_DUP_THRESHOLD || 0.5),
+  TITLE_THRESHOLD: Number(process.env.NEAR_DUP_TITLE_THRESHOLD || 0.6),
+  HASHES: 64,
+  BANDS: 16, // 16밴드 × 4행 → 유사도 약 0.5 부근에서 후보가 됨
+  MIN_SHINGLES: 3,
+  MAX_ALTERNATES: 10,
+};
+const ROWS = NEAR_DUP.HASHES / NEAR_DUP.BANDS;
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by', 'from', 'as', 'is', 'are', 'was', 'be', 'its', 'it', 'that', 'this', 'after', 'over', 'says', 'said']);
+const CJK_LANGS = ['ko', 'ja', 'zh'];
+const CJK_RUN_RE = /[぀-ヿ㐀-鿿가-힣]+/g;
+// 한/중/일 글자 사이 공백 (띄어쓰기 차이 무시)
+const CJK_GAP_RE = /([぀-ヿ㐀-鿿가-힣])\s+(?=[぀-ヿ㐀-鿿가-힣])/g;
+
+// 32비트 해시 (FNV-1a) 와 MinHash 순열용 믹서 (murmur3 fmix32)
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+function fmix32(h) {
+  h ^= h >>> 16; h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13; h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+const SEEDS = Array.from({ length: NEAR_DUP.HASHES }, (_, i) => crypto.createHash('sha1').update(`minhash:${i}`).digest().readUInt32BE(0));
+
+/**
+ * 텍스트 → shingle 집합
+ * @param {string} text
+ * @param {string} [lang] 기사 언어 (ko/ja/zh 면 띄어쓰기를 무시)
+ * @param {{ bigrams?: boolean }} [opts] bigrams=false 면 라틴 문자는 단어만 (스토리 묶기용)
+ * @returns {Set<string>}
+ */
+function shingles(text, lang, { bigrams = true } = {}) {
+  let s = String(text || '').normalize('NFKC').toLowerCase();
+  if (CJK_LANGS.includes(lang)) s = s.replace(CJK_GAP_RE, '$1');
+  const out = new Set();
+  for (const run of s.match(CJK_RUN_RE) || []) {
+    if (run.length === 1) { out.add(run); continue; }
+    for (let i = 0; i < run.length - 1; i++) out.add(run.slice(i, i + 2));
+  }
+  const words = s.replace(CJK_RUN_RE, ' ').split(/[^\p{L}\p{N}]+/u).filter(w => w && !STOPWORDS.has(w));
+  words.forEach((w, i) => {
+    out.add(w);
+    if (bigrams && i > 0) out.add(`${words[i - 1]} ${w}`);
+  });
+  return out;
+}
+
+function minhash(set) {
+  const sig = new Uint32Array(NEAR_DUP.HASHES).fill(0xffffffff);
+  for (const sh of set) {
+    const h = fnv1a(sh);
+    for (let i = 0; i < NEAR_DUP.HASHES; i++) {
+      const v = fmix32(h ^ SEEDS[i]);
+      if (v < sig[i]) sig[i] = v;
+    }
+  }
+  return sig;
+}
+
+function bandKeys(sig, prefix) {
+  const keys = [];
+  for (let b = 0; b < NEAR_DUP.BANDS; b++) {
+    keys.push(`${prefix}${b}:${Array.from(sig.subarray(b * ROWS, (b + 1) * ROWS)).join('.')}`);
+  }
+  return keys;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let common = 0;
+  for (const x of small) if (large.has(x)) common++;
+  return common / (a.size + b.size - common);
+}
+
+const alternateOf = (it, similarity) => ({
+  id: it.id, title: it.title, link: it.link, source: it.source, domain: it.domain,
+  publishedAt: it.publishedAt, lang: it.lang, similarity: Math.round(similarity * 100) / 100,
+});
+
+/**
+ * 비슷한 기사를 하나로 묶는다. 입력 순서는 대표 기사 기준으로 유지된다.
+ * @param {Array<object>} items 정규화 항목 (정확히 같은 URL 은 이미 제거된 상태)
+ * @param {{ trustOf?: (item) => number }} [opts] 대표 선정용 출처 신뢰도 (같으면 먼저 발행된 기사)
+ * @returns {Array<object>} 대표 항목 복사본 (묶인 기사가 있으면 alternates 배열)
+ */
+function collapseNearDuplicates(items, { trustOf = (it) => it.trust || 1 } = {}) {
+  const entries = items.map((it, index) => {
+    const title = shingles(it.title, it.lang);
+    const full = shingles(`${it.title || ''} ${it.description || ''}`, it.lang);
+    return { it, index, title, full, trust: trustOf(it), time: new Date(it.publishedAt).getTime() || Infinity };
+  });
+  // 신뢰도 높은 순(같으면 먼저 발행된 순)으로 대표 자리를 차지
+  const order = [...entries].sort((a, b) => (b.trust - a.trust) || (a.time - b.time) || (a.index - b.index));
+
+  const buckets = new Map(); // 밴드 키 → 대표 entry 목록
+  const primaries = [];
+  for (const e of order) {
+    const keys = [];
+    if (e.full.size >= NEAR_DUP.MIN_SHINGLES) keys.push(...bandKeys(minhash(e.full), 'f'));
+    if (e.title.size >= NEAR_DUP.MIN_SHINGLES) keys.push(...bandKeys(minhash(e.title), 't'));
+
+    let best = null;
+    const checked = new Set();
+    for (const k of keys) {
+      for (const p of buckets.get(k) || []) {
+        if (checked.has(p)) continue;
+        checked.add(p);
+        const tSim = e.title.size >= NEAR_DUP.MIN_SHINGLES ? jaccard(e.title, p.title) : 0;
+        const fSim = jaccard(e.full, p.full);
+        const sim = Math.max(tSim >= NEAR_DUP.TITLE_THRESHOLD ? tSim : 0, fSim >= NEAR_DUP.THRESHOLD ? fSim : 0);
+        if (sim > 0 && (!best || sim > best.sim)) best = { p, sim };
+      }
+    }
+
+    if (best) {
+      const kept = best.p.copy;
+      kept.reactions = Math.max(kept.reactions || 0, e.it.reactions || 0);
+      kept.followers = Math.max(kept.followers || 0, e.it.followers || 0);
+      kept.image = kept.image || e.it.image || null;
+      // 앞 단계에서 이미 묶인 항목이면 그 alternates 도 넘겨받음
+      for (const alt of [alternateOf(e.it, best.sim), ...(e.it.alternates || [])]) {
+        if (kept.alternates.length >= NEAR_DUP.MAX_ALTERNATES) break;
+        if (alt.id !== kept.id && !kept.alternates.some(a => a.id === alt.id)) kept.alternates.push(alt);
+      }
+      continue;
+    }
+    e.copy = { ...e.it, alternates: [...(e.it.alternates || [])] };
+    primaries.push(e);
+    for (const k of keys) {
+      if (!buckets.has(k)) buckets.set(k, []);
+      buckets.get(k).push(e);
+    }
+  }
+
+  return primaries
+    .sort((a, b) => a.index - b.index)
+    .map(({ copy }) => {
+      if (!copy.alternates.length) delete copy.alternates;
+      return copy;
+    });
+}
+
+module.exports = { collapseNearDuplicates, shingles, jaccard, NEAR_DUP };
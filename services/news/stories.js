@@ -0,0 +1,141 @@
+// services/news/stories.js - 같은 사건을 다룬 여러 매체 기사를 스토리로 묶기
+// - 근접 중복(nearDuplicates.js)보다 느슨한 기준: 같은 사건이면 제목이 달라도 묶음
+// - 기사 = 제목(가중치 2)·설명 단어의 TF-IDF 벡터, 발행 순으로 보며 가장 비슷한 스토리 중심(centroid)과
+//   코사인 유사도가 STORY_SIMILARITY 이상이면 합류, 아니면 새 스토리
+// - 출처 수는 기사와 그 alternates 의 도메인 수 → rankAndSort 의 교차 보도(c) 점수
+// - 상태: 최근 STORY_WINDOW_MIN 안의 기사가 직전 구간 이상이면 growing,
+//   마지막 기사가 STORY_FADING_MIN 보다 오래됐으면 fading, 그 외 steady
+const crypto = require('crypto');
+const { shingles } = require('./nearDuplicates');
+
+const STORY = {
+  SIMILARITY: Number(process.env.STORY_SIMILARITY || 0.3),
+  WINDOW_MIN: Number(process.env.STORY_WINDOW_MIN || 60),
+  FADING_MIN: Number(process.env.STORY_FADING_MIN || 180),
+  CORROBORATION_NORM: Number(process.env.STORY_CORROBORATION_NORM || 5), // 이 출처 수면 c 점수 1
+  TITLE_WEIGHT: 2,
+};
+
+const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
+const timeOf = (iso) => new Date(iso).getTime() || null;
+
+function termWeights(it) {
+  const title = shingles(it.title, it.lang, { bigrams: false });
+  const terms = new Map();
+  for (const t of shingles(it.description, it.lang, { bigrams: false })) terms.set(t, 1);
+  for (const t of title) terms.set(t, STORY.TITLE_WEIGHT);
+  return terms;
+}
+
+// idf 를 곱하고 길이 1 로 정규화
+function toVector(terms, idf) {
+  const vec = new Map();
+  let norm = 0;
+  for (const [t, w] of terms) { const v = w * (idf.get(t) || 0); vec.set(t, v); norm += v * v; }
+  norm = Math.sqrt(norm) || 1;
+  for (const [t, v] of vec) vec.set(t, v / norm);
+  return vec;
+}
+
+function cosine(vec, centroid) {
+  let dot = 0;
+  for (const [t, v] of vec) dot += v * (centroid.sum.get(t) || 0);
+  return centroid.norm ? dot / centroid.norm : 0;
+}
+
+function addToCentroid(centroid, vec) {
+  for (const [t, v] of vec) centroid.sum.set(t, (centroid.sum.get(t) || 0) + v);
+  let norm = 0;
+  for (const v of centroid.sum.values()) norm += v * v;
+  centroid.norm = Math.sqrt(norm);
+}
+
+function storyStatus(times, now) {
+  const newest = Math.max(...times);
+  if (now - newest > STORY.FADING_MIN * 60000) return 'fading';
+  const win = STORY.WINDOW_MIN * 60000;
+  const recent = times.filter(t => now - t <= win).length;
+  const previous = times.filter(t => now - t > win && now - t <= 2 * win).length;
+  return recent > 0 && recent >= previous ? 'growing' : 'steady';
+}
+
+/**
+ * 기사들을 스토리로 묶어 출처가 2곳 이상인 묶음의 기사에 story 메타를 붙인 새 배열을 돌려준다.
+ * story = { id, articleCount, sourceCount, sources, firstSeenAt, lastUpdatedAt, status }
+ * @param {Array<object>} items 근접 중복까지 정리된 항목
+ */
+function assignStories(items, now = Date.now()) {
+  const docs = items.map(it => termWeights(it));
+  const df = new Map();
+  for (const terms of docs) for (const t of terms.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const idf = new Map(Array.from(df, ([t, n]) => [t, Math.log((items.length + 1) / (n + 1)) + 1]));
+
+  const order = items.map((it, i) => i).sort((a, b) => (timeOf(items[a].publishedAt) || 0) - (timeOf(items[b].publishedAt) || 0));
+  const clusters = [];
+  const clusterOf = new Array(items.length);
+  for (const i of order) {
+    const vec = toVector(docs[i], idf);
+    let best = null;
+    for (const c of clusters) {
+      const sim = cosine(vec, c.centroid);
+      if (sim >= STORY.SIMILARITY && (!best || sim > best.sim)) best = { c, sim };
+    }
+    const c = best ? best.c : { members: [], centroid: { sum: new Map(), norm: 0 } };
+    if (!best) clusters.push(c);
+    c.members.push(i);
+    addToCentroid(c.centroid, vec);
+    clusterOf[i] = c;
+  }
+
+  for (const c of clusters) {
+    const articles = c.members.map(i => items[i]);
+    const all = articles.flatMap(it => [it, ...(it.alternates || [])]);
+    const sources = Array.from(new Set(all.map(a => a.domain || a.source).filter(Boolean)));
+    if (sources.length < 2) continue;
+    const times = all.map(a => timeOf(a.publishedAt)).filter(Boolean);
+    c.story = {
+      id: `s_${sha1(articles[0].id || articles[0].link).slice(0, 12)}`,
+      articleCount: articles.length,
+      sourceCount: sources.length,
+      sources,
+      firstSeenAt: times.length ? new Date(Math.min(...times)).toISOString() : null,
+      lastUpdatedAt: times.length ? new Date(Math.max(...times)).toISOString() : null,
+      status: times.length ? storyStatus(times, now) : 'steady',
+    };
+  }
+  // 이전 단계에서 붙은 story 는 이번 결과로 교체
+  return items.map((it, i) => {
+    const { story: _prev, ...rest } = it;
+    return clusterOf[i].story ? { ...rest, story: clusterOf[i].story } : rest;
+  });
+}
+
+/**
+ * 랭킹된 기사 목록 → 스토리 목록 (대표 = 가장 높은 점수의 기사, 스토리 순서도 그 점수 순)
+ */
+function buildStories(ranked) {
+  const byId = new Map();
+  for (const it of ranked) {
+    if (!it.story) continue;
+    const s = byId.get(it.story.id);
+    if (s) { s.articleIds.push(it.id); s.image = s.image || it.image || null; continue; }
+    byId.set(it.story.id, {
+      ...it.story,
+      headline: it.title,
+      headlineKo: it.titleKo || it.title,
+      representativeId: it.id,
+      image: it.image || null,
+      score: it.score,
+      articleIds: [it.id],
+    });
+  }
+  return Array.from(byId.values());
+}
+
+// rankAndSort 의 c(교차 보도) 점수
+function corroborationScore(story) {
+  if (!story) return 0;
+  return Math.min(1, (story.sourceCount - 1) / Math.max(1, STORY.CORROBORATION_NORM - 1));
+}
+
+module.exports = { assignStories, buildStories, corroborationScore, STORY };
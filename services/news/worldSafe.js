@@ -1,11 +1,13 @@
 // services/news/worldSafe.js
-const Parser = require('rss-parser');
-const { fetchWithRetry, logAxiosError } = require('../rss/httpClient');
+const { fetchFeed, logAxiosError } = require('../rss/httpClient');
+const { getFeedsByIds } = require('../rss/catalog');
+const { parseFeed } = require('../rss/feedParser');
+const { sourceHealth } = require('../sources/health');
+const { toImage } = require('../sources/common');
 const NewsService = require('../newsService');
 
 const { createClient } = require('redis');
 
-const parser = new Parser();
 const WORLD_PAGE_SIZE = Number(process.env.WORLD_PAGE_SIZE ?? 30);
 const SWR_TTL_SEC = Number(process.env.SWR_TTL_SEC ?? 1800);   // 신선 30m
 const STALE_TTL_SEC = Number(process.env.STALE_TTL_SEC ?? 7200); // 스테일 2h
@@ -29,7 +31,7 @@ function normalizeRssItem(item, source) {
   const sixtyDaysAgo = new Date();
   sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60); // 30일 -> 60일로 완화
   
-  const publishedDate = new Date(item.isoDate || item.pubDate || new Date().toISOString());
+  const publishedDate = new Date(item.publishedAt || new Date().toISOString());
   
   // 60일 이내 뉴스만 반환
   if (isNaN(publishedDate.getTime()) || publishedDate < sixtyDaysAgo) {
@@ -40,8 +42,9 @@ function normalizeRssItem(item, source) {
     title: item.title,
     link: item.link,
     source,
-    description: item.contentSnippet || item.content || '',
-    publishedAt: item.isoDate || item.pubDate || new Date().toISOString(),
+    description: item.summary || '',
+    publishedAt: item.publishedAt || new Date().toISOString(),
+    image: toImage(item.image, item.link),
   };
 }
 
@@ -59,22 +62,20 @@ function filterRecentNews(items) {
   });
 }
 
+// 카탈로그 id (config/rssSources.js)
+const REUTERS_WORLD = ['reuters-world', 'reuters-world-alt'];
+
 async function fetchReutersWorld() {
-  const urls = [
-    'https://feeds.reuters.com/reuters/worldNews',
-    'https://www.reuters.com/markets/world/rss',
-  ];
-  for (const url of urls) {
+  for (const { id, url, name } of getFeedsByIds(REUTERS_WORLD)) {
     try {
-      const res = await fetchWithRetry(url, 3);
-      const feed = await parser.parseString(res.data);
+      const { parsed: feed } = await sourceHealth.run(`rss:${id}`, () => fetchFeed(url, { parse: parseFeed }));
       if (feed?.items?.length) {
         return feed.items
-          .map((it) => normalizeRssItem(it, 'Reuters'))
+          .map((it) => normalizeRssItem(it, name))
           .filter(item => item !== null); // null 값 필터링
       }
     } catch (e) {
-      logAxiosError(e, { source: 'Reuters', url });
+      logAxiosError(e, { source: name, url });
       continue;
     }
   }
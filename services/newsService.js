@@ -3,11 +3,25 @@
  * - 프론트엔드 호환성 문제를 해결하고, 백엔드 버그를 수정했으며, AIService를 연동한 최종 버전입니다.
  */
 
-const axios = require('axios');
-const Parser = require('rss-parser');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const AIService = require('./aiService'); // AI 서비스 import
+const CacheService = require('./cacheService');
+const sources = require('./sources');
+const catalog = require('./rss/catalog');
+const { sourceHealth } = require('./sources/health');
+const { RedditClient } = require('./sources/redditClient');
+const { NaverClient } = require('./sources/naverClient');
+const { VideoStatsTracker, statsVelocityScore } = require('./sources/videoStats');
+const { SocialSignals, velocityScore } = require('./signals');
+const { getConditionalStats, getHostStats, createHttpClient } = require('./rss/httpClient');
+const { domainFromUrl, stripHtml, toImage } = require('./sources/common');
+const { detectLanguage } = require('./sources/language');
+const { canonicalizeUrl, unwrapUrl, urlIdentity, CanonicalResolver } = require('./sources/canonicalUrl');
+const { collapseNearDuplicates } = require('./news/nearDuplicates');
+const { assignStories, buildStories, corroborationScore } = require('./news/stories');
+const { ArticleStore } = require('./news/articleStore');
+const { getArchive } = require('./news/archive');
 
 // Redis 클라이언트
 let redis;
@@ -23,14 +37,14 @@ try {
   logger.warn('Redis not available, using memory cache');
 }
 
-// 메모리 캐시 폴백
+// 메모리 캐시 폴백 (키별 만료 타이머)
 const memoryCache = new Map();
+const memoryTimers = new Map();
 
 // -------------------------------
 // 공통 유틸
 // -------------------------------
 const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
-const domainFromUrl = (u) => { try { return new URL(u).hostname.replace(/^www\./,''); } catch { return ''; } };
 const minutesSince = (iso) => { const t = new Date(iso).getTime(); if (!t) return 99999; return Math.max(0, (Date.now() - t) / 60000); };
 
 const FAST = {
@@ -42,29 +56,47 @@ const FAST = {
   TTL_FULL: Number(process.env.FULL_REDIS_TTL_SEC || 600),
 };
 
+// 스케줄러가 저장한 target 별 항목 보관 기간 (소스가 한동안 실패해도 마지막 수집분 사용)
+const INGEST_ITEMS_TTL_SEC = Number(process.env.INGEST_ITEMS_TTL_SEC || 6 * 3600);
+
 const RANK_TAU_MIN = Number(process.env.RANK_TAU_MIN || 90);
 const freshness = (ageMin) => Math.exp(-ageMin / RANK_TAU_MIN);
-const deduplicate = (items) => { const seen=new Set(); const out=[]; for(const it of items){ const k=sha1((it.title||'')+(it.url||'')); if(seen.has(k)) continue; seen.add(k); out.push(it);} return out; };
+// 같은 기사 URL(또는 URL 없으면 제목)은 하나로. 먼저 온 항목을 남기고 참여 신호는 큰 값을 취함
+// (예: Reddit 링크 게시물의 추천/댓글 수가 같은 기사의 RSS 항목에 합쳐짐)
+// URL 키는 기사 ID 와 같은 기준 (sources/canonicalUrl.js urlIdentity: 정규 URL 에서 스킴·www 제외)
+const dedupeKey = (it) => sha1(urlIdentity(it.canonicalUrl||it.link||it.url||'') || (it.title||''));
+const deduplicate = (items) => {
+  const seen=new Map(); const out=[];
+  for(const it of items){
+    const k=dedupeKey(it);
+    const kept=seen.get(k);
+    if(kept){ kept.reactions=Math.max(kept.reactions||0,it.reactions||0); kept.followers=Math.max(kept.followers||0,it.followers||0); kept.image=kept.image||it.image||null; continue; }
+    const copy={...it}; seen.set(k,copy); out.push(copy);
+  }
+  return out;
+};
 const filterRecent = (items,h=12)=> items.filter(it=>minutesSince(it.publishedAt)<=h*60);
 
 // -------------------------------
 // 섹션별 가중치 프로필
 // -------------------------------
+// c = 교차 보도(스토리 출처 수, services/news/stories.js)
 const DEFAULT_WEIGHTS = {
-  buzz:     { f:0.25, v:0.40, e:0.15, s:0.10, d:0.05, l:0.05 },
-  world:    { f:0.35, v:0.15, e:0.10, s:0.30, d:0.05, l:0.05 },
-  korea:    { f:0.30, v:0.20, e:0.10, s:0.30, d:0.05, l:0.05 },
-  kr:       { f:0.30, v:0.20, e:0.10, s:0.30, d:0.05, l:0.05 },
-  japan:    { f:0.30, v:0.20, e:0.10, s:0.30, d:0.05, l:0.05 },
-  business: { f:0.25, v:0.20, e:0.20, s:0.30, d:0.03, l:0.02 },
-  tech:     { f:0.20, v:0.40, e:0.20, s:0.15, d:0.03, l:0.02 },
+  buzz:     { f:0.25, v:0.40, e:0.15, s:0.05, d:0.05, l:0.05, c:0.05 },
+  world:    { f:0.35, v:0.15, e:0.10, s:0.20, d:0.05, l:0.05, c:0.10 },
+  korea:    { f:0.30, v:0.20, e:0.10, s:0.20, d:0.05, l:0.05, c:0.10 },
+  kr:       { f:0.30, v:0.20, e:0.10, s:0.20, d:0.05, l:0.05, c:0.10 },
+  japan:    { f:0.30, v:0.20, e:0.10, s:0.20, d:0.05, l:0.05, c:0.10 },
+  business: { f:0.25, v:0.20, e:0.20, s:0.20, d:0.03, l:0.02, c:0.10 },
+  tech:     { f:0.20, v:0.40, e:0.20, s:0.10, d:0.03, l:0.02, c:0.05 },
 };
+// "f,v,e,s,d,l[,c]" (c 를 빼면 기본값)
 function parseWeight(envVal, fallback) {
   if (!envVal) return fallback;
   try {
-    const [f,v,e,s,d,l] = envVal.split(',').map(Number);
+    const [f,v,e,s,d,l,c] = envVal.split(',').map(Number);
     if ([f,v,e,s,d,l].some(x => Number.isNaN(x))) return fallback;
-    return { f,v,e,s,d,l };
+    return { f,v,e,s,d,l, c: c === undefined || Number.isNaN(c) ? fallback.c : c };
   } catch { return fallback; }
 }
 const SECTION_WEIGHTS = {
@@ -77,48 +109,42 @@ const SECTION_WEIGHTS = {
   tech:     parseWeight(process.env.WEIGHTS_TECH, DEFAULT_WEIGHTS.tech),
 };
 
+// 섹션별 선호 언어 (l 가중치): 첫 언어 1.0, 그 다음 0.7, 감지 실패 0.5, 그 외 0
+const SECTION_LANGS = {
+  kr:    ['ko'],
+  korea: ['ko'],
+  japan: ['ja', 'ko'],
+};
+const DEFAULT_LANGS = ['ko', 'en'];
+
+function localeScore(section, lang) {
+  if (!lang || lang === 'und') return 0.5;
+  const idx = (SECTION_LANGS[section] || DEFAULT_LANGS).indexOf(lang);
+  return idx === 0 ? 1 : idx > 0 ? 0.7 : 0;
+}
+
 // -------------------------------
 // 섹션별 소스/키워드/화이트리스트
 // -------------------------------
-const TW_QUERIES = { /* ... 기존 내용과 동일 ... */ };
-const REDDIT_EP = { /* ... 기존 내용과 동일 ... */ };
-const YT_REGIONS = { /* ... 기존 내용과 동일 ... */ };
-const RSS_FEEDS = {
-  world: [
-    { url: 'https://feeds.reuters.com/reuters/topNews', name: 'Reuters Top News' },
-    { url: 'http://rss.cnn.com/rss/edition.rss', name: 'CNN World' },
-    { url: 'https://feeds.bbci.co.uk/news/world/rss.xml', name: 'BBC World' },
-    { url: 'https://rss.dw.com/rdf/rss-en-all', name: 'Deutsche Welle' },
-    { url: 'https://feeds.reuters.com/reuters/worldNews', name: 'Reuters World' }
-  ],
-  tech: [
-    { url: 'https://feeds.feedburner.com/TechCrunch', name: 'TechCrunch' },
-    { url: 'https://rss.cnn.com/rss/edition_technology.rss', name: 'CNN Tech' },
-    { url: 'https://feeds.reuters.com/reuters/technologyNews', name: 'Reuters Tech' },
-    { url: 'https://feeds.feedburner.com/venturebeat/SZYF', name: 'VentureBeat' },
-    { url: 'https://feeds.feedburner.com/oreilly/radar', name: 'O\'Reilly Radar' }
-  ],
-  business: [
-    { url: 'https://feeds.reuters.com/reuters/businessNews', name: 'Reuters Business' },
-    { url: 'http://rss.cnn.com/rss/money_latest.rss', name: 'CNN Business' },
-    { url: 'https://feeds.bbci.co.uk/news/business/rss.xml', name: 'BBC Business' },
-    { url: 'https://feeds.bloomberg.com/markets/news.rss', name: 'Bloomberg Markets' }
-  ],
-  buzz: [
-    { url: 'https://feeds.reuters.com/reuters/topNews', name: 'Reuters Top' },
-    { url: 'http://rss.cnn.com/rss/edition.rss', name: 'CNN Top' },
-    { url: 'https://feeds.bbci.co.uk/news/rss.xml', name: 'BBC News' }
-  ],
-  kr: [
-    { url: 'https://rss.joins.com/joins_news_list.xml', name: '중앙일보' },
-    { url: 'https://rss.hankyung.com/feed/economy.xml', name: '한국경제' }
-  ],
-  japan: [
-    { url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', name: 'NHK News' },
-    { url: 'https://feeds.reuters.com/reuters/JPDomesticNews', name: 'Reuters Japan' }
-  ]
-};
 const SOURCE_WEIGHTS = { /* ... 기존 내용과 동일 ... */ };
+const sourceTrust = (it) => it.trust || SOURCE_WEIGHTS[it.domain || ''] || 1;
+
+// URL 중복 제거 → 출처가 다른 같은 기사 묶기 (services/news/nearDuplicates.js, 신뢰도 높은 출처가 대표)
+const dedupeItems = (items) => collapseNearDuplicates(deduplicate(items), { trustOf: sourceTrust });
+
+// 섹션별 소스 어댑터 (services/sources 레지스트리 이름)
+//   문자열 또는 { name, phase } — 자세한 규칙은 sources/registry.js
+//   RSS 피드 목록과 단계는 config/rssSources.js 카탈로그가 결정
+//   naver 검색어 묶음은 sources/naver.js (kr 외 섹션은 백필 단계)
+//   YouTube 뉴스 채널은 sources/youtubeChannels.js, 검색어는 sources/youtubeSearch.js
+const SECTION_SOURCES = {
+  world:    ['newsapi', 'rss', 'gnews', 'reddit', 'youtube', 'youtube-channels', { name: 'naver', phase: 2 }],
+  tech:     ['newsapi', 'rss', 'hackernews', 'gnews', 'reddit', 'youtube', 'youtube-channels', 'github', { name: 'naver', phase: 2 }],
+  business: ['newsapi', 'rss', 'gnews', 'reddit', 'youtube', 'youtube-channels', { name: 'naver', phase: 2 }],
+  buzz:     ['newsapi', 'rss', 'gnews', 'reddit', 'youtube', 'youtube-search'],
+  kr:       ['naver', 'rss', 'youtube-channels'],
+  japan:    ['rss', { name: 'naver', phase: 2 }],
+};
 
 // -------------------------------
 // NewsService
@@ -127,19 +153,64 @@ class NewsService {
   constructor(opts = {}) {
     this.logger = opts.logger || logger;
     this.API_TIMEOUT = 5000;
-    this.aiService = new AIService();
+    // 하위 서비스가 모두 같은 CacheService(= Redis 연결 하나)를 씀
+    this.cache = opts.cache || CacheService.shared();
+    this.aiService = new AIService({ cache:this.cache });
+    this.health = opts.health || sourceHealth;
+    this.signals = opts.signals || new SocialSignals({ logger: this.logger, cache:this.cache });
     
-    this.newsApiClient = axios.create({ baseURL:'https://newsapi.org/v2/', timeout:this.API_TIMEOUT, headers:{ 'X-Api-Key': process.env.NEWS_API_KEY || '' }});
-    this.gnewsApi = axios.create({ baseURL:'https://gnews.io/api/v4/', timeout:this.API_TIMEOUT });
-    this.naverClient = axios.create({ baseURL: 'https://openapi.naver.com/v1/search/', timeout: this.API_TIMEOUT, headers: { 'X-Naver-Client-Id': process.env.NAVER_CLIENT_ID || '', 'X-Naver-Client-Secret': process.env.NAVER_CLIENT_SECRET || '' }});
-    this.redditApi = axios.create({ baseURL:'https://oauth.reddit.com', timeout:this.API_TIMEOUT, headers:{ Authorization:`Bearer ${process.env.REDDIT_TOKEN||''}`, 'User-Agent':process.env.REDDIT_USER_AGENT||'emark-buzz/1.0' }});
-    this.youtubeApi = axios.create({ baseURL:'https://www.googleapis.com/youtube/v3', timeout:this.API_TIMEOUT });
-    this.rssParser = new Parser({ timeout: 5000, headers: { 'User-Agent': 'EmarkNews/2.0 (News Aggregator)' }});
+    // 상류 API 클라이언트는 모두 호스트별 요청 제한(services/rss/hostLimiter.js)과 녹화/재생(HTTP_FIXTURES)을 공유
+    this.newsApiClient = createHttpClient({ baseURL:'https://newsapi.org/v2/', timeout:this.API_TIMEOUT, headers:{ 'X-Api-Key': process.env.NEWS_API_KEY || '' }});
+    this.gnewsApi = createHttpClient({ baseURL:'https://gnews.io/api/v4/', timeout:this.API_TIMEOUT });
+    this.naverClient = new NaverClient({ timeout:this.API_TIMEOUT, logger:this.logger, cache:this.cache });
+    this.redditApi = new RedditClient({ timeout:this.API_TIMEOUT, logger:this.logger });
+    this.youtubeApi = createHttpClient({ baseURL:'https://www.googleapis.com/youtube/v3', timeout:this.API_TIMEOUT });
+    this.videoStats = opts.videoStats || new VideoStatsTracker({ cache:this.cache });
+    this.canonicalResolver = opts.canonicalResolver || new CanonicalResolver({ logger:this.logger, cache:this.cache });
+    this.articles = opts.articles || new ArticleStore({ logger:this.logger, cache:this.cache });
+    this.archive = opts.archive !== undefined ? opts.archive : getArchive(); // SQLite 영구 보관소 (없으면 null)
+    this.hnApi = createHttpClient({ baseURL:'https://hn.algolia.com/api/v1', timeout:this.API_TIMEOUT });
+    this.githubWeb = createHttpClient({ baseURL:'https://github.com', timeout:this.API_TIMEOUT, headers:{ 'User-Agent':'emarknews-bot/1.0', Accept:'text/html' }, responseType:'text' });
   }
 
   // ====== 공개 API ======
   async getSectionFast(section='buzz'){ return this._getFast(section); }
   async getSectionFull(section='buzz'){ return this._getFull(section); }
+
+  // 기사 ID 로 조회 (/api/article/:section/:id). 저장소에 없으면 섹션의 현재 캐시, 그다음 보관소에서 찾음
+  // 근접 중복으로 묶인 기사 ID 는 대표 기사를 돌려준다
+  async getArticleById(section, id){
+    const stored = await this.articles.get(id);
+    if (stored) return stored.article;
+    const sec = catalog.resolveSection(section);
+    for (const key of [`${sec}_snapshot`, `${sec}_full`, `${sec}_fast`]) {
+      const payload = await this._readCache(key);
+      const found = (payload?.data || []).find(a => a.id === id || (a.alternates || []).some(alt => alt.id === id));
+      if (found) return found;
+    }
+    return this.archive?.get(id)?.article || null;
+  }
+
+  // 보관 기사 목록 (/api/archive/:section) - 12시간 창이 지난 기사 포함
+  getArchive(section='world', opts={}){
+    if (!this.archive) return null;
+    const sec = catalog.resolveSection(section);
+    const { items, total } = this.archive.list(sec, opts);
+    return { success: true, data: items, section: sec, total, timestamp: new Date().toISOString() };
+  }
+
+  // 보관 기사 하나 + 섹션별 기록, 순위 이력 (/api/archive/article/:id)
+  getArchivedArticle(id){
+    return this.archive?.get(id) || null;
+  }
+
+  // 섹션 스토리 목록 (각 스토리에 소속 기사 포함)
+  async getStories(section='world'){
+    const payload = await this._getFull(section);
+    const byId = new Map((payload.data || []).map(a => [a.id, a]));
+    const stories = (payload.stories || []).map(s => ({ ...s, articles: s.articleIds.map(id => byId.get(id)).filter(Boolean) }));
+    return { success: true, data: stories, section: payload.section, total: stories.length, partial: !!payload.partial, timestamp: payload.timestamp };
+  }
   
   // ====== AI 연동 메서드 ======
   async _enrichArticlesWithAI(articles) {
@@ -149,10 +220,14 @@ class NewsService {
     }
 
     const enrichmentPromises = articles.map(async (article) => {
+      // 이미 보강된 기사 (이전 응답이나 보관소에서 가져온 결과)
+      if (article.aiEnrichedAt) return article;
       try {
+        // 이미 한국어인 기사는 제목 번역을 건너뜀
+        const needsTranslation = article.lang !== 'ko';
         const [summaryResult, translationResult] = await Promise.all([
           this.aiService.summarize(article.title + '\n' + (article.description || ''), { detailed: true }),
-          this.aiService.translate(article.title, 'ko')
+          needsTranslation ? this.aiService.translate(article.title, 'ko') : null
         ]);
         
         let summaryPoints = [];
@@ -160,9 +235,12 @@ class NewsService {
             summaryPoints = summaryResult.data.summary.split('\n').map(line => line.replace(/^[•\-*]\s*/, '').trim()).filter(point => point);
         }
 
-        const titleKo = (translationResult.success && translationResult.data.translated) ? translationResult.data.translated : article.title;
+        const translated = translationResult?.success && translationResult.data.translated;
+        const titleKo = translated || article.title;
+        // 요약과 (필요하면) 번역이 모두 성공한 경우만 완료로 표시 → 보관소에 저장되고 다시 요청하지 않음
+        const complete = summaryPoints.length > 0 && (!needsTranslation || !!translated);
 
-        return { ...article, summaryPoints: summaryPoints.length > 0 ? summaryPoints : [article.description], titleKo };
+        return { ...article, summaryPoints: summaryPoints.length > 0 ? summaryPoints : [article.description], titleKo, ...(complete ? { aiEnrichedAt: new Date().toISOString() } : {}) };
       } catch (error) {
         this.logger.warn(`AI enrichment failed for article ${article.id}:`, error.message);
         return article; 
@@ -172,74 +250,85 @@ class NewsService {
     return Promise.all(enrichmentPromises);
   }
 
-  // ====== 내부: 빠른 길 ======
-  async _getFast(section){
-    const key=`${section}_fast`;
+  // ====== 캐시 (Redis 또는 메모리, 값은 JSON 문자열) ======
+  async _readCache(key) {
     let cached = null;
-    if (redis) { try { cached = await redis.get(key); } catch (e) { this.logger.warn('Redis get failed:', e.message); } }
+    if (redis) { try { cached = await redis.get(key); } catch (e) { this.logger.warn(`Redis get failed: ${e.message}`); } }
     else { cached = memoryCache.get(key); }
-    if (cached) return JSON.parse(cached);
+    if (!cached) return null;
+    try { return JSON.parse(cached); } catch { return null; }
+  }
 
-    const rd = REDDIT_EP[section] || [];
-    const rs = RSS_FEEDS[section] || [];
-    let phase1 = [];
-    
-    // API 키가 없을 때는 RSS 우선으로 처리
-    if (section === 'kr') { 
-      phase1 = [ this.fetchFromNaver(section), ...(rs.slice(0,2).map(r=>this.fetchFromRSS(r.url))) ]; 
-    }
-    else if (section === 'japan') { 
-      phase1 = [ ...(rs.slice(0,3).map(r=>this.fetchFromRSS(r.url))) ]; 
-    }
-    else { 
-      // API 키가 있을 때만 NewsAPI 사용, 없으면 RSS만 사용
-      if (process.env.NEWS_API_KEY && process.env.NEWS_API_KEY !== 'your_newsapi_key_here') {
-        phase1 = [ this.fetchFromNewsAPI(section), ...(rs.slice(0,3).map(r=>this.fetchFromRSS(r.url))) ];
-      } else {
-        phase1 = [ ...(rs.slice(0,4).map(r=>this.fetchFromRSS(r.url))) ];
+  async _writeCache(key, payload, ttlSec) {
+    const value = JSON.stringify(payload);
+    try {
+      if (redis) { await redis.set(key, value, { EX: ttlSec }); }
+      else {
+        clearTimeout(memoryTimers.get(key));
+        memoryCache.set(key, value);
+        const timer = setTimeout(() => { memoryCache.delete(key); memoryTimers.delete(key); }, ttlSec * 1000);
+        timer.unref?.();
+        memoryTimers.set(key, timer);
       }
+    } catch (e) { this.logger.warn(`Cache save failed: ${e.message}`); }
+  }
+
+  // 보관소에 남은 AI 결과를 붙여 같은 기사를 다시 요약·번역하지 않게 함
+  _reuseAiOutputs(items) {
+    if (!this.archive) return items;
+    try {
+      const saved = this.archive.aiOutputs(items.filter(it => !it.aiEnrichedAt).map(it => it.id));
+      return items.map(it => saved.has(it.id) ? { ...it, ...saved.get(it.id) } : it);
+    } catch (e) {
+      this.logger.warn(`Archive AI lookup failed: ${e.message}`);
+      return items;
     }
+  }
+
+  // 랭킹 결과를 보관소에 기록 (실패해도 응답은 그대로)
+  _recordArchive(section, ranked, servedCount) {
+    if (!this.archive) return;
+    try { this.archive.record(section, ranked, servedCount); }
+    catch (e) { this.logger.warn(`Archive record failed for ${section}: ${e.message}`); }
+  }
+
+  // 수집 항목 → 중복 제거, 소셜 신호, AI 보강, 랭킹을 거친 응답 payload
+  async _buildPayload(section, items, limit = FAST.FULL_MAX) {
+    const unique = dedupeItems(filterRecent(items, 12));
+    const withSignals = await this._attachSocialSignals(section, unique);
+    const enriched = await this._enrichArticlesWithAI(this._reuseAiOutputs(withSignals));
+    const ranked = this.rankAndSort(section, assignStories(enriched));
+    const full = ranked.slice(0, limit);
+    await this.articles.putMany(full, section);
+    this._recordArchive(section, ranked, full.length);
+    return { success: true, data: full, stories: buildStories(full), section, total:full.length, partial:false, timestamp:new Date().toISOString() };
+  }
+
+  // ====== 내부: 빠른 길 ======
+  async _getFast(section){
+    if (this.scheduler?.running) return this._serveSnapshot(section);
+    const key=`${section}_fast`;
+    const cached = await this._readCache(key);
+    if (cached) return cached;
+
+    const phase1 = this._collect(section, 1);
     
     const p1 = await Promise.race([ Promise.allSettled(phase1), new Promise(r=>setTimeout(()=>r([]), FAST.PHASE1_MS)) ]);
     const first = (Array.isArray(p1)?p1:[]).filter(x=>x.status==='fulfilled').flatMap(x=>x.value||[]);
-    const ranked = this.rankAndSort(section, deduplicate(filterRecent(first,12))).slice(0,FAST.FIRST_BATCH);
-    const initial = { success: true, data: ranked, section, total:ranked.length, partial:true, timestamp:new Date().toISOString() };
-    
-    try {
-      if (redis) { await redis.set(key, JSON.stringify(initial), 'EX', FAST.TTL_FAST); } 
-      else { memoryCache.set(key, initial); setTimeout(() => memoryCache.delete(key), FAST.TTL_FAST * 1000); }
-    } catch (e) { this.logger.warn('Cache save failed:', e.message); }
+    const ranked = this.rankAndSort(section, assignStories(dedupeItems(filterRecent(first,12)))).slice(0,FAST.FIRST_BATCH);
+    const initial = { success: true, data: ranked, stories: buildStories(ranked), section, total:ranked.length, partial:true, timestamp:new Date().toISOString() };
+    await this.articles.putMany(ranked, section);
+    await this._writeCache(key, initial, FAST.TTL_FAST);
 
     (async()=>{
       try {
-        const yt = YT_REGIONS[section] || [];
-        let phase2 = [];
-        if (section === 'kr') { 
-          phase2 = [ ...rs.slice(2).map(r=>this.fetchFromRSS(r.url)) ]; 
-        }
-        else if (section === 'japan') { 
-          phase2 = [ ...rs.slice(3).map(r=>this.fetchFromRSS(r.url)) ]; 
-        }
-        else { 
-          // API 키가 있을 때만 YouTube/GNews 사용
-          if (process.env.GNEWS_API_KEY && process.env.GNEWS_API_KEY !== 'your_gnews_api_key_here') {
-            phase2 = [ ...rs.slice(4).map(r=>this.fetchFromRSS(r.url)), this.fetchFromGNews(section) ];
-          } else {
-            phase2 = [ ...rs.slice(4).map(r=>this.fetchFromRSS(r.url)) ];
-          }
-        }
+        const phase2 = this._collect(section, 2);
         
         const p2 = await Promise.race([ Promise.allSettled(phase2), new Promise(r=>setTimeout(()=>r([]), FAST.PHASE2_MS)) ]);
         const extra = (Array.isArray(p2)?p2:[]).filter(x=>x.status==='fulfilled').flatMap(x=>x.value||[]);
-        const merged = deduplicate(filterRecent([...ranked,...extra],12));
-        
-        const enriched = await this._enrichArticlesWithAI(merged);
-        const full = this.rankAndSort(section, enriched).slice(0,FAST.FULL_MAX);
-        const payload = { success: true, data: full, section, total:full.length, partial:false, timestamp:new Date().toISOString() };
-        
-        if (redis) { await redis.set(key, JSON.stringify(payload), 'EX', FAST.TTL_FULL); }
-        else { memoryCache.set(key, payload); setTimeout(() => memoryCache.delete(key), FAST.TTL_FULL * 1000); }
-      } catch (e) { this.logger.warn('Phase2 with AI failed:', e.message); }
+        const payload = await this._buildPayload(section, [...ranked, ...extra]);
+        await this._writeCache(key, payload, FAST.TTL_FULL);
+      } catch (e) { this.logger.warn(`Phase2 with AI failed: ${e.message}`); }
     })();
 
     return initial;
@@ -247,224 +336,159 @@ class NewsService {
 
   // ====== 내부: 완전체 ======
   async _getFull(section){
+    if (this.scheduler?.running) return this._serveSnapshot(section);
     const key=`${section}_full`;
-    let cached = null;
-    if (redis) { try { cached = await redis.get(key); } catch (e) { this.logger.warn('Redis get failed:', e.message); } }
-    else { cached = memoryCache.get(key); }
-    if (cached) return JSON.parse(cached);
-
-    const rd = REDDIT_EP[section] || [];
-    const yt = YT_REGIONS[section] || [];
-    const rs = RSS_FEEDS[section] || [];
-    const tasks = [ this.fetchFromNewsAPI(section), this.fetchFromGNews(section), ...rd.map(r=>this.fetchFromRedditAPI(r)), ...yt.map(y=>this.fetchFromYouTubeTrending(y)), ...rs.map(r=>this.fetchFromRSS(r.url)) ];
-    if (section === 'kr') tasks.push(this.fetchFromNaver(section));
+    const cached = await this._readCache(key);
+    if (cached) return cached;
 
+    const tasks = this._collect(section, 'full');
     const settled = await Promise.allSettled(tasks);
     const raw = settled.filter(s=>s.status==='fulfilled').flatMap(s=>s.value||[]);
-    const uniqueRaw = deduplicate(filterRecent(raw, 12));
-    
-    const enriched = await this._enrichArticlesWithAI(uniqueRaw);
-    const full = this.rankAndSort(section, enriched).slice(0,FAST.FULL_MAX);
-    const payload = { success: true, data: full, section, total:full.length, partial:false, timestamp:new Date().toISOString() };
-    
-    try {
-      if (redis) { await redis.set(key, JSON.stringify(payload), 'EX', FAST.TTL_FULL); }
-      else { memoryCache.set(key, payload); setTimeout(() => memoryCache.delete(key), FAST.TTL_FULL * 1000); }
-    } catch (e) { this.logger.warn('Cache save failed:', e.message); }
-    
+    const payload = await this._buildPayload(section, raw);
+    await this._writeCache(key, payload, FAST.TTL_FULL);
     return payload;
   }
 
+  // ====== 백그라운드 수집 (services/ingestScheduler.js) ======
+  // 스케줄러가 돌고 있으면 섹션 라우트는 저장된 스냅샷만 읽는다
+  attachScheduler(scheduler) { this.scheduler = scheduler; }
+
+  getSections() { return Object.keys(SECTION_SOURCES); }
+
+  // 소스 구성이 바뀌면 달라지는 값 (RSS 카탈로그 로드 시각)
+  getPlanVersion() { return catalog.getCatalogStatus().loadedAt; }
+
+  planSection(section) {
+    const sec = catalog.resolveSection(section);
+    return sources.planSources(SECTION_SOURCES[sec], sec, 'full', this);
+  }
+
+  targetKey(adapter, target) { return sources.targetKey(adapter, target); }
+
+  // target 1개 수집 → 정규화 항목 저장. 실패하면 이전 저장분을 유지하고 throw
+  // @returns {{ items, hints }} hints 는 스케줄러의 폴링 간격 조정에 사용
+  async ingestTarget(adapter, target) {
+    const key = sources.targetKey(adapter, target);
+    const { items, hints } = await this._fetchTargetWithHints(adapter, target);
+    await this._writeCache(`ingest:items:${key}`, { items, fetchedAt: new Date().toISOString() }, INGEST_ITEMS_TTL_SEC);
+    return { items, hints };
+  }
+
+  // 저장된 target 항목들로 섹션 스냅샷 구성
+  async composeSection(section, { ttlSec = FAST.TTL_FULL } = {}) {
+    const sec = catalog.resolveSection(section);
+    const stored = await Promise.all(this.planSection(sec)
+      .map(({ adapter, target }) => this._readCache(`ingest:items:${sources.targetKey(adapter, target)}`)));
+    const payload = await this._buildPayload(sec, stored.flatMap(s => s?.items || []));
+    await this._writeCache(`${sec}_snapshot`, payload, Math.max(ttlSec, FAST.TTL_FULL));
+    return payload;
+  }
+
+  // 스냅샷이 아직 없으면(기동 직후) 섹션 job 을 앞당기고 빈 목록으로 응답
+  async _serveSnapshot(section) {
+    const sec = catalog.resolveSection(section);
+    const snapshot = await this._readCache(`${sec}_snapshot`);
+    if (snapshot) return { ...snapshot, section };
+    this.scheduler.runSectionNow(sec).catch(() => {});
+    return { success: true, data: [], stories: [], section, total: 0, partial: true, warming: true, timestamp: new Date().toISOString() };
+  }
+
   // -----------------------------
-  // Fetchers
+  // Fetchers (services/sources 어댑터 실행)
   // -----------------------------
-  async fetchFromNewsAPI(section) {
-    if (!process.env.NEWS_API_KEY) return [];
-    try {
-      const params = { pageSize: 50, sortBy: 'publishedAt' };
-      params.language = (section === 'kr' || section === 'korea') ? 'ko' : 'en';
-
-      if (section === 'world') {
-        const countries = ['us', 'gb', 'jp', 'au', 'ca'];
-        const promises = countries.map(country => this.newsApiClient.get('top-headlines', { params: { ...params, country } }).catch(err => { this.logger.warn(`NewsAPI failed for country ${country}:`, err.message); return { data: { articles: [] }}; }));
-        const results = await Promise.all(promises);
-        return results.flatMap(r => this.normalizeNewsAPIArticles(r.data.articles || []));
-      } else if (['tech', 'business'].includes(section)) {
-        params.category = section;
-      }
-      
-      const response = await this.newsApiClient.get('top-headlines', { params });
-      return this.normalizeNewsAPIArticles(response.data.articles || []);
-    } catch (error) {
-      this.logger.error('NewsAPI error:', error.message);
-      return [];
-    }
+  getFeeds(section) { return catalog.getFeeds(section); }
+
+  // 섹션 설정에서 해당 단계(1 | 2 | 'full')의 어댑터 호출 목록을 만든다
+  _collect(section, phase) {
+    const sec = catalog.resolveSection(section);
+    return sources.planSources(SECTION_SOURCES[sec], sec, phase, this)
+      .map(({ adapter, target }) => this._runAdapter(adapter, target));
   }
-  
-  async fetchFromGNews(section) {
-    if (!process.env.GNEWS_API_KEY) return [];
-    try {
-      const params = {
-        token: process.env.GNEWS_API_KEY,
-        max: 50,
-        lang: section === 'kr' ? 'ko' : 'en'
-      };
-      if (section === 'tech') {
-        params.topic = 'technology';
-      } else if (section === 'business') {
-        params.topic = 'business';
-      } else if (section === 'world') {
-        params.topic = 'world';
-      }
-      const response = await this.gnewsApi.get('top-headlines', { params });
-      return this.normalizeGNewsArticles(response.data.articles || []);
-    } catch (error) {
-      this.logger.error('GNews error:', error.message);
-      return [];
-    }
+
+  // 성공/실패/지연은 소스 헬스에 기록 (서킷이 열려 있으면 code=ECIRCUITOPEN 으로 throw)
+  // 어댑터가 { items, hints } 를 돌려주면 hints(폴링 간격 힌트)도 함께 반환
+  async _fetchTargetWithHints(adapter, target) {
+    const key = sources.targetKey(adapter, target);
+    const res = await this.health.run(key, () => adapter.fetch(this, target));
+    const raw = Array.isArray(res) ? res : (res?.items || []);
+    const items = await this._resolveCanonicalUrls(adapter.normalize(this, raw, target));
+    return { items, hints: Array.isArray(res) ? null : (res?.hints || null) };
+  }
+
+  // 단축/중계 URL(feedproxy, t.co 등)은 따라가서 정규 URL 과 그에 맞는 id 로 (CANONICAL_RESOLVE)
+  // link 는 리다이렉트 끝의 실제 주소 (정규 URL 은 휴리스틱이라 링크로 쓰지 않음)
+  async _resolveCanonicalUrls(items) {
+    let resolved;
+    try { resolved = await this.canonicalResolver.resolveMany(items.map(it => it.originalUrl)); }
+    catch (e) { this.logger.warn(`Canonical URL resolution failed: ${e.message}`); return items; }
+    if (!resolved.size) return items;
+    return items.map(it => {
+      const r = resolved.get(it.originalUrl);
+      if (!r) return it;
+      const domain = it.domain === domainFromUrl(it.canonicalUrl) ? domainFromUrl(r.url) : it.domain;
+      return { ...it, id: this.generateArticleId(r.url, it.source), link: r.finalUrl, canonicalUrl: r.url, domain };
+    });
   }
-  async fetchFromNaver(section) {
-    if (!process.env.NAVER_CLIENT_ID || !process.env.NAVER_CLIENT_SECRET) return [];
+
+  async _fetchTarget(adapter, target) {
+    return (await this._fetchTargetWithHints(adapter, target)).items;
+  }
+
+  // 실패한 소스는 빈 배열로 (요청 경로용)
+  async _runAdapter(adapter, target) {
+    const key = sources.targetKey(adapter, target);
     try {
-      const queries = ['속보', '긴급', '최신뉴스', '주요뉴스'];
-      const promises = queries.map(query =>
-        this.naverClient.get('news.json', {
-          params: {
-            query,
-            display: 30,
-            sort: 'date'
-          }
-        }).catch(() => ({ data: { items: [] }}))
-      );
-      const results = await Promise.all(promises);
-      return results.flatMap(r => this.normalizeNaverArticles(r.data.items || []));
-    } catch (error) {
-      this.logger.error('Naver API error:', error.message);
+      return await this._fetchTarget(adapter, target);
+    } catch (e) {
+      if (e.code === 'ERATELIMITED') this.logger.debug(`Source ${key} skipped: ${e.message}`);
+      else if (e.code !== 'ECIRCUITOPEN') this.logger.warn(`Source ${key} fail: ${e.message}`);
       return [];
     }
   }
-  async fetchFromRedditAPI({path='/r/all/new',limit=100}){ 
-    // Reddit API 토큰 없음 - 빈 배열 반환
-    return []; 
-  }
-  async fetchFromYouTubeTrending({regionCode='US', maxResults=30}){
-    if (!process.env.YOUTUBE_API_KEY) return [];
-    
-    try{
-      const params={ part:'snippet,statistics', chart:'mostPopular', regionCode, maxResults:Math.min(maxResults,50), key:process.env.YOUTUBE_API_KEY };
-      const {data}=await this.youtubeApi.get('/videos',{params});
-      return (data?.items||[]).map(v=>{
-        const s=v.snippet||{}, st=v.statistics||{};
-        return this.normalizeItem({
-          title:s.title, url:`https://youtube.com/watch?v=${v.id}`,
-          source:'YouTube', lang:(s.defaultAudioLanguage||s.defaultLanguage||'und').slice(0,2),
-          publishedAt:s.publishedAt,
-          reactions:(+st.viewCount||0)+(+st.likeCount||0)+(+st.commentCount||0),
-          followers:0, domain:'youtube.com', _srcType:'yt'
-        });
-      });
-    }catch(e){ 
-      this.logger.warn('YouTube fail:', e.message); 
-      return []; 
-    }
+
+  // 단일 어댑터의 섹션 target 전체 실행 (키 없으면 빈 배열)
+  async _runSource(name, section) {
+    const adapter = sources.getAdapter(name);
+    if (!sources.isAdapterAvailable(adapter)) return [];
+    const results = await Promise.all(adapter.targets(section, this).map(t => this._runAdapter(adapter, t)));
+    return results.flat();
   }
-  async fetchFromRSS(url){
-    try{
-      const feed=await this.rssParser.parseURL(url);
-      return (feed.items||[]).map(it=>this.normalizeItem({
-        title:it.title||'', url:it.link||'', source:'RSS', lang:'und',
-        publishedAt:it.isoDate||it.pubDate||new Date().toISOString(),
-        reactions:0, followers:0, domain:domainFromUrl(it.link||''), _srcType:'rss'
-      }));
-    }catch(e){ 
-      this.logger.warn('RSS fail:', url, e.message); 
-      return []; 
-    }
+
+  // 기존 호출부 호환용
+  async fetchFromNewsAPI(section) { return this._runSource('newsapi', section); }
+  async fetchFromGNews(section) { return this._runSource('gnews', section); }
+  async fetchFromNaver(section) { return this._runSource('naver', section); }
+  async fetchFromRedditAPI(target) { return this._runAdapter(sources.getAdapter('reddit'), target); }
+  async fetchFromYouTubeTrending(target) { return this._runAdapter(sources.getAdapter('youtube'), target); }
+  async fetchFromRSS(url) { return this._runAdapter(sources.getAdapter('rss'), { url, feed: catalog.getFeedByUrl(url) }); }
+
+  // 소셜 언급 수/속도 부착 (공급자 미설정이면 그대로, 실패해도 목록은 유지)
+  async _attachSocialSignals(section, items) {
+    try { return await this.signals.attach(section, items); }
+    catch (e) { this.logger.warn(`Social signals failed for ${section}: ${e.message}`); return items; }
   }
 
   // -----------------------------
   // 정규화 & 랭킹
   // -----------------------------
-  normalizeNewsAPIArticles(articles) {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    return articles
-      .filter(article => {
-        // 날짜 필터링: 최근 30일 이내의 뉴스만 포함
-        if (!article.publishedAt) return false;
-        
-        const publishedDate = new Date(article.publishedAt);
-        if (isNaN(publishedDate.getTime())) return false;
-        
-        return publishedDate >= thirtyDaysAgo;
-      })
-      .map(article => this.normalizeItem({
-        title: article.title,
-        description: article.description,
-        url: article.url,
-        source: article.source?.name || 'NewsAPI',
-        publishedAt: article.publishedAt,
-        reactions: 0,
-        followers: 0,
-        domain: domainFromUrl(article.url),
-        _srcType: 'newsapi'
-      }));
-  }
-  normalizeGNewsArticles(articles) {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    return articles
-      .filter(article => {
-        if (!article.publishedAt) return false;
-        const publishedDate = new Date(article.publishedAt);
-        if (isNaN(publishedDate.getTime())) return false;
-        return publishedDate >= thirtyDaysAgo;
-      })
-      .map(article => this.normalizeItem({
-        title: article.title,
-        description: article.description,
-        url: article.url,
-        source: article.source?.name || 'GNews',
-        publishedAt: article.publishedAt,
-        reactions: 0,
-        followers: 0,
-        domain: domainFromUrl(article.url),
-        _srcType: 'gnews'
-      }));
-  }
-  normalizeNaverArticles(articles) {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    return articles
-      .filter(article => {
-        if (!article.pubDate) return false;
-        const publishedDate = new Date(article.pubDate);
-        if (isNaN(publishedDate.getTime())) return false;
-        return publishedDate >= thirtyDaysAgo;
-      })
-      .map(article => this.normalizeItem({
-        title: this.stripHtml(article.title),
-        description: this.stripHtml(article.description),
-        url: article.originallink || article.link,
-        source: 'Naver News',
-        publishedAt: article.pubDate,
-        reactions: 0,
-        followers: 0,
-        domain: domainFromUrl(article.originallink || article.link),
-        _srcType: 'naver'
-      }));
-  }
-  stripHtml(text) { if (!text) return ''; return text.replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, ' ').trim(); }
+  stripHtml(text) { return stripHtml(text); }
 
+  // link = 사용자가 여는·본문 추출에 쓰는 URL (소스가 준 URL 에서 리디렉터/AMP 캐시만 풂)
+  // canonicalUrl = 정규 URL (id 와 중복 제거 기준), originalUrl = 소스가 준 URL
   normalizeItem(raw){
     const ageMin = minutesSince(raw.publishedAt);
-    const domain = raw.domain || domainFromUrl(raw.url);
-    return { id: this.generateArticleId(raw.url, raw.source), title: raw.title || '', link: raw.url || '', source: raw.source || 'Unknown', description: raw.description || raw.title || '', publishedAt: raw.publishedAt, domain, reactions: raw.reactions || 0, followers: raw.followers || 0, ageMinutes: ageMin, _srcType: raw._srcType || 'unknown' };
+    const canonicalUrl = canonicalizeUrl(raw.url);
+    const domain = raw.domain || domainFromUrl(canonicalUrl);
+    // 소스가 준 언어는 힌트로만 사용 (RSS 는 피드 단위 값이거나 'und')
+    const { lang } = detectLanguage(`${raw.title || ''} ${stripHtml(raw.description || '')}`, { hint: raw.lang });
+    return { id: this.generateArticleId(canonicalUrl, raw.source, raw.title), title: raw.title || '', link: unwrapUrl(raw.url), canonicalUrl, originalUrl: raw.url || '', source: raw.source || 'Unknown', description: raw.description || raw.title || '', publishedAt: raw.publishedAt, domain, lang, reactions: raw.reactions || 0, followers: raw.followers || 0, trust: raw.trust || null, author: raw.author || null, categories: raw.categories || [], image: toImage(raw.image, raw.url), ageMinutes: ageMin, _srcType: raw._srcType || 'unknown' };
   }
 
-  generateArticleId(url, source) {
-    const combined = `${source}_${url}`;
-    return Buffer.from(combined).toString('base64').replace(/[/+=]/g, '').substring(0, 16);
+  // 정규 URL 해시(16자리 hex). 같은 기사는 소스·추적 파라미터·AMP 여부와 관계없이 같은 ID
+  // URL 이 없는 항목만 소스+제목으로
+  generateArticleId(url, source, title = '') {
+    const identity = urlIdentity(url || '');
+    return sha1(identity || `${source || ''}|${title}`).slice(0, 16);
   }
 
   generateTags(item, section) {
@@ -481,12 +505,14 @@ class NewsService {
     const w = SECTION_WEIGHTS[section] || DEFAULT_WEIGHTS.world;
     return items.map(it => {
       const ageMin = it.ageMinutes || 0;
-      const domain = it.domain || '';
       const f_score = freshness(ageMin);
-      const v_score = Math.min(1, (it.reactions || 0) / 1000);
+      // 영상은 누적 조회수 대신 폴링 간 증가 속도(stats.perHour)로
+      const v_score = Math.max(it.stats ? statsVelocityScore(it.stats) : Math.min(1, (it.reactions || 0) / 1000), velocityScore(it.social));
       const e_score = Math.min(1, Math.log10((it.reactions || 0) + 1) / 4);
-      const s_score = (SOURCE_WEIGHTS[domain] || 1) / 5;
-      const score = (w.f * f_score) + (w.v * v_score) + (w.e * e_score) + (w.s * s_score);
+      const s_score = sourceTrust(it) / 5;
+      const l_score = localeScore(section, it.lang);
+      const c_score = corroborationScore(it.story);
+      const score = (w.f * f_score) + (w.v * v_score) + (w.e * e_score) + (w.s * s_score) + (w.l * l_score) + ((w.c || 0) * c_score);
       const rating = Math.max(1.0, Math.min(5.0, (score * 4) + 1)).toFixed(1);
       
       return { 
@@ -500,12 +526,36 @@ class NewsService {
     }).sort((a, b) => b.score - a.score);
   }
 
+  // 섹션 설정에 등록된 모든 소스의 헬스 상태 (/api/sources/health)
+  async getSourceHealth() {
+    const byKey = new Map();
+    for (const [section, specs] of Object.entries(SECTION_SOURCES)) {
+      for (const { adapter, target } of sources.planSources(specs, section, 'full', this)) {
+        const key = sources.targetKey(adapter, target);
+        const entry = byKey.get(key) || { key, adapter: adapter.name, name: target.feed?.name || null, url: target.url || null, sections: [] };
+        entry.sections.push(section);
+        byKey.set(key, entry);
+      }
+    }
+    const entries = Array.from(byKey.values());
+    const states = await this.health.getMany(entries.map(e => e.key));
+    return entries.map((e, i) => ({ ...e, ...states[i] }));
+  }
+
   // ====== 기타 유틸리티 ======
   getStatus() {
     return {
       initialized: true,
       sections: Object.keys(DEFAULT_WEIGHTS),
-      cache: redis ? 'redis' : 'memory'
+      cache: redis ? 'redis' : 'memory',
+      rssConditional: getConditionalStats(),
+      httpHosts: getHostStats(),
+      reddit: this.redditApi.getStatus(),
+      naver: this.naverClient.getStatus(),
+      articles: this.articles.getStatus(),
+      archive: this.archive ? this.archive.getStatus() : null,
+      socialSignals: this.signals.getStatus(),
+      scheduler: this.scheduler ? { running: this.scheduler.running, jobs: this.scheduler.jobs.size } : null
     };
   }
 
@@ -527,6 +577,8 @@ class NewsService {
         this.logger.warn('Redis clear failed:', e.message);
       }
     } else {
+      memoryTimers.forEach(clearTimeout);
+      memoryTimers.clear();
       memoryCache.clear();
       this.logger.info('Memory cache cleared.');
     }
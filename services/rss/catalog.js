@@ -0,0 +1,250 @@
+// services/rss/catalog.js - RSS 소스 카탈로그 로더 (config/rssSources.js)
+// - 시작 시 검증, 잘못된 항목은 제외하고 오류 목록으로 보고
+// - reloadCatalog() 로 재시작 없이 다시 읽기 (RSS_SOURCES_WATCH=true 면 파일 변경 시 자동)
+// - 관리자 API 로 추가한 소스는 별도 JSON 파일(RSS_SOURCES_ADDED_PATH)에 쌓이고 로드 시 뒤에 합쳐짐
+//   런타임 데이터라 소스 트리가 아닌 data/ (git 제외, 배포 환경에서는 볼륨)에 둠
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const SECTIONS = ['world', 'kr', 'japan', 'buzz', 'tech', 'business'];
+const SECTION_ALIASES = { korea: 'kr' };
+
+const CATALOG_PATH = path.resolve(process.env.RSS_SOURCES_PATH || path.join(__dirname, '../../config/rssSources.js'));
+const ADDED_PATH = path.resolve(process.env.RSS_SOURCES_ADDED_PATH || path.join(__dirname, '../../data/rssSources.added.json'));
+const LEGACY_ADDED_PATH = path.join(__dirname, '../../config/rssSources.added.json'); // 이전 기본 위치
+
+let state = { sources: [], errors: [], loadedAt: null };
+
+const resolveSection = (s) => SECTION_ALIASES[s] || s;
+
+function validateEntry(raw, index, seenIds) {
+  const errors = [];
+  const where = `rssSources[${index}]${raw && raw.id ? ` (${raw.id})` : ''}`;
+  if (!raw || typeof raw !== 'object') return { errors: [`${where}: entry must be an object`] };
+
+  if (typeof raw.id !== 'string' || !/^[a-z0-9-]+$/.test(raw.id)) errors.push(`${where}: id must match [a-z0-9-]+`);
+  else if (seenIds.has(raw.id)) errors.push(`${where}: duplicate id`);
+  if (typeof raw.name !== 'string' || !raw.name.trim()) errors.push(`${where}: name is required`);
+
+  let url;
+  try { url = new URL(raw.url); } catch { /* 아래에서 보고 */ }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push(`${where}: url must be an http(s) URL`);
+
+  const sections = Array.isArray(raw.sections) ? raw.sections.map(resolveSection) : [];
+  if (!sections.length) errors.push(`${where}: sections must be a non-empty array`);
+  const unknown = sections.filter(s => !SECTIONS.includes(s));
+  if (unknown.length) errors.push(`${where}: unknown section(s) ${unknown.join(', ')}`);
+
+  if (raw.lang != null && !/^[a-z]{2}$/.test(raw.lang)) errors.push(`${where}: lang must be ISO 639-1`);
+  if (raw.country != null && !/^[A-Z]{2}$/.test(raw.country)) errors.push(`${where}: country must be ISO 3166-1 alpha-2`);
+  const trust = raw.trust ?? 1;
+  if (typeof trust !== 'number' || trust < 1 || trust > 5) errors.push(`${where}: trust must be 1-5`);
+  const phase = raw.phase ?? 2;
+  if (![1, 2].includes(phase)) errors.push(`${where}: phase must be 1 or 2`);
+
+  if (errors.length) return { errors };
+  return {
+    errors,
+    entry: Object.freeze({
+      id: raw.id,
+      name: raw.name.trim(),
+      url: url.toString(),
+      sections: Array.from(new Set(sections)),
+      lang: raw.lang || 'und',
+      country: raw.country || null,
+      trust,
+      phase,
+      priority: Number.isFinite(raw.priority) ? raw.priority : 100,
+      enabled: raw.enabled !== false,
+    }),
+  };
+}
+
+/**
+ * 카탈로그 배열을 검증한다.
+ * @returns {{ sources: object[], errors: string[] }}
+ */
+function validateCatalog(list) {
+  if (!Array.isArray(list)) return { sources: [], errors: ['rssSources must be an array'] };
+  const seenIds = new Set();
+  const sources = [];
+  const errors = [];
+  list.forEach((raw, i) => {
+    const r = validateEntry(raw, i, seenIds);
+    errors.push(...r.errors);
+    if (r.entry) { seenIds.add(r.entry.id); sources.push(r.entry); }
+  });
+  return { sources, errors };
+}
+
+function readCatalogFile() {
+  delete require.cache[CATALOG_PATH];
+  const mod = require(CATALOG_PATH);
+  const list = Array.isArray(mod) ? mod : mod.rssSources;
+  return Array.isArray(list) ? [...list, ...readAddedFile()] : list;
+}
+
+function readAddedFile() {
+  if (!fs.existsSync(ADDED_PATH)) {
+    if (ADDED_PATH !== LEGACY_ADDED_PATH && fs.existsSync(LEGACY_ADDED_PATH)) {
+      logger.warn(`Ignoring ${LEGACY_ADDED_PATH}: admin-added sources now live in ${ADDED_PATH} (move the file there)`);
+    }
+    return [];
+  }
+  const list = JSON.parse(fs.readFileSync(ADDED_PATH, 'utf8'));
+  if (!Array.isArray(list)) throw new Error(`${ADDED_PATH} must contain an array`);
+  return list;
+}
+
+// 임시 파일에 쓰고 rename (쓰다 만 파일을 읽지 않도록)
+function writeAddedFile(list) {
+  fs.mkdirSync(path.dirname(ADDED_PATH), { recursive: true });
+  const tmp = `${ADDED_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(list, null, 2)}\n`);
+  fs.renameSync(tmp, ADDED_PATH);
+}
+
+/**
+ * 카탈로그 파일을 다시 읽는다. 파일 자체를 읽지 못하면 기존 카탈로그를 유지한다.
+ */
+function reloadCatalog() {
+  let list;
+  try {
+    list = readCatalogFile();
+  } catch (e) {
+    logger.error(`RSS catalog load failed (${CATALOG_PATH}): ${e.message}`);
+    return { ok: false, errors: [e.message], count: state.sources.length };
+  }
+  const { sources, errors } = validateCatalog(list);
+  errors.forEach(err => logger.error(`RSS catalog: ${err}`));
+  state = { sources, errors, loadedAt: new Date().toISOString() };
+  logger.info(`RSS catalog loaded: ${sources.length} sources, ${errors.length} error(s)`);
+  return { ok: true, errors, count: sources.length };
+}
+
+function ensureLoaded() {
+  if (!state.loadedAt) reloadCatalog();
+  return state;
+}
+
+// ====== 조회 ======
+function listSources({ includeDisabled = false } = {}) {
+  const { sources } = ensureLoaded();
+  return includeDisabled ? sources.slice() : sources.filter(s => s.enabled);
+}
+
+function getFeeds(section) {
+  const sec = resolveSection(section);
+  return listSources()
+    .filter(s => s.sections.includes(sec))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+function getFeedById(id) {
+  return listSources({ includeDisabled: true }).find(s => s.id === id) || null;
+}
+
+function getFeedsByIds(ids) {
+  return ids.map(getFeedById).filter(s => s && s.enabled);
+}
+
+function getFeedByUrl(url) {
+  return listSources({ includeDisabled: true }).find(s => s.url === url) || null;
+}
+
+function getCatalogStatus() {
+  const { sources, errors, loadedAt } = ensureLoaded();
+  return { path: CATALOG_PATH, addedPath: ADDED_PATH, loadedAt, total: sources.length, enabled: sources.filter(s => s.enabled).length, errors };
+}
+
+// 호스트 기반 id 후보 (www.example.co.kr → example-co-kr), 겹치면 -2, -3 ...
+// reserved: 카탈로그 밖에서 이미 배정한 id (일괄 추가 시)
+function suggestId(url, reserved = new Set()) {
+  let base;
+  try { base = new URL(url).hostname.replace(/^www\./, ''); } catch { base = 'feed'; }
+  base = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'feed';
+  const taken = new Set([...listSources({ includeDisabled: true }).map(s => s.id), ...reserved]);
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+/**
+ * 여러 소스를 검증해 추가 파일에 한 번에 저장하고 카탈로그를 다시 읽는다.
+ * 같은 id 나 같은 피드 URL 이 이미 있으면(목록 안에서 겹쳐도) code=duplicate 로 거부.
+ * @param {object[]} raws
+ * @param {{ dryRun?: boolean }} [opts] true 면 검증만 하고 저장하지 않음
+ * @returns {{ ok: boolean, added: object[], rejected: Array<{ raw, code: 'invalid'|'duplicate', errors: string[] }>, errors: string[] }}
+ */
+function addSources(raws, { dryRun = false } = {}) {
+  const current = listSources({ includeDisabled: true });
+  const seenIds = new Set(current.map(s => s.id));
+  const seenUrls = new Map(current.map(s => [s.url, s.id]));
+  const added = [];
+  const rejected = [];
+  raws.forEach((raw, i) => {
+    const { entry, errors } = validateEntry(raw, current.length + i, seenIds);
+    if (!entry) {
+      rejected.push({ raw, code: errors.some(e => e.endsWith('duplicate id')) ? 'duplicate' : 'invalid', errors });
+      return;
+    }
+    if (seenUrls.has(entry.url)) {
+      rejected.push({ raw, code: 'duplicate', errors: [`url already in catalog as ${seenUrls.get(entry.url)}`] });
+      return;
+    }
+    seenIds.add(entry.id);
+    seenUrls.set(entry.url, entry.id);
+    added.push(entry);
+  });
+  if (dryRun || !added.length) return { ok: true, added, rejected, errors: [] };
+
+  // 정규화된 기본값('und', null)은 다시 읽을 때 검증을 통과하지 못하므로 빼고 저장
+  const saved = added.map(entry => {
+    const out = { ...entry };
+    if (out.lang === 'und') delete out.lang;
+    if (!out.country) delete out.country;
+    return out;
+  });
+  try {
+    writeAddedFile([...readAddedFile(), ...saved]);
+  } catch (e) {
+    logger.error(`RSS catalog add failed (${ADDED_PATH}): ${e.message}`);
+    return { ok: false, added: [], rejected, errors: [e.message] };
+  }
+  logger.info(`RSS catalog: added ${added.map(e => e.id).join(', ')}`);
+  reloadCatalog();
+  return { ok: true, added: added.map(e => getFeedById(e.id) || e), rejected, errors: [] };
+}
+
+/**
+ * 소스 하나를 추가한다 (addSources 의 단건 버전).
+ * @returns {{ ok: boolean, entry?: object, code?: 'invalid'|'duplicate'|'io', errors: string[] }}
+ */
+function addSource(raw) {
+  const result = addSources([raw]);
+  if (!result.ok) return { ok: false, code: 'io', errors: result.errors };
+  if (result.rejected.length) return { ok: false, code: result.rejected[0].code, errors: result.rejected[0].errors };
+  return { ok: true, entry: result.added[0], errors: [] };
+}
+
+if (process.env.RSS_SOURCES_WATCH === 'true') {
+  fs.watchFile(CATALOG_PATH, { interval: 5000 }, () => reloadCatalog()).unref();
+}
+
+module.exports = {
+  SECTIONS,
+  resolveSection,
+  validateCatalog,
+  reloadCatalog,
+  listSources,
+  getFeeds,
+  getFeedById,
+  getFeedsByIds,
+  getFeedByUrl,
+  getCatalogStatus,
+  suggestId,
+  addSource,
+  addSources,
+};
@@ -0,0 +1,110 @@
+// services/rss/charset.js - 응답 바이트 → UTF-8 문자열
+// 우선순위: BOM → Content-Type charset → XML 선언/HTML meta → 휴리스틱(UTF-8 검증, 언어 힌트별 CJK 후보)
+// Node 내장 TextDecoder(full-icu)의 WHATWG 인코딩을 사용한다.
+
+// TextDecoder 가 모르는 흔한 별칭
+const LABEL_ALIASES = {
+  cp949: 'euc-kr', 'ms949': 'euc-kr', uhc: 'euc-kr',
+  sjis: 'shift_jis', 'x-sjis': 'shift_jis', ms932: 'shift_jis', cp932: 'shift_jis',
+};
+
+// 언어 힌트별 레거시 후보 (앞쪽 우선)
+const LEGACY_BY_LANG = {
+  ko: ['euc-kr'],
+  ja: ['shift_jis', 'euc-jp', 'iso-2022-jp'],
+};
+const ALL_LEGACY = ['euc-kr', 'shift_jis', 'euc-jp', 'iso-2022-jp'];
+
+// 디코딩 결과가 그 언어답게 보이는지 (해당 문자 비율)
+const SCRIPT_RE = {
+  'euc-kr': /[가-힣]/g,
+  'shift_jis': /[぀-ヿ]/g,
+  'euc-jp': /[぀-ヿ]/g,
+  'iso-2022-jp': /[぀-ヿ]/g,
+};
+
+// ko/ja 피드에서 단일 바이트 선언(latin1 등)은 대개 서버 기본값이라 신뢰하지 않음
+const SINGLE_BYTE_RE = /^(windows-125\d|iso-8859-\d+)$/;
+
+function normalizeLabel(label) {
+  if (!label) return null;
+  const l = String(label).trim().replace(/^["']|["']$/g, '').toLowerCase();
+  const name = LABEL_ALIASES[l] || l;
+  try { return new TextDecoder(name).encoding; } catch { return null; }
+}
+
+function sniffBom(buf) {
+  if (buf.length >= 3 && buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF) return 'utf-8';
+  if (buf.length >= 2 && buf[0] === 0xFE && buf[1] === 0xFF) return 'utf-16be';
+  if (buf.length >= 2 && buf[0] === 0xFF && buf[1] === 0xFE) return 'utf-16le';
+  return null;
+}
+
+function sniffDocument(buf) {
+  const head = buf.subarray(0, 1024).toString('latin1');
+  const xml = /<\?xml[^>]*\bencoding\s*=\s*["']([^"']+)["']/i.exec(head);
+  if (xml) return xml[1];
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head);
+  return meta ? meta[1] : null;
+}
+
+function charsetFromContentType(contentType) {
+  const m = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || '');
+  return m ? m[1] : null;
+}
+
+function tryDecode(buf, encoding) {
+  try { return new TextDecoder(encoding, { fatal: true }).decode(buf); } catch { return null; }
+}
+
+function scoreScript(text, encoding) {
+  const re = SCRIPT_RE[encoding];
+  if (!re || !text.length) return 0;
+  return (text.match(re) || []).length / text.length;
+}
+
+/**
+ * 응답 본문을 문자열로 디코딩한다.
+ * @param {Buffer|ArrayBuffer|string} data
+ * @param {string} [contentType]
+ * @param {{ langHint?: string }} [opts] 피드 카탈로그 언어 (ko/ja)
+ * @returns {{ text: string, encoding: string, detectedBy: string }}
+ */
+function decodeBody(data, contentType, { langHint } = {}) {
+  if (typeof data === 'string') return { text: data, encoding: 'utf-8', detectedBy: 'string' };
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data || []);
+
+  // 1) 선언된 인코딩들을 순서대로 엄격 디코딩 (헤더/선언이 틀린 경우가 많아 검증 후 채택)
+  const declared = [
+    ['bom', sniffBom(buf)],
+    ['content-type', normalizeLabel(charsetFromContentType(contentType))],
+    ['declaration', normalizeLabel(sniffDocument(buf))],
+  ];
+  for (const [by, enc] of declared) {
+    if (!enc) continue;
+    if (LEGACY_BY_LANG[langHint] && SINGLE_BYTE_RE.test(enc)) continue;
+    const text = tryDecode(buf, enc);
+    if (text != null) return { text: text.replace(/^﻿/, ''), encoding: enc, detectedBy: by };
+  }
+
+  // 2) 유효한 UTF-8 이면 그대로
+  const utf8 = tryDecode(buf, 'utf-8');
+  if (utf8 != null) return { text: utf8.replace(/^﻿/, ''), encoding: 'utf-8', detectedBy: 'heuristic' };
+
+  // 3) 레거시 CJK 후보 중 해당 문자 비율이 가장 높은 것 (언어 힌트 후보 우선)
+  const hinted = LEGACY_BY_LANG[langHint] || [];
+  const candidates = [...hinted, ...ALL_LEGACY.filter(e => !hinted.includes(e))];
+  let best = null;
+  for (const enc of candidates) {
+    const text = tryDecode(buf, enc);
+    if (text == null) continue;
+    const score = scoreScript(text, enc) + (hinted.includes(enc) ? 0.05 : 0);
+    if (!best || score > best.score) best = { text, encoding: enc, score };
+  }
+  if (best) return { text: best.text, encoding: best.encoding, detectedBy: 'heuristic' };
+
+  // 4) 최후: 대체 문자 허용 UTF-8
+  return { text: new TextDecoder('utf-8').decode(buf), encoding: 'utf-8', detectedBy: 'fallback' };
+}
+
+module.exports = { decodeBody, normalizeLabel };
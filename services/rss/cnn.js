@@ -1,29 +1,24 @@
-const { fetchWithRetry, logAxiosError } = require('./httpClient');
-const Parser = require('rss-parser');
+const { fetchFeed, logAxiosError } = require('./httpClient');
+const { getFeedsByIds } = require('./catalog');
+const { sourceHealth } = require('../sources/health');
+const { parseFeed } = require('./feedParser');
+const { toImage } = require('../sources/common');
 
-const parser = new Parser();
-
-const CNN_WORLD = [
-  'http://rss.cnn.com/rss/edition_world.rss',
-  // 필요 시 대체 피드 추가
-];
+// 카탈로그 id (config/rssSources.js) - 필요 시 대체 피드 추가
+const CNN_WORLD = ['cnn-world'];
 
 async function fetchCnnWorld() {
   let lastErr;
-  for (const url of CNN_WORLD) {
+  for (const { id, url, name } of getFeedsByIds(CNN_WORLD)) {
     try {
-      const res = await fetchWithRetry(url, 3);
-      const xml = res?.data;
-      if (!xml) continue;
-      
-      const feed = await parser.parseString(xml);
+      const { parsed: feed } = await sourceHealth.run(`rss:${id}`, () => fetchFeed(url, { parse: xml => xml ? parseFeed(xml) : null }));
       if (feed?.items?.length) {
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         
         return feed.items
           .map(item => {
-            const publishedDate = new Date(item.isoDate || item.pubDate || new Date().toISOString());
+            const publishedDate = new Date(item.publishedAt || new Date().toISOString());
             
             // 30일 이내 뉴스만 포함
             if (isNaN(publishedDate.getTime()) || publishedDate < thirtyDaysAgo) {
@@ -33,18 +28,19 @@ async function fetchCnnWorld() {
             return {
               title: item.title,
               link: item.link,
-              source: 'CNN',
-              description: item.contentSnippet || item.content || '',
-              publishedAt: item.isoDate || item.pubDate || new Date().toISOString(),
+              source: name,
+              description: item.summary || '',
+              publishedAt: item.publishedAt || new Date().toISOString(),
+              image: toImage(item.image, item.link),
             };
           })
           .filter(item => item !== null); // null 값 필터링
       }
     } catch (e) {
       lastErr = e;
-      logAxiosError(e, { source: 'CNN', url });
+      logAxiosError(e, { source: name, url });
       // 네트워크 계열이면 다음 후보로
-      if (!['ENOTFOUND','EAI_AGAIN','ECONNRESET','ETIMEDOUT'].includes(e?.code)) break;
+      if (!['ENOTFOUND','EAI_AGAIN','ECONNRESET','ETIMEDOUT','ECIRCUITOPEN'].includes(e?.code)) break;
     }
   }
   
@@ -0,0 +1,151 @@
+// services/rss/discovery.js - 웹사이트 URL 에서 피드 찾기 (관리자 소스 추가용)
+// - 홈페이지의 <link rel="alternate"> 피드, 본문의 피드 링크, 흔한 피드 경로 순으로 후보 수집
+// - 후보마다 실제로 받아 파싱해 보고 항목 수/언어/최신 항목 시각을 돌려줌 (파싱 실패 후보는 rejected)
+// - 입력 URL 자체가 피드면 그것도 후보에 포함
+// - 관리자가 준 URL 을 서버가 대신 가져오므로 내부 주소로 풀리는 대상은 거부 (hostGuard, code=EPRIVATEHOST)
+const cheerio = require('cheerio');
+const { fetchWithRetry } = require('./httpClient');
+const { parseFeed, detectFormat } = require('./feedParser');
+const { getFeedByUrl } = require('./catalog');
+const { assertPublicUrl, PUBLIC_ONLY } = require('./hostGuard');
+
+const DISCOVERY = {
+  TIMEOUT_MS: Number(process.env.DISCOVERY_TIMEOUT_MS || 8000),
+  MAX_CANDIDATES: Number(process.env.DISCOVERY_MAX_CANDIDATES || 12),
+  MAX_ANCHORS: 5, // 본문 <a> 에서 가져올 후보 수
+};
+
+const FEED_TYPES = /^(application\/(rss|atom|rdf|feed)\+(xml|json)|application\/(rss|atom)|text\/xml|application\/xml)$/i;
+const FEED_HREF_RE = /(^|[/._-])(rss|atom|feeds?)([/._?-]|$)|\.(rss|atom)$/i;
+const COMMON_PATHS = ['/feed', '/rss', '/rss.xml', '/feed.xml', '/atom.xml', '/index.xml', '/feeds/posts/default', '/?feed=rss2'];
+
+const VIA_ORDER = { input: 0, link: 1, anchor: 2, path: 3 };
+
+function absolute(href, base) {
+  try {
+    const u = new URL(href, base);
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    u.hash = '';
+    return u.toString();
+  } catch { return null; }
+}
+
+/**
+ * 홈페이지 HTML 에서 피드 후보를 뽑는다.
+ * @returns {{ pageLang: string|null, title: string, candidates: Array<{ url, via, title }> }}
+ */
+function findFeedLinks(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  const candidates = [];
+  $('link[rel~="alternate"][href]').each((_, el) => {
+    const type = ($(el).attr('type') || '').trim();
+    if (type && !FEED_TYPES.test(type)) return;
+    if (!type && !FEED_HREF_RE.test($(el).attr('href'))) return;
+    const url = absolute($(el).attr('href'), baseUrl);
+    if (url) candidates.push({ url, via: 'link', title: ($(el).attr('title') || '').trim() || null });
+  });
+
+  const host = new URL(baseUrl).hostname;
+  let anchors = 0;
+  $('a[href]').each((_, el) => {
+    if (anchors >= DISCOVERY.MAX_ANCHORS) return false;
+    const href = $(el).attr('href');
+    if (!FEED_HREF_RE.test(href)) return;
+    const url = absolute(href, baseUrl);
+    // 같은 사이트(하위 도메인 포함)의 링크만 - 피드 구독 서비스 링크 등은 제외
+    if (!url || !new URL(url).hostname.endsWith(host.replace(/^www\./, ''))) return;
+    candidates.push({ url, via: 'anchor', title: $(el).text().trim() || null });
+    anchors++;
+  });
+
+  const lang = ($('html').attr('lang') || '').slice(0, 2).toLowerCase();
+  return { pageLang: /^[a-z]{2}$/.test(lang) ? lang : null, title: $('title').first().text().trim(), candidates };
+}
+
+/**
+ * 피드 URL 을 받아 파싱해 보고 요약을 돌려준다. 피드가 아니면 throw.
+ * @param {string} url
+ * @param {{ langHint?: string, publicOnly?: boolean }} [opts] publicOnly: 내부 주소(및 그리로의 리다이렉트) 거부
+ */
+async function inspectFeed(url, { langHint, publicOnly = false } = {}) {
+  if (publicOnly) await assertPublicUrl(url);
+  const res = await fetchWithRetry(url, 1, { timeout: DISCOVERY.TIMEOUT_MS, langHint, ...(publicOnly ? PUBLIC_ONLY : {}) });
+  const parsed = await parseFeed(res.data);
+  const items = parsed.items || [];
+  const times = items
+    .map(it => new Date(it.publishedAt || it.updatedAt).getTime())
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+  const itemLang = items.map(it => it.lang).find(Boolean) || null;
+  const latestAt = times.length ? new Date(times[0]).toISOString() : null;
+  // 항목 간 평균 간격 (시간) - 얼마나 자주 갱신되는 피드인지 가늠
+  const avgGapHours = times.length >= 2 ? Math.round(((times[0] - times[times.length - 1]) / (times.length - 1) / 3600000) * 10) / 10 : null;
+  const finalUrl = res.request?.res?.responseUrl || url;
+  return {
+    url: finalUrl,
+    format: parsed.format,
+    title: parsed.title || null,
+    siteUrl: parsed.link || null,
+    language: parsed.language || itemLang || langHint || null,
+    itemCount: items.length,
+    latestAt,
+    ageHours: latestAt ? Math.round(((Date.now() - times[0]) / 3600000) * 10) / 10 : null,
+    avgGapHours,
+    inCatalog: getFeedByUrl(finalUrl)?.id || getFeedByUrl(url)?.id || null,
+  };
+}
+
+/**
+ * 웹사이트(또는 피드) URL 에서 피드 후보를 찾아 검증한다.
+ * @param {string} pageUrl
+ * @returns {Promise<{ url, title, candidates: object[], rejected: Array<{ url, via, error }> }>}
+ */
+async function discoverFeeds(pageUrl) {
+  await assertPublicUrl(pageUrl);
+  const page = await fetchWithRetry(pageUrl, 1, { timeout: DISCOVERY.TIMEOUT_MS, robots: true, ...PUBLIC_ONLY });
+  const baseUrl = page.request?.res?.responseUrl || pageUrl;
+  const body = String(page.data || '');
+
+  let found = { pageLang: null, title: '', candidates: [] };
+  const list = [];
+  if (detectFormat(body) !== 'unknown') {
+    list.push({ url: baseUrl, via: 'input' });
+  } else {
+    found = findFeedLinks(body, baseUrl);
+    list.push(...found.candidates);
+    const origin = new URL(baseUrl).origin;
+    list.push(...COMMON_PATHS.map(p => ({ url: `${origin}${p}`, via: 'path' })));
+  }
+
+  const seen = new Set();
+  const unique = list.filter(c => !seen.has(c.url) && seen.add(c.url)).slice(0, DISCOVERY.MAX_CANDIDATES);
+
+  // 동시성/간격은 httpClient 의 호스트별 제한이 맡음
+  const results = await Promise.all(unique.map(async (c) => {
+    try {
+      return { ok: true, via: c.via, ...(await inspectFeed(c.url, { langHint: found.pageLang, publicOnly: true })), linkTitle: c.title || null };
+    } catch (e) {
+      return { ok: false, url: c.url, via: c.via, error: e.response ? `HTTP ${e.response.status}` : e.message };
+    }
+  }));
+
+  // 리다이렉트로 같은 피드에 도착한 후보는 하나로
+  const byUrl = new Map();
+  for (const r of results.filter(r => r.ok)) {
+    const prev = byUrl.get(r.url);
+    if (!prev || VIA_ORDER[r.via] < VIA_ORDER[prev.via]) byUrl.set(r.url, r);
+  }
+  const candidates = Array.from(byUrl.values())
+    .map(({ ok, ...c }) => c)
+    .sort((a, b) => (VIA_ORDER[a.via] - VIA_ORDER[b.via]) || ((b.latestAt || '').localeCompare(a.latestAt || '')));
+
+  return {
+    url: baseUrl,
+    title: found.title || null,
+    candidates,
+    // 흔한 경로 추측은 대부분 404 라 실패 목록에서 제외
+    rejected: results.filter(r => !r.ok && r.via !== 'path').map(({ ok, ...r }) => r),
+  };
+}
+
+module.exports = { discoverFeeds, inspectFeed, findFeedLinks };
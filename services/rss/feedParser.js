@@ -0,0 +1,201 @@
+// services/rss/feedParser.js - 다중 포맷 피드 파서
+// RSS 2.0 / RSS 1.0(RDF) / Atom 1.0 / JSON Feed 1.1 을 하나의 항목 형태로 정규화한다.
+//
+// 피드 결과: { format, title, description, link, language, lastBuildDate, ttl(분), updatePeriodSec, items }
+// 항목 형태
+//   { title, link, origLink(FeedBurner 원본 링크), guid, author, categories[], publishedAt, updatedAt,
+//     summary(텍스트), contentHtml, image: { url, width, height, source } | null, lang }
+const Parser = require('rss-parser');
+
+const xmlParser = new Parser({
+  customFields: {
+    feed: [
+      ['dc:language', 'dcLanguage'],
+      ['sy:updatePeriod', 'syUpdatePeriod'],
+      ['sy:updateFrequency', 'syUpdateFrequency'],
+    ],
+    item: [
+      ['media:content', 'mediaContent', { keepArray: true }],
+      ['media:thumbnail', 'mediaThumbnail', { keepArray: true }],
+      ['media:group', 'mediaGroup'],
+      ['dc:subject', 'dcSubject', { keepArray: true }],
+      ['category', 'rawCategories', { keepArray: true }],
+      ['updated', 'updated'],
+      ['feedburner:origLink', 'origLink'],
+    ],
+  },
+});
+
+// -------------------------------
+// 포맷 감지
+// -------------------------------
+function detectFormat(body) {
+  const head = String(body || '').replace(/^﻿/, '').trimStart().slice(0, 2048);
+  if (head.startsWith('{')) return 'json';
+  if (/<rdf:RDF[\s>]/i.test(head)) return 'rdf';
+  if (/<feed[\s>]/i.test(head)) return 'atom';
+  if (/<rss[\s>]/i.test(head)) return 'rss';
+  return 'unknown';
+}
+
+// -------------------------------
+// 공통 유틸
+// -------------------------------
+const toInt = (v) => { const n = parseInt(v, 10); return Number.isFinite(n) ? n : null; };
+const toIso = (v) => { if (!v) return null; const t = new Date(v).getTime(); return Number.isNaN(t) ? null : new Date(t).toISOString(); };
+const textOf = (v) => (v == null ? '' : typeof v === 'object' ? (v._ ?? '') : String(v));
+const htmlToText = (html) => String(html || '')
+  .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+const uniq = (arr) => Array.from(new Set(arr.map(s => String(s).trim()).filter(Boolean)));
+
+function firstImgInHtml(html) {
+  const m = /<img\b[^>]*\bsrc=["']([^"']+)["'][^>]*>/i.exec(html || '');
+  if (!m) return null;
+  const tag = m[0];
+  return {
+    url: m[1],
+    width: toInt((/\bwidth=["']?(\d+)/i.exec(tag) || [])[1]),
+    height: toInt((/\bheight=["']?(\d+)/i.exec(tag) || [])[1]),
+    source: 'content',
+  };
+}
+
+// media:content / media:thumbnail 의 $ 속성 → 이미지 후보
+function mediaCandidates(list, source) {
+  return (list || [])
+    .map(m => m && m.$)
+    .filter(a => a && a.url)
+    .filter(a => !a.medium || a.medium === 'image')
+    .filter(a => !a.type || /^image\//i.test(a.type))
+    .map(a => ({ url: a.url, width: toInt(a.width), height: toInt(a.height), source }));
+}
+
+// 가장 큰(면적 기준) 후보, 크기 정보가 없으면 첫 번째
+function pickLargest(candidates) {
+  if (!candidates.length) return null;
+  return candidates.reduce((best, c) => ((c.width || 0) * (c.height || 0) > (best.width || 0) * (best.height || 0) ? c : best));
+}
+
+function xmlItemImage(it, contentHtml) {
+  const group = it.mediaGroup || {};
+  const content = pickLargest([
+    ...mediaCandidates(it.mediaContent, 'media:content'),
+    ...mediaCandidates(group['media:content'], 'media:content'),
+  ]);
+  if (content) return content;
+  const thumb = pickLargest([
+    ...mediaCandidates(it.mediaThumbnail, 'media:thumbnail'),
+    ...mediaCandidates(group['media:thumbnail'], 'media:thumbnail'),
+  ]);
+  if (thumb) return thumb;
+  const enc = it.enclosure;
+  if (enc?.url && (!enc.type || /^image\//i.test(enc.type))) return { url: enc.url, width: null, height: null, source: 'enclosure' };
+  return firstImgInHtml(contentHtml);
+}
+
+// RSS 1.0 syndication 모듈: updatePeriod(hourly…yearly) / updateFrequency → 갱신 주기(초)
+const SY_PERIOD_SEC = { hourly: 3600, daily: 86400, weekly: 604800, monthly: 2592000, yearly: 31536000 };
+function syUpdatePeriodSec(feed) {
+  const period = SY_PERIOD_SEC[textOf(feed.syUpdatePeriod).trim().toLowerCase()];
+  if (!period) return null;
+  const freq = toInt(textOf(feed.syUpdateFrequency)) || 1;
+  return Math.round(period / Math.max(freq, 1));
+}
+
+function xmlItemCategories(it) {
+  const raw = [...(it.rawCategories || []), ...(it.dcSubject || [])];
+  // RSS: 문자열 또는 { _, $:{domain} } / Atom: { $:{ term, label } }
+  return uniq(raw.map(c => (c && c.$ && (c.$.label || c.$.term)) || textOf(c)));
+}
+
+function normalizeXmlItem(it, feedLang) {
+  const contentHtml = it['content:encoded'] || it.content || it.summary || '';
+  const summary = htmlToText(it.summary) || it.contentSnippet || htmlToText(contentHtml);
+  return {
+    title: htmlToText(it.title || ''),
+    link: it.link || it['rdf:about'] || '',
+    origLink: textOf(it.origLink) || null,
+    guid: textOf(it.guid) || it.id || it.link || '',
+    author: textOf(it.creator || it.author) || null,
+    categories: xmlItemCategories(it),
+    publishedAt: toIso(it.isoDate || it.pubDate || it.date),
+    updatedAt: toIso(it.updated),
+    summary,
+    contentHtml,
+    image: xmlItemImage(it, contentHtml),
+    lang: feedLang,
+  };
+}
+
+async function parseXmlFeed(body, format) {
+  const feed = await xmlParser.parseString(body);
+  const lang = (feed.language || feed.dcLanguage || '').slice(0, 2).toLowerCase() || null;
+  return {
+    format,
+    title: feed.title || '',
+    description: feed.description || '',
+    link: feed.link || '',
+    language: lang,
+    lastBuildDate: feed.lastBuildDate || null,
+    ttl: toInt(feed.ttl),
+    updatePeriodSec: syUpdatePeriodSec(feed),
+    items: (feed.items || []).map(it => normalizeXmlItem(it, lang)),
+  };
+}
+
+// -------------------------------
+// JSON Feed 1.0 / 1.1
+// -------------------------------
+function parseJsonFeed(body) {
+  const feed = typeof body === 'string' ? JSON.parse(body.replace(/^﻿/, '')) : body;
+  if (!feed || !/jsonfeed\.org\/version\//.test(feed.version || '') || !Array.isArray(feed.items)) {
+    throw new Error('Not a JSON Feed document');
+  }
+  const feedLang = (feed.language || '').slice(0, 2).toLowerCase() || null;
+  const feedAuthor = (feed.authors && feed.authors[0]?.name) || feed.author?.name || null;
+  return {
+    format: 'json',
+    title: feed.title || '',
+    description: feed.description || '',
+    link: feed.home_page_url || '',
+    language: feedLang,
+    lastBuildDate: null,
+    ttl: null,
+    updatePeriodSec: null,
+    items: feed.items.map(it => {
+      const contentHtml = it.content_html || '';
+      const imageUrl = it.image || it.banner_image;
+      return {
+        title: htmlToText(it.title || ''),
+        link: it.url || it.external_url || '',
+        guid: String(it.id ?? it.url ?? ''),
+        author: (it.authors && it.authors[0]?.name) || it.author?.name || feedAuthor,
+        categories: uniq(it.tags || []),
+        publishedAt: toIso(it.date_published),
+        updatedAt: toIso(it.date_modified),
+        summary: it.summary || it.content_text || htmlToText(contentHtml),
+        contentHtml,
+        image: imageUrl ? { url: imageUrl, width: null, height: null, source: it.image ? 'jsonfeed:image' : 'jsonfeed:banner_image' } : firstImgInHtml(contentHtml),
+        lang: (it.language || '').slice(0, 2).toLowerCase() || feedLang,
+      };
+    }),
+  };
+}
+
+/**
+ * 피드 본문을 포맷에 맞게 파싱해 정규화된 { format, title, ..., items } 를 돌려준다.
+ * @param {string|object} body XML 문자열 또는 JSON Feed (문자열/객체)
+ */
+async function parseFeed(body) {
+  if (body && typeof body === 'object') return parseJsonFeed(body);
+  const format = detectFormat(body);
+  if (format === 'json') return parseJsonFeed(body);
+  if (format === 'unknown') throw new Error('Unrecognized feed format');
+  return parseXmlFeed(body, format);
+}
+
+module.exports = { parseFeed, detectFormat, htmlToText };
@@ -0,0 +1,82 @@
+// services/rss/hostGuard.js - 사용자가 준 URL 을 서버가 대신 가져올 때 내부망 접근(SSRF) 차단
+// - 루프백/사설/링크 로컬/CGNAT/멀티캐스트 등 공인 주소가 아니면 code=EPRIVATEHOST
+// - assertPublicUrl(): 요청 전 검사 (스킴, IP 리터럴, localhost, DNS 결과)
+// - PUBLIC_ONLY: axios 요청 옵션 - 실제 연결 시점의 DNS 조회와 리다이렉트마다 다시 검사
+//   (검사 후 DNS 응답이 바뀌는 rebinding, 공인 주소에서 내부 주소로 보내는 리다이렉트 대응)
+const dns = require('dns');
+const net = require('net');
+
+const blocked = new net.BlockList();
+for (const [addr, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) blocked.addSubnet(addr, prefix, 'ipv4');
+for (const [addr, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blocked.addSubnet(addr, prefix, 'ipv6');
+}
+
+/**
+ * 공인 주소가 아닌 IP 인지 (IPv4 매핑 IPv6 포함). IP 가 아니면 false.
+ */
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return blocked.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateHostError(host) {
+  const err = new Error(`Refusing to fetch private or internal address: ${host}`);
+  err.code = 'EPRIVATEHOST';
+  return err;
+}
+
+// axios/follow-redirects 가 감싼 에러까지 확인
+function isPrivateHostError(e) {
+  for (let cur = e, depth = 0; cur && depth < 4; cur = cur.cause, depth++) {
+    if (cur.code === 'EPRIVATEHOST') return true;
+  }
+  return false;
+}
+
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, '');
+const isLocalName = (host) => /(^|\.)localhost\.?$/i.test(host);
+
+/**
+ * http(s) 이고 공인 주소로만 풀리는 URL 인지 확인한다. 아니면 throw (code=EPRIVATEHOST / EBADURL).
+ * @param {string} url
+ */
+async function assertPublicUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { u = null; }
+  if (!u || !/^https?:$/.test(u.protocol)) {
+    const err = new Error(`Not an http(s) URL: ${url}`);
+    err.code = 'EBADURL';
+    throw err;
+  }
+  const host = bareHost(u.hostname);
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw privateHostError(host);
+    return;
+  }
+  if (isLocalName(host)) throw privateHostError(host);
+  const addrs = await dns.promises.lookup(host, { all: true });
+  if (addrs.some(a => isPrivateAddress(a.address))) throw privateHostError(host);
+}
+
+// 연결 시점 DNS 조회: 하나라도 내부 주소면 연결하지 않음 (axios 가 opt.all 에 맞춰 변환)
+async function publicLookup(hostname, opts = {}) {
+  const addrs = await dns.promises.lookup(hostname, { family: opts.family, hints: opts.hints, all: true });
+  if (isLocalName(hostname) || addrs.some(a => isPrivateAddress(a.address))) throw privateHostError(hostname);
+  return addrs;
+}
+
+// 리다이렉트 대상: IP 리터럴은 lookup 을 거치지 않으므로 여기서 확인
+function checkRedirect(options) {
+  const host = bareHost(options.hostname || options.host || '');
+  if (isLocalName(host) || isPrivateAddress(host)) throw privateHostError(host);
+}
+
+// fetchWithRetry / axios 요청 config 에 펼쳐 넣는 옵션
+const PUBLIC_ONLY = Object.freeze({ lookup: publicLookup, beforeRedirect: checkRedirect });
+
+module.exports = { assertPublicUrl, isPrivateAddress, isPrivateHostError, PUBLIC_ONLY };
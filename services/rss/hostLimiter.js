@@ -0,0 +1,139 @@
+// services/rss/hostLimiter.js - 호스트별 예의(politeness) 제한
+// - 토큰 버킷: 호스트별 초당 요청 수(rps)와 버스트
+// - 동시 요청 상한: 같은 호스트로 동시에 나가는 요청 수
+// - 최소 간격(crawl delay): 요청별로 지정 (기사 페이지 수집 시 robots.txt Crawl-delay 반영)
+// - 대기 상한: 요청별 maxWaitMs (보통 요청 timeout). 슬롯을 그 안에 못 얻으면 code=EHOSTQUEUE 로 실패
+//   (axios timeout 은 슬롯을 얻은 뒤부터 재므로, 없으면 긴 crawl delay 뒤에서 요청이 무한히 쌓임)
+// 대기 요청은 호스트별 FIFO 로 처리한다.
+
+// "newsapi.org=1/2,www.reddit.com=0.5/1" → { 'newsapi.org': { rps:1, concurrency:2 }, ... }
+function parseHostLimits(str) {
+  const out = {};
+  for (const pair of String(str || '').split(',')) {
+    const [host, spec] = pair.split('=').map(s => s && s.trim());
+    if (!host || !spec) continue;
+    const [rps, concurrency] = spec.split('/').map(Number);
+    out[host.toLowerCase()] = {
+      ...(rps > 0 ? { rps } : {}),
+      ...(concurrency > 0 ? { concurrency } : {}),
+    };
+  }
+  return out;
+}
+
+const LIMITS = {
+  RPS: Number(process.env.HTTP_HOST_RPS || 2),
+  BURST: Number(process.env.HTTP_HOST_BURST || 4),
+  CONCURRENCY: Number(process.env.HTTP_HOST_CONCURRENCY || 2),
+  OVERRIDES: parseHostLimits(process.env.HTTP_HOST_LIMITS),
+};
+
+function queueError(host, maxWaitMs) {
+  const err = new Error(`Host queue wait for ${host} exceeds ${maxWaitMs}ms`);
+  err.code = 'EHOSTQUEUE';
+  return err;
+}
+
+class HostLimiter {
+  constructor(opts = {}) {
+    this.rps = opts.rps || LIMITS.RPS;
+    this.burst = opts.burst || LIMITS.BURST;
+    this.concurrency = opts.concurrency || LIMITS.CONCURRENCY;
+    this.overrides = opts.overrides || LIMITS.OVERRIDES;
+    this.hosts = new Map();
+  }
+
+  _state(host) {
+    let st = this.hosts.get(host);
+    if (!st) {
+      const o = this.overrides[host] || this.overrides[host.replace(/^www\./, '')] || {};
+      st = {
+        rps: o.rps || this.rps,
+        burst: this.burst,
+        concurrency: o.concurrency || this.concurrency,
+        tokens: this.burst,
+        refilledAt: Date.now(),
+        lastStartAt: 0,
+        active: 0,
+        queue: [],
+        timer: null,
+        waited: 0,
+      };
+      this.hosts.set(host, st);
+    }
+    return st;
+  }
+
+  /**
+   * 호스트 슬롯을 얻는다. 반환된 release() 를 요청이 끝나면 반드시 호출해야 한다.
+   * @param {string} host
+   * @param {{ minGapMs?: number, maxWaitMs?: number }} [opts] minGapMs: 직전 요청 시작 후 최소 대기,
+   *   maxWaitMs: 대기 상한 (0 이면 무제한). 예상 대기가 이미 넘으면 바로, 아니면 상한 시각에 EHOSTQUEUE
+   * @returns {Promise<Function>} release
+   */
+  acquire(host, { minGapMs = 0, maxWaitMs = 0 } = {}) {
+    const st = this._state(host);
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+      if (maxWaitMs > 0 && minGapMs > 0) {
+        // 앞선 대기 요청마다 최소 간격이 한 번씩 필요
+        const expected = Math.max(0, st.lastStartAt + minGapMs - now) + st.queue.length * minGapMs;
+        if (expected > maxWaitMs) return reject(queueError(host, maxWaitMs));
+      }
+      const entry = { resolve, minGapMs, queuedAt: now, deadline: null };
+      if (maxWaitMs > 0) {
+        entry.deadline = setTimeout(() => {
+          const i = st.queue.indexOf(entry);
+          if (i === -1) return;
+          st.queue.splice(i, 1);
+          reject(queueError(host, maxWaitMs));
+        }, maxWaitMs);
+      }
+      st.queue.push(entry);
+      this._drain(host);
+    });
+  }
+
+  _drain(host) {
+    const st = this._state(host);
+    if (st.timer) return;
+    while (st.queue.length && st.active < st.concurrency) {
+      const now = Date.now();
+      st.tokens = Math.min(st.burst, st.tokens + ((now - st.refilledAt) / 1000) * st.rps);
+      st.refilledAt = now;
+
+      const head = st.queue[0];
+      const gapWait = st.lastStartAt + head.minGapMs - now;
+      const tokenWait = st.tokens >= 1 ? 0 : ((1 - st.tokens) / st.rps) * 1000;
+      const wait = Math.max(gapWait, tokenWait);
+      if (wait > 0) {
+        st.timer = setTimeout(() => { st.timer = null; this._drain(host); }, Math.ceil(wait));
+        return;
+      }
+
+      st.queue.shift();
+      clearTimeout(head.deadline);
+      st.tokens -= 1;
+      st.active++;
+      st.lastStartAt = now;
+      if (now > head.queuedAt) st.waited++;
+      let released = false;
+      head.resolve(() => {
+        if (released) return;
+        released = true;
+        st.active--;
+        this._drain(host);
+      });
+    }
+  }
+
+  getStats() {
+    const out = {};
+    for (const [host, st] of this.hosts) {
+      out[host] = { active: st.active, queued: st.queue.length, waited: st.waited, rps: st.rps, concurrency: st.concurrency };
+    }
+    return out;
+  }
+}
+
+module.exports = { HostLimiter, parseHostLimits, LIMITS };
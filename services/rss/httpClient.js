@@ -2,32 +2,116 @@
 const http = require('http');
 const https = require('https');
 const axios = require('axios');
+const { decodeBody } = require('./charset');
+const { HostLimiter } = require('./hostLimiter');
+const { RobotsCache } = require('./robots');
+const { applyRecorder, isReplaying } = require('./httpRecorder');
+const { PUBLIC_ONLY } = require('./hostGuard');
 
 const agentHttp  = new http.Agent({ keepAlive: true, maxSockets: 50 });
 const agentHttps = new https.Agent({ keepAlive: true, maxSockets: 50, rejectUnauthorized: false });
 
-const client = axios.create({
+const USER_AGENT = process.env.RSS_USER_AGENT ?? 'emarknews-bot/1.0 (+https://emarknews.com)';
+// 기사 페이지(robots 검사 대상) 요청 사이 최소 간격. robots.txt Crawl-delay 가 더 길면 그 값 (CRAWL_DELAY_MAX_MS 까지)
+const CRAWL_DELAY_MS = Number(process.env.HTTP_CRAWL_DELAY_MS ?? 1000);
+const CRAWL_DELAY_MAX_MS = Number(process.env.HTTP_CRAWL_DELAY_MAX_MS ?? 10000);
+
+// -------------------------------
+// 호스트별 예의 제한 (토큰 버킷 + 동시 요청 상한)
+// - 이 모듈의 client 와 applyHostLimits() 를 거친 axios 인스턴스가 같은 limiter 를 공유
+// - 요청 config.politeness = { minGapMs } 로 요청별 최소 간격 지정
+// - 슬롯 대기는 요청 timeout 까지만 (넘으면 code=EHOSTQUEUE)
+// -------------------------------
+const hostLimiter = new HostLimiter();
+
+function applyHostLimits(instance, limiter = hostLimiter) {
+  instance.interceptors.request.use(async (config) => {
+    if (isReplaying()) return config; // 픽스처 재생은 네트워크를 쓰지 않음
+    let host;
+    try { host = new URL(axios.getUri(config)).hostname.toLowerCase(); } catch { return config; }
+    config._releaseHost = await limiter.acquire(host, { minGapMs: config.politeness?.minGapMs || 0, maxWaitMs: config.timeout || 0 });
+    return config;
+  });
+  const release = (config) => { if (config?._releaseHost) { config._releaseHost(); config._releaseHost = null; } };
+  instance.interceptors.response.use(
+    (res) => { release(res.config); return res; },
+    (err) => { release(err?.config); return Promise.reject(err); }
+  );
+  return instance;
+}
+
+/**
+ * 상류 API 용 axios 인스턴스: 호스트별 제한 + 녹화/재생(HTTP_FIXTURES) 적용
+ * @param {import('axios').CreateAxiosDefaults} config
+ */
+function createHttpClient(config) {
+  return applyRecorder(applyHostLimits(axios.create(config)));
+}
+
+const client = createHttpClient({
   timeout: Number(process.env.RSS_TIMEOUT_MS ?? 15000),
   maxRedirects: 5,
   httpAgent: agentHttp,
   httpsAgent: agentHttps,
   headers: {
-    'user-agent': process.env.RSS_USER_AGENT ?? 'emarknews-bot/1.0 (+https://emarknews.com)'
+    'user-agent': USER_AGENT
   },
-  responseType: 'text',
+  // 바이트로 받아 charset 판별 후 UTF-8 로 변환 (EUC-KR/Shift_JIS 피드 대응)
+  // 요청 config 의 langHint(ko/ja)는 휴리스틱 후보 순서에 사용
+  responseType: 'arraybuffer',
+  transformResponse: [function (data, headers) {
+    return decodeBody(data, headers?.['content-type'], { langHint: this.langHint }).text;
+  }],
   validateStatus: (s) => s >= 200 && s < 400,
 });
 
+// robots.txt 는 UA 의 첫 제품 토큰(emarknews-bot) 기준으로 판단
+// 기사 요청보다 먼저 나가므로 robots.txt 요청(과 리다이렉트)도 내부 주소로는 보내지 않음
+const robots = new RobotsCache({
+  uaToken: USER_AGENT.split('/')[0].trim(),
+  fetchText: async (url) => {
+    const res = await client.get(url, { validateStatus: () => true, timeout: 5000, maxRedirects: 3, ...PUBLIC_ONLY });
+    return { status: res.status, text: typeof res.data === 'string' ? res.data : '' };
+  },
+});
+
 async function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
 
-async function fetchWithRetry(url, tries = 3) {
+// Retry-After: 초 또는 HTTP 날짜 → 대기 ms (없거나 잘못된 값이면 null)
+function retryAfterMs(headers) {
+  const v = headers?.['retry-after'];
+  if (v == null || v === '') return null;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+// opts.headers / opts.timeout / opts.langHint 는 요청별 덮어쓰기, opts.method 기본 'get' (리다이렉트만 볼 때 'head')
+// opts.robots = true (기사 페이지): robots.txt 가 막으면 code=EROBOTS, 호스트별 crawl delay 적용
+async function fetchWithRetry(url, tries = 3, { robots: checkRobots = false, method = 'get', ...opts } = {}) {
+  if (checkRobots) {
+    const { allowed, crawlDelayMs } = await robots.check(url);
+    if (!allowed) {
+      const err = new Error(`Disallowed by robots.txt: ${url}`);
+      err.code = 'EROBOTS';
+      throw err;
+    }
+    opts = { ...opts, politeness: { minGapMs: Math.min(Math.max(CRAWL_DELAY_MS, crawlDelayMs), CRAWL_DELAY_MAX_MS) } };
+  }
   let lastErr;
   for (let i = 0; i < tries; i++) {
     try {
-      return await client.get(url);
+      return await client.request({ ...opts, url, method });
     } catch (e) {
       lastErr = e;
       const code = e?.code;
+      // 429/503 + Retry-After: 여기서 두드리지 않고 호출자(스케줄러)가 그 시각 이후로 미루도록 전달
+      const wait = retryAfterMs(e?.response?.headers);
+      if (wait != null && [429, 503].includes(e.response.status)) {
+        e.retryAfterMs = wait;
+        throw e;
+      }
       // 재시도 가치 있는 오류인지 확인
       if (['ENOTFOUND','EAI_AGAIN','ECONNRESET','ETIMEDOUT','ECONNREFUSED'].includes(code) || e?.response?.status >= 500) {
         // 재시도 (백오프)
@@ -41,9 +125,61 @@ async function fetchWithRetry(url, tries = 3) {
   throw lastErr;
 }
 
+// -------------------------------
+// 조건부 GET (ETag / Last-Modified)
+// - 피드 URL별 검증자와 마지막 파싱 결과를 기억
+// - 304 면 본문 없이 마지막 파싱 결과를 재사용
+// -------------------------------
+const CONDITIONAL_MAX = Number(process.env.RSS_CONDITIONAL_MAX ?? 500);
+const conditional = new Map(); // url -> { etag, lastModified, parsed, fetchedAt }
+const conditionalStats = { requests: 0, notModified: 0 };
+
+function rememberConditional(url, entry) {
+  conditional.delete(url); // 삽입 순서 = LRU 순서
+  conditional.set(url, entry);
+  if (conditional.size > CONDITIONAL_MAX) conditional.delete(conditional.keys().next().value);
+}
+
+/**
+ * 피드를 조건부 GET 으로 가져와 parse(body) 결과를 돌려준다.
+ * @param {string} url
+ * @param {{ parse: Function, tries?: number, timeout?: number, langHint?: string }} opts
+ * @returns {Promise<{ parsed: any, notModified: boolean, status: number, retryAfterMs: number|null }>}
+ */
+async function fetchFeed(url, { parse, tries = 3, timeout, langHint } = {}) {
+  const prev = conditional.get(url);
+  const headers = {};
+  if (prev?.etag) headers['if-none-match'] = prev.etag;
+  if (prev?.lastModified) headers['if-modified-since'] = prev.lastModified;
+
+  conditionalStats.requests++;
+  const res = await fetchWithRetry(url, tries, { headers, langHint, ...(timeout ? { timeout } : {}) });
+
+  if (res.status === 304 && prev) {
+    conditionalStats.notModified++;
+    rememberConditional(url, { ...prev, fetchedAt: Date.now() });
+    return { parsed: prev.parsed, notModified: true, status: 304, retryAfterMs: retryAfterMs(res.headers) };
+  }
+
+  const parsed = await parse(res.data, res);
+  const etag = res.headers?.etag;
+  const lastModified = res.headers?.['last-modified'];
+  if (etag || lastModified) rememberConditional(url, { etag, lastModified, parsed, fetchedAt: Date.now() });
+  else conditional.delete(url);
+  return { parsed, notModified: false, status: res.status, retryAfterMs: retryAfterMs(res.headers) };
+}
+
+function getConditionalStats() {
+  return { ...conditionalStats, tracked: conditional.size };
+}
+
 function logAxiosError(err, ctx = {}) {
   const { code, errno, syscall, hostname, message } = err || {};
   console.error('[rss-error]', { code, errno, syscall, hostname, message, ...ctx });
 }
 
-module.exports = { client, fetchWithRetry, logAxiosError };
+function getHostStats() {
+  return hostLimiter.getStats();
+}
+
+module.exports = { client, createHttpClient, fetchWithRetry, fetchFeed, getConditionalStats, getHostStats, applyHostLimits, retryAfterMs, logAxiosError };
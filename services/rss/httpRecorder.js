@@ -0,0 +1,189 @@
+// services/rss/httpRecorder.js - 상류 HTTP 응답 녹화/재생 (네트워크 없는 CI/로컬 실행용)
+// - HTTP_FIXTURES=record : 실제로 요청하고 응답을 픽스처 파일로 저장
+// - HTTP_FIXTURES=replay : 네트워크 없이 픽스처로만 응답 (없으면 code=EREPLAYMISS)
+// - 픽스처 키 = 메서드 + 전체 URL(쿼리의 API 키류는 가림) + 요청 본문 해시. 요청 헤더는 키에 넣지 않음
+//   → 조건부 GET 헤더나 실제 API 키가 달라도 같은 픽스처로 재생
+// 적용은 httpClient 의 createHttpClient() 가 axios 어댑터를 감싸는 방식 (rss-parser 는 문자열만 파싱)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { AxiosError, AxiosHeaders } = axios;
+
+const RECORDER = {
+  MODE: ['record', 'replay'].includes(process.env.HTTP_FIXTURES) ? process.env.HTTP_FIXTURES : 'off',
+  DIR: path.resolve(process.env.HTTP_FIXTURES_DIR || path.join(__dirname, '../../fixtures/http')),
+};
+
+// 픽스처에 남기지 않을 쿼리 파라미터 / 응답 헤더 / 응답 JSON 필드
+const SECRET_PARAMS = ['apikey', 'api_key', 'key', 'token', 'access_token', 'client_secret'];
+const DROP_HEADERS = ['set-cookie', 'date', 'connection', 'keep-alive', 'transfer-encoding'];
+const SECRET_FIELDS = ['access_token', 'refresh_token'];
+
+const sha1 = (s) => crypto.createHash('sha1').update(s).digest('hex');
+
+function redactUrl(str) {
+  const u = new URL(str);
+  for (const name of Array.from(u.searchParams.keys())) {
+    if (SECRET_PARAMS.includes(name.toLowerCase())) u.searchParams.set(name, 'REDACTED');
+  }
+  return u.toString();
+}
+
+const redactedUrl = (config) => redactUrl(axios.getUri(config));
+
+function bodyOf(config) {
+  const d = config.data;
+  if (d == null) return '';
+  return typeof d === 'string' || Buffer.isBuffer(d) ? d : JSON.stringify(d);
+}
+
+/**
+ * 요청 config 의 픽스처 키와 파일 경로
+ * @returns {{ key: string, url: string, file: string }}
+ */
+function fixtureFor(config) {
+  const url = redactedUrl(config);
+  const method = (config.method || 'get').toUpperCase();
+  const body = bodyOf(config);
+  const key = `${method} ${url}${body ? ` #${sha1(body).slice(0, 12)}` : ''}`;
+  const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  return { key, url, file: path.join(RECORDER.DIR, host, `${sha1(key).slice(0, 16)}.json`) };
+}
+
+function redactBody(text) {
+  if (!SECRET_FIELDS.some(f => text.includes(`"${f}"`))) return text;
+  try {
+    const obj = JSON.parse(text);
+    for (const f of SECRET_FIELDS) if (obj && f in obj) obj[f] = 'REDACTED';
+    return JSON.stringify(obj);
+  } catch { return text; }
+}
+
+function save(config, res) {
+  const { key, url, file } = fixtureFor(config);
+  // 304 는 앞서 녹화한 200 을 덮어쓰지 않음 (재생 첫 요청에는 이전 본문이 없으므로)
+  if (res.status === 304 && fs.existsSync(file)) return;
+
+  let body = '';
+  let encoding = 'utf8';
+  if (Buffer.isBuffer(res.data)) {
+    const text = res.data.toString('utf8');
+    // UTF-8 로 왕복되지 않는 본문(EUC-KR 등)은 바이트 그대로
+    if (Buffer.from(text, 'utf8').equals(res.data)) body = redactBody(text);
+    else { body = res.data.toString('base64'); encoding = 'base64'; }
+  } else if (res.data != null) {
+    body = redactBody(typeof res.data === 'string' ? res.data : JSON.stringify(res.data));
+  }
+  const headers = {};
+  for (const [k, v] of Object.entries(AxiosHeaders.from(res.headers || {}).toJSON())) {
+    if (!DROP_HEADERS.includes(k.toLowerCase())) headers[k.toLowerCase()] = v;
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    key,
+    request: { method: (config.method || 'get').toUpperCase(), url },
+    response: {
+      status: res.status,
+      statusText: res.statusText || '',
+      finalUrl: res.request?.res?.responseUrl ? redactUrl(res.request.res.responseUrl) : url,
+      headers,
+      encoding,
+      body,
+    },
+    recordedAt: new Date().toISOString(),
+  }, null, 2)}\n`);
+}
+
+// 응답 없는 오류(DNS 실패, 연결 거부 등)도 녹화해 같은 실패를 재생
+function saveError(config, err) {
+  const { key, url, file } = fixtureFor(config);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    key,
+    request: { method: (config.method || 'get').toUpperCase(), url },
+    error: { code: err.code || null, message: err.message },
+    recordedAt: new Date().toISOString(),
+  }, null, 2)}\n`);
+}
+
+function replay(config) {
+  const { key, file } = fixtureFor(config);
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    const err = new Error(`No HTTP fixture for ${key} (expected ${path.relative(process.cwd(), file)})`);
+    err.code = 'EREPLAYMISS';
+    err.config = config;
+    throw err;
+  }
+  if (fixture.error) throw new AxiosError(fixture.error.message, fixture.error.code, config, null);
+
+  const r = fixture.response;
+  const raw = Buffer.from(r.body || '', r.encoding === 'base64' ? 'base64' : 'utf8');
+  const request = { res: { responseUrl: r.finalUrl } };
+  const response = {
+    // http 어댑터와 같은 형태: arraybuffer 는 Buffer, 그 외는 문자열 (transformResponse 가 이어서 처리)
+    data: config.responseType === 'arraybuffer' ? raw : raw.toString('utf8'),
+    status: r.status,
+    statusText: r.statusText,
+    headers: AxiosHeaders.from(r.headers),
+    config,
+    request,
+  };
+  const validate = config.validateStatus;
+  if (!r.status || !validate || validate(r.status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${r.status}`,
+    r.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config, request, response
+  );
+}
+
+/**
+ * axios 인스턴스의 어댑터를 녹화/재생 어댑터로 감싼다. HTTP_FIXTURES 가 없으면 그대로 둔다.
+ */
+function applyRecorder(instance) {
+  if (RECORDER.MODE === 'off') return instance;
+  const base = axios.getAdapter(instance.defaults.adapter || axios.defaults.adapter);
+  instance.defaults.adapter = async (config) => {
+    if (RECORDER.MODE === 'replay') return replay(config);
+    try {
+      const res = await base(config);
+      save(config, res);
+      return res;
+    } catch (e) {
+      if (e.response) save(config, e.response);
+      else if (e.code && e.code !== AxiosError.ERR_CANCELED) saveError(config, e);
+      throw e;
+    }
+  };
+  return instance;
+}
+
+const isReplaying = () => RECORDER.MODE === 'replay';
+
+/**
+ * 픽스처 중 가장 늦은 녹화 시각(ms). 없으면 null.
+ * 재생 시 이 시각으로 시계를 맞춰야 '최근 12시간' 같은 필터가 녹화 당시처럼 동작함 (scripts/pipeline.js)
+ */
+function fixturesRecordedAt(dir = RECORDER.DIR) {
+  let latest = null;
+  const walk = (d) => {
+    for (const e of fs.existsSync(d) ? fs.readdirSync(d, { withFileTypes: true }) : []) {
+      const p = path.join(d, e.name);
+      if (e.isDirectory()) { walk(p); continue; }
+      if (!e.name.endsWith('.json')) continue;
+      try {
+        const t = Date.parse(JSON.parse(fs.readFileSync(p, 'utf8')).recordedAt);
+        if (t && (!latest || t > latest)) latest = t;
+      } catch { /* 픽스처가 아닌 파일 */ }
+    }
+  };
+  walk(dir);
+  return latest;
+}
+
+module.exports = { applyRecorder, isReplaying, fixtureFor, fixturesRecordedAt, RECORDER };
@@ -0,0 +1,184 @@
+// services/rss/opml.js - 소스 카탈로그 OPML 내보내기/가져오기
+// - 내보내기: 섹션마다 폴더(outline) 하나, 그 안에 피드 outline (여러 섹션 소스는 각 폴더에 반복)
+// - 가져오기: 폴더 이름을 섹션으로 매핑(가장 가까운 상위 폴더 기준), 같은 피드는 섹션을 합침
+//   이미 카탈로그에 있는 피드는 duplicates, 받아서 파싱되지 않는 피드는 unreachable 로 보고
+//   내부 주소(사설/루프백/링크 로컬)로 풀리는 피드는 요청하지 않고 blocked 로 보고 (hostGuard)
+const cheerio = require('cheerio');
+const catalog = require('./catalog');
+const { inspectFeed } = require('./discovery');
+const { isPrivateHostError } = require('./hostGuard');
+
+const OPML = {
+  MAX_FEEDS: Number(process.env.OPML_IMPORT_MAX_FEEDS || 200),
+  CONCURRENCY: 6, // 피드 확인 동시 실행 수 (호스트별 제한은 httpClient 가 별도로 적용)
+};
+
+// RSS 리더에서 흔히 쓰는 폴더 이름 → 섹션
+const FOLDER_ALIASES = {
+  world: 'world', international: 'world', global: 'world', '세계': 'world', '국제': 'world',
+  kr: 'kr', korea: 'kr', '한국': 'kr', '국내': 'kr',
+  japan: 'japan', jp: 'japan', '일본': 'japan', '日本': 'japan',
+  tech: 'tech', technology: 'tech', it: 'tech', '테크': 'tech', '기술': 'tech', '과학기술': 'tech',
+  business: 'business', economy: 'business', finance: 'business', markets: 'business', '경제': 'business', '비즈니스': 'business',
+  buzz: 'buzz', trending: 'buzz', entertainment: 'buzz', '화제': 'buzz', '연예': 'buzz',
+};
+
+const escapeXml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function folderToSection(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return FOLDER_ALIASES[key] || (catalog.SECTIONS.includes(key) ? key : null);
+}
+
+/**
+ * 현재 카탈로그를 OPML 2.0 문서로 만든다.
+ * @param {{ includeDisabled?: boolean }} [opts]
+ */
+function exportOpml({ includeDisabled = false } = {}) {
+  const sources = catalog.listSources({ includeDisabled });
+  const folders = catalog.SECTIONS.map(section => {
+    const feeds = sources
+      .filter(s => s.sections.includes(section))
+      .sort((a, b) => a.priority - b.priority)
+      .map(s => `      <outline type="rss" text="${escapeXml(s.name)}" title="${escapeXml(s.name)}" xmlUrl="${escapeXml(s.url)}"${s.lang !== 'und' ? ` language="${s.lang}"` : ''}${s.enabled ? '' : ' isDisabled="true"'}/>`);
+    if (!feeds.length) return null;
+    return [`    <outline text="${section}" title="${section}">`, ...feeds, '    </outline>'].join('\n');
+  }).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    '    <title>EmarkNews sources</title>',
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...folders,
+    '  </body>',
+    '</opml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * OPML 문서에서 피드 목록을 뽑는다. 같은 URL 은 하나로 합치고 섹션을 모은다.
+ * @param {string} xml
+ * @param {{ defaultSection?: string }} [opts] 섹션으로 매핑되는 폴더 밖의 피드에 쓸 섹션
+ * @returns {{ feeds: Array<{ url, title, lang, sections: string[], folders: string[] }>, unmapped: Array<{ url, folders: string[] }> }}
+ */
+function parseOpml(xml, { defaultSection } = {}) {
+  const $ = cheerio.load(String(xml || ''), { xml: true });
+  if (!$('opml').length) throw new Error('Not an OPML document');
+
+  const byUrl = new Map();
+  const unmapped = [];
+  $('outline[xmlUrl], outline[xmlurl]').each((_, el) => {
+    const $el = $(el);
+    const url = ($el.attr('xmlUrl') || $el.attr('xmlurl') || '').trim();
+    if (!url) return;
+    const folders = $el.parents('outline').map((_, p) => $(p).attr('title') || $(p).attr('text') || '').get().filter(Boolean);
+    const section = folders.map(folderToSection).find(Boolean) || (defaultSection ? catalog.resolveSection(defaultSection) : null);
+    if (!section) { unmapped.push({ url, folders: folders.reverse() }); return; }
+
+    const prev = byUrl.get(url);
+    if (prev) {
+      if (!prev.sections.includes(section)) prev.sections.push(section);
+      return;
+    }
+    const lang = ($el.attr('language') || '').slice(0, 2).toLowerCase();
+    byUrl.set(url, {
+      url,
+      title: ($el.attr('title') || $el.attr('text') || '').trim() || null,
+      lang: /^[a-z]{2}$/.test(lang) ? lang : null,
+      sections: [section],
+      folders: folders.reverse(),
+    });
+  });
+  return { feeds: Array.from(byUrl.values()), unmapped };
+}
+
+// 순서를 유지하면서 동시 실행 수를 제한해 fn 을 적용
+async function mapLimit(list, limit, fn) {
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+  return out;
+}
+
+/**
+ * OPML 을 가져와 새 피드를 카탈로그에 추가한다.
+ * @param {string} xml
+ * @param {{ defaultSection?: string, dryRun?: boolean }} [opts]
+ */
+async function importOpml(xml, { defaultSection, dryRun = false } = {}) {
+  const { feeds, unmapped } = parseOpml(xml, { defaultSection });
+  const duplicates = [];
+  const fresh = [];
+  for (const f of feeds) {
+    const existing = catalog.getFeedByUrl(f.url);
+    if (existing) duplicates.push({ url: f.url, id: existing.id, sections: f.sections });
+    else fresh.push(f);
+  }
+  const skipped = fresh.splice(OPML.MAX_FEEDS).map(f => f.url);
+
+  const checked = await mapLimit(fresh, OPML.CONCURRENCY, async (f) => {
+    try {
+      return { ...f, feed: await inspectFeed(f.url, { langHint: f.lang, publicOnly: true }) };
+    } catch (e) {
+      return { ...f, error: e.response ? `HTTP ${e.response.status}` : e.message, blocked: isPrivateHostError(e) };
+    }
+  });
+  const blocked = checked.filter(f => f.blocked).map(f => ({ url: f.url, sections: f.sections, error: f.error }));
+  const unreachable = checked.filter(f => f.error && !f.blocked).map(f => ({ url: f.url, sections: f.sections, error: f.error }));
+
+  // 리다이렉트 후 주소가 이미 카탈로그에 있는 피드도 중복
+  const reachable = [];
+  for (const f of checked.filter(f => !f.error)) {
+    if (f.feed.inCatalog) duplicates.push({ url: f.url, id: f.feed.inCatalog, sections: f.sections });
+    else reachable.push(f);
+  }
+
+  const reserved = new Set();
+  const raws = reachable.map(f => {
+    const id = catalog.suggestId(f.feed.siteUrl || f.feed.url, reserved);
+    reserved.add(id);
+    const lang = f.lang || f.feed.language;
+    return {
+      id,
+      name: f.title || f.feed.title || new URL(f.feed.url).hostname,
+      url: f.feed.url,
+      sections: f.sections,
+      ...(/^[a-z]{2}$/.test(lang || '') ? { lang } : {}),
+    };
+  });
+  const result = catalog.addSources(raws, { dryRun });
+  if (!result.ok) {
+    const err = new Error(`Failed to save imported sources: ${result.errors.join('; ')}`);
+    err.code = 'EOPMLSAVE';
+    throw err;
+  }
+  for (const r of result.rejected) {
+    if (r.code === 'duplicate') duplicates.push({ url: r.raw.url, sections: r.raw.sections, error: r.errors[0] });
+  }
+
+  return {
+    dryRun,
+    total: feeds.length + unmapped.length,
+    added: result.added,
+    duplicates,
+    unreachable,
+    blocked,
+    invalid: result.rejected.filter(r => r.code === 'invalid').map(r => ({ url: r.raw.url, errors: r.errors })),
+    unmapped,
+    skipped,
+  };
+}
+
+module.exports = { exportOpml, parseOpml, importOpml, folderToSection };
@@ -1,31 +1,24 @@
-const { fetchWithRetry, logAxiosError } = require('./httpClient');
-const Parser = require('rss-parser');
+const { fetchFeed, logAxiosError } = require('./httpClient');
+const { getFeedsByIds } = require('./catalog');
+const { sourceHealth } = require('../sources/health');
+const { parseFeed } = require('./feedParser');
+const { toImage } = require('../sources/common');
 
-const parser = new Parser();
-
-const FALLBACKS_WORLD = [
-  // 1순위: 기존
-  'https://feeds.reuters.com/reuters/worldNews',
-  // 2순위: 대체 경로(변경될 수 있으니 운영 중 확인)
-  'https://www.reuters.com/markets/world/rss'
-];
+// 카탈로그 id (config/rssSources.js) - 1순위: 기존, 2순위: 대체 경로
+const FALLBACKS_WORLD = ['reuters-world', 'reuters-world-alt'];
 
 async function fetchReutersWorld() {
   let lastErr;
-  for (const url of FALLBACKS_WORLD) {
+  for (const { id, url, name } of getFeedsByIds(FALLBACKS_WORLD)) {
     try {
-      const res = await fetchWithRetry(url, 3);
-      const xml = res?.data;
-      if (!xml) continue;
-      
-      const feed = await parser.parseString(xml);
+      const { parsed: feed } = await sourceHealth.run(`rss:${id}`, () => fetchFeed(url, { parse: xml => xml ? parseFeed(xml) : null }));
       if (feed?.items?.length) {
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
         
         return feed.items
           .map(item => {
-            const publishedDate = new Date(item.isoDate || item.pubDate || new Date().toISOString());
+            const publishedDate = new Date(item.publishedAt || new Date().toISOString());
             
             // 30일 이내 뉴스만 포함
             if (isNaN(publishedDate.getTime()) || publishedDate < thirtyDaysAgo) {
@@ -35,18 +28,19 @@ async function fetchReutersWorld() {
             return {
               title: item.title,
               link: item.link,
-              source: 'Reuters',
-              description: item.contentSnippet || item.content || '',
-              publishedAt: item.isoDate || item.pubDate || new Date().toISOString(),
+              source: name,
+              description: item.summary || '',
+              publishedAt: item.publishedAt || new Date().toISOString(),
+              image: toImage(item.image, item.link),
             };
           })
           .filter(item => item !== null); // null 값 필터링
       }
     } catch (e) {
       lastErr = e;
-      logAxiosError(e, { source: 'Reuters', url });
+      logAxiosError(e, { source: name, url });
       // ENOTFOUND/네트워크 계열은 다음 후보로 페일오버
-      if (!['ENOTFOUND','EAI_AGAIN','ECONNRESET','ETIMEDOUT'].includes(e?.code)) {
+      if (!['ENOTFOUND','EAI_AGAIN','ECONNRESET','ETIMEDOUT','ECIRCUITOPEN'].includes(e?.code)) {
         // 다른 유형이면 중단
         break;
       }
@@ -0,0 +1,117 @@
+// services/rss/robots.js - robots.txt 조회/캐시 (기사 페이지 수집용)
+// - 우리 UA 토큰 그룹이 있으면 그 규칙, 없으면 '*' 그룹
+// - 가장 긴 일치 규칙 우선(동률이면 Allow), '*' 와 '$' 패턴 지원
+// - 4xx(파일 없음)는 전부 허용, 5xx/네트워크 오류도 허용하되 짧게 캐시
+// 피드(RSS/Atom)는 기계 소비용으로 게시된 것이므로 검사하지 않는다.
+
+const ROBOTS = {
+  TTL_MS: Number(process.env.ROBOTS_TTL_SEC || 24 * 3600) * 1000,
+  ERROR_TTL_MS: 3600 * 1000,
+  MAX_ORIGINS: 1000,
+};
+
+function parseRobots(text, uaToken) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const m = /^([A-Za-z-]+)\s*:\s*(.*)$/.exec(line);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === 'user-agent') {
+      // 연속된 User-agent 줄은 같은 그룹
+      if (!lastWasAgent) { current = { agents: [], rules: [], crawlDelaySec: null }; groups.push(current); }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === 'allow' || field === 'disallow') {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+      else if (field === 'disallow') current.rules.push({ allow: true, path: '' }); // 빈 Disallow = 전부 허용
+    } else if (field === 'crawl-delay') {
+      const sec = Number(value);
+      if (Number.isFinite(sec) && sec >= 0) current.crawlDelaySec = sec;
+    }
+  }
+
+  const token = String(uaToken || '').toLowerCase();
+  const own = groups.filter(g => g.agents.includes(token));
+  const picked = own.length ? own : groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: picked.flatMap(g => g.rules),
+    crawlDelaySec: picked.map(g => g.crawlDelaySec).find(v => v != null) ?? null,
+  };
+}
+
+function ruleToRegExp(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function isAllowedBy(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!ruleToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return !best || best.allow;
+}
+
+class RobotsCache {
+  /**
+   * @param {{ fetchText: (url: string) => Promise<{ status: number, text: string }>, uaToken: string }} opts
+   */
+  constructor({ fetchText, uaToken }) {
+    this.fetchText = fetchText;
+    this.uaToken = uaToken;
+    this.origins = new Map(); // origin -> { robots, expiresAt } (삽입 순서 = LRU)
+    this.pending = new Map();
+  }
+
+  async _load(origin) {
+    let robots = { rules: [], crawlDelaySec: null };
+    let ttl = ROBOTS.TTL_MS;
+    try {
+      const { status, text } = await this.fetchText(`${origin}/robots.txt`);
+      if (status >= 200 && status < 300) robots = parseRobots(text, this.uaToken);
+      else if (status >= 500) ttl = ROBOTS.ERROR_TTL_MS;
+    } catch {
+      ttl = ROBOTS.ERROR_TTL_MS;
+    }
+    this.origins.delete(origin);
+    this.origins.set(origin, { robots, expiresAt: Date.now() + ttl });
+    if (this.origins.size > ROBOTS.MAX_ORIGINS) this.origins.delete(this.origins.keys().next().value);
+    return robots;
+  }
+
+  async get(origin) {
+    const hit = this.origins.get(origin);
+    if (hit && hit.expiresAt > Date.now()) return hit.robots;
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this._load(origin).finally(() => this.pending.delete(origin)));
+    }
+    return this.pending.get(origin);
+  }
+
+  /**
+   * @returns {Promise<{ allowed: boolean, crawlDelayMs: number }>}
+   */
+  async check(url) {
+    const u = new URL(url);
+    const robots = await this.get(u.origin);
+    return {
+      allowed: isAllowedBy(robots, `${u.pathname}${u.search}`),
+      crawlDelayMs: robots.crawlDelaySec != null ? robots.crawlDelaySec * 1000 : 0,
+    };
+  }
+}
+
+module.exports = { RobotsCache, parseRobots, isAllowedBy };
@@ -1,33 +1,36 @@
-const Parser = require('rss-parser');
-
-const parser = new Parser({
-  timeout: 5000,
-  headers: {
-    'User-Agent': 'emarknews-bot/1.0 (+https://emarknews.com)'
-  }
-});
+const { parseFeed } = require('./feedParser');
+const { getFeedById } = require('./catalog');
 
+// options.feedId 가 있으면 카탈로그 항목의 매체명/언어를 사용
+// RSS 2.0 / RDF / Atom / JSON Feed 모두 feedParser 가 처리
 async function parseRssXml(xmlString, options = {}) {
+  const source = options.feedId ? getFeedById(options.feedId) : null;
   try {
-    const feed = await parser.parseString(xmlString);
-    const articles = (feed.items || []).map(item => ({
+    const feed = await parseFeed(xmlString);
+    const articles = feed.items.map(item => ({
       title: item.title,
-      description: item.contentSnippet || item.description,
-      content: item.content || item.description,
+      description: item.summary,
+      content: item.contentHtml || item.summary,
       url: item.link,
-      urlToImage: item.enclosure?.url || null,
-      source: options.source || 'RSS',
-      publishedAt: item.pubDate || item.isoDate,
-      category: item.categories?.[0] || 'general',
+      urlToImage: item.image?.url || null,
+      image: item.image,
+      author: item.author,
+      categories: item.categories,
+      source: options.source || source?.name || 'RSS',
+      lang: item.lang || source?.lang || 'und',
+      publishedAt: item.publishedAt,
+      category: item.categories[0] || 'general',
       guid: item.guid || item.link
     }));
 
     return {
       articles,
       meta: {
+        format: feed.format,
         title: feed.title,
         description: feed.description,
         link: feed.link,
+        language: feed.language,
         lastBuildDate: feed.lastBuildDate,
         total: articles.length
       }
@@ -39,4 +42,3 @@ async function parseRssXml(xmlString, options = {}) {
 }
 
 module.exports = { parseRssXml };
-
@@ -0,0 +1,131 @@
+// services/signals/index.js - 소셜 신호(언급 수/속도) 수집
+//
+// 공급자 인터페이스
+//   name          : 'x' | 'mock' ...
+//   credentials   : 필요한 환경변수 이름 목록 (없으면 비활성)
+//   cacheable     : 쿼리 결과를 캐시해도 되는지 (후보 기사에 의존하는 mock 은 false)
+//   search(query, { section, since, candidates }) : 게시물 배열
+//     게시물 = { id, text, urls[], createdAt, lang, engagement }
+//
+// 섹션 쿼리(queries.js)마다 최근 게시물을 가져와 URL 또는 제목 유사도로 기사에 붙인다.
+//   item.social = { mentions, velocity(시간당 언급), engagement, lastMentionAt, provider }
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const CacheService = require('../cacheService');
+const { sourceHealth } = require('../sources/health');
+const { resolveSection } = require('../rss/catalog');
+const { TW_QUERIES } = require('./queries');
+const { createMatcher } = require('./matcher');
+
+const PROVIDERS = {
+  x: { cacheable: true, ...require('./x') },
+  mock: { cacheable: false, ...require('./mock') },
+};
+
+const SOCIAL = {
+  LOOKBACK_MIN: Number(process.env.SOCIAL_LOOKBACK_MIN || 180),
+  VELOCITY_WINDOW_MIN: Number(process.env.SOCIAL_VELOCITY_WINDOW_MIN || 60),
+  VELOCITY_NORM: Number(process.env.SOCIAL_VELOCITY_NORM || 30), // 이 속도(건/시간)면 v 점수 1
+  TTL_SEC: Number(process.env.SOCIAL_SIGNAL_TTL_SEC || 300),
+};
+
+const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
+const hasCredential = (name) => !!process.env[name] && !/^your_/i.test(process.env[name]);
+
+// SOCIAL_SIGNAL_PROVIDER 미설정이면 X 키가 있을 때만 'x'
+function resolveProvider(name = process.env.SOCIAL_SIGNAL_PROVIDER) {
+  const picked = name || (hasCredential('X_BEARER_TOKEN') ? 'x' : 'off');
+  if (picked === 'off' || picked === 'none') return null;
+  const provider = PROVIDERS[picked];
+  if (!provider) { logger.warn(`Unknown social signal provider "${picked}"`); return null; }
+  if (!provider.credentials.every(hasCredential)) { logger.warn(`Social signal provider "${picked}" missing credentials`); return null; }
+  return provider;
+}
+
+// rankAndSort 의 v(속도) 점수 보조
+function velocityScore(social) {
+  return social ? Math.min(1, (social.velocity || 0) / SOCIAL.VELOCITY_NORM) : 0;
+}
+
+class SocialSignals {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+    this.health = opts.health || sourceHealth;
+    this.provider = opts.provider !== undefined ? opts.provider : resolveProvider();
+  }
+
+  get enabled() { return !!this.provider; }
+
+  async _search(section, query, index, candidates, since) {
+    const { provider } = this;
+    const cacheKey = `social:${provider.name}:${sha1(query)}`;
+    if (provider.cacheable) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) return cached;
+    }
+    const posts = await this.health.run(`signal:${provider.name}:${section}:${index}`,
+      () => provider.search(query, { section, since, candidates }));
+    if (provider.cacheable) await this.cache.set(cacheKey, posts, SOCIAL.TTL_SEC);
+    return posts;
+  }
+
+  /**
+   * 섹션 쿼리의 게시물을 기사에 매칭해 social 필드를 붙인 새 배열을 돌려준다.
+   * 공급자가 없거나 모든 쿼리가 실패하면 입력을 그대로 돌려준다.
+   */
+  async attach(section, items) {
+    if (!this.enabled || !items.length) return items;
+    const sec = resolveSection(section);
+    const queries = TW_QUERIES[sec] || [];
+    if (!queries.length) return items;
+
+    const now = Date.now();
+    const since = now - SOCIAL.LOOKBACK_MIN * 60_000;
+    const results = await Promise.allSettled(queries.map((q, i) => this._search(sec, q, i, items, since)));
+    results.forEach(r => {
+      if (r.status === 'rejected' && r.reason?.code !== 'ECIRCUITOPEN') this.logger.warn(`Social signal query failed (${sec}): ${r.reason?.message}`);
+    });
+
+    // 쿼리끼리 겹치는 게시물은 한 번만 집계
+    const posts = new Map();
+    for (const r of results) if (r.status === 'fulfilled') for (const p of r.value || []) posts.set(p.id, p);
+    if (!posts.size) return items;
+
+    const match = createMatcher(items);
+    const stats = new Map();
+    const recentFrom = now - SOCIAL.VELOCITY_WINDOW_MIN * 60_000;
+    for (const post of posts.values()) {
+      const t = new Date(post.createdAt).getTime();
+      for (const i of match(post)) {
+        const s = stats.get(i) || { mentions: 0, recent: 0, engagement: 0, lastMentionAt: 0 };
+        s.mentions++;
+        if (t >= recentFrom) s.recent++;
+        s.engagement += post.engagement || 0;
+        s.lastMentionAt = Math.max(s.lastMentionAt, t || 0);
+        stats.set(i, s);
+      }
+    }
+
+    return items.map((it, i) => {
+      const s = stats.get(i);
+      if (!s) return it;
+      return {
+        ...it,
+        social: {
+          mentions: s.mentions,
+          velocity: +(s.recent * 60 / SOCIAL.VELOCITY_WINDOW_MIN).toFixed(2),
+          engagement: s.engagement,
+          lastMentionAt: s.lastMentionAt ? new Date(s.lastMentionAt).toISOString() : null,
+          provider: this.provider.name,
+        },
+      };
+    });
+  }
+
+  getStatus() {
+    return { provider: this.provider ? this.provider.name : null, sections: Object.keys(TW_QUERIES) };
+  }
+}
+
+module.exports = { SocialSignals, velocityScore, resolveProvider, PROVIDERS };
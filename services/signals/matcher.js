@@ -0,0 +1,64 @@
+// services/signals/matcher.js - 소셜 게시물 ↔ 기사 매칭
+// 1) 게시물에 포함된 URL 이 기사 URL 과 같으면 매칭
+// 2) 아니면 기사 제목 토큰이 게시물 본문에 충분히 포함되면 매칭 (제목 유사도)
+
+const TITLE_MIN_TOKENS = 4;
+const TITLE_CONTAINMENT = Number(process.env.SOCIAL_TITLE_MATCH || 0.6);
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'has', 'have', 'will', 'its', 'into', 'over', 'after', 'about', 'says', 'said']);
+const CJK_RUN_RE = /[぀-ヿ㐀-鿿가-힣]+/g;
+
+// 비교용 URL 키: 스킴/www/쿼리/해시/끝 슬래시 무시
+function urlKey(url) {
+  try {
+    const u = new URL(url);
+    return `${u.hostname.replace(/^www\./, '').toLowerCase()}${u.pathname.replace(/\/+$/, '')}`;
+  } catch { return null; }
+}
+
+// 라틴 문자는 단어, 한/중/일은 2-gram
+function tokenize(text) {
+  const s = String(text || '').toLowerCase();
+  const tokens = new Set();
+  for (const w of s.replace(CJK_RUN_RE, ' ').split(/[^\p{L}\p{N}]+/u)) {
+    if (w.length >= 3 && !STOPWORDS.has(w)) tokens.add(w);
+  }
+  for (const run of s.match(CJK_RUN_RE) || []) {
+    if (run.length === 1) continue;
+    for (let i = 0; i < run.length - 1; i++) tokens.add(run.slice(i, i + 2));
+  }
+  return tokens;
+}
+
+/**
+ * 기사 목록에 대한 매처를 만든다.
+ * @returns {(post: { text, urls }) => number[]} 매칭된 기사 인덱스
+ */
+function createMatcher(items) {
+  const byUrl = new Map();
+  const titles = items.map((it, i) => {
+    const key = urlKey(it.link || it.url);
+    if (key) byUrl.set(key, i);
+    return tokenize(it.title);
+  });
+
+  return (post) => {
+    const hits = new Set();
+    for (const u of post.urls || []) {
+      const i = byUrl.get(urlKey(u));
+      if (i !== undefined) hits.add(i);
+    }
+    if (hits.size) return [...hits];
+
+    const postTokens = tokenize(post.text);
+    titles.forEach((t, i) => {
+      if (t.size < TITLE_MIN_TOKENS) return;
+      let common = 0;
+      for (const tok of t) if (postTokens.has(tok)) common++;
+      if (common / t.size >= TITLE_CONTAINMENT) hits.add(i);
+    });
+    return [...hits];
+  };
+}
+
+module.exports = { createMatcher, urlKey, tokenize };
@@ -0,0 +1,48 @@
+// services/signals/mock.js - 로컬 mock 공급자 (실제 API 없이 개발/검증용)
+// - SOCIAL_MOCK_FILE 이 있으면 그 JSON 배열을 게시물로 사용 ({ id, text, urls[], createdAt, lang, engagement })
+// - 없으면 후보 기사마다 쿼리+URL 해시로 결정적인 가짜 언급을 만든다 (같은 입력 → 같은 결과)
+const fs = require('fs');
+const crypto = require('crypto');
+
+const hashInt = (s) => parseInt(crypto.createHash('sha1').update(s).digest('hex').slice(0, 8), 16);
+
+function loadFixture() {
+  const file = process.env.SOCIAL_MOCK_FILE;
+  if (!file) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function syntheticPosts(query, candidates, now) {
+  const posts = [];
+  for (const it of candidates) {
+    const url = it.link || it.url;
+    if (!url) continue;
+    const h = hashInt(`${query}|${url}`);
+    if (h % 3 !== 0) continue; // 후보 약 1/3 만 언급됨
+    const count = 1 + (h % 25);
+    for (let i = 0; i < count; i++) {
+      const hi = hashInt(`${h}:${i}`);
+      posts.push({
+        id: `mock:${h}:${i}`,
+        text: `${it.title} ${url}`,
+        urls: [url],
+        createdAt: new Date(now - (hi % 180) * 60_000).toISOString(), // 최근 3시간에 분산
+        lang: it.lang || null,
+        engagement: hi % 200,
+      });
+    }
+  }
+  return posts;
+}
+
+module.exports = {
+  name: 'mock',
+  credentials: [],
+
+  async search(query, { since, candidates = [] }) {
+    const now = Date.now();
+    const posts = loadFixture() || syntheticPosts(query, candidates, now);
+    const from = since ? new Date(since).getTime() : 0;
+    return posts.filter(p => new Date(p.createdAt).getTime() >= from);
+  },
+};
@@ -0,0 +1,32 @@
+// services/signals/queries.js - 섹션별 소셜 검색 쿼리 (X 최근 검색 문법)
+// newsService_old_v2.js 의 TW_QUERIES 를 옮겨 온 것. mock 공급자도 같은 쿼리 단위로 동작한다.
+const TW_QUERIES = {
+  buzz: [
+    '(breaking OR "breaking news" OR 속보 OR 緊急 OR 速報) (video OR live OR stream) -is:retweet lang:en OR lang:ko OR lang:ja',
+    '(viral OR meme OR 밈 OR ミーム OR 炎上 OR buzz) -is:retweet lang:en OR lang:ko OR lang:ja',
+    '(leak OR "leaked" OR 유출 OR 流出) (policy OR model OR product OR 영상) -is:retweet lang:en OR lang:ko OR lang:ja',
+    '(apology OR 사과 OR 炎上) (celebrity OR 인플루언서 OR タレント) -is:retweet lang:en OR lang:ko OR lang:ja'
+  ],
+  world: [
+    '(breaking OR "just in" OR "developing") -is:retweet lang:en',
+    '(earthquake OR hurricane OR typhoon OR 지진 OR 地震) -is:retweet lang:en OR lang:ja OR lang:ko'
+  ],
+  kr: [
+    '(속보 OR 긴급 OR 단독) -is:retweet lang:ko',
+    '(지진 OR 화재 OR 경찰 OR 검찰 OR 증시) -is:retweet lang:ko'
+  ],
+  japan: [
+    '(速報 OR 緊急 OR 号外) -is:retweet lang:ja',
+    '(地震 OR 台風 OR 火災 OR 株価) -is:retweet lang:ja'
+  ],
+  business: [
+    '("earnings" OR "results" OR "guidance") -is:retweet lang:en',
+    '("merger" OR "acquisition" OR "M&A") -is:retweet lang:en'
+  ],
+  tech: [
+    '(AI OR LLM OR "model" OR "open-source") -is:retweet lang:en',
+    '(chip OR semiconductor OR GPU OR 파운드리) -is:retweet lang:en OR lang:ko OR lang:ja'
+  ]
+};
+
+module.exports = { TW_QUERIES };
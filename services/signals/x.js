@@ -0,0 +1,33 @@
+// services/signals/x.js - X(Twitter) API v2 최근 검색 공급자
+const { createHttpClient } = require('../rss/httpClient');
+
+const client = createHttpClient({ baseURL: 'https://api.twitter.com/2', timeout: 5000 });
+
+module.exports = {
+  name: 'x',
+  credentials: ['X_BEARER_TOKEN'],
+
+  async search(query, { since }) {
+    const params = {
+      query,
+      max_results: 100,
+      'tweet.fields': 'created_at,public_metrics,lang,entities',
+    };
+    if (since) params.start_time = new Date(since).toISOString();
+    const { data } = await client.get('/tweets/search/recent', {
+      params,
+      headers: { Authorization: `Bearer ${process.env.X_BEARER_TOKEN}` },
+    });
+    return (data?.data || []).map(t => {
+      const m = t.public_metrics || {};
+      return {
+        id: `x:${t.id}`,
+        text: t.text || '',
+        urls: (t.entities?.urls || []).map(u => u.unwound_url || u.expanded_url).filter(Boolean),
+        createdAt: t.created_at,
+        lang: t.lang || null,
+        engagement: (m.like_count || 0) + (m.retweet_count || 0) + (m.reply_count || 0) + (m.quote_count || 0),
+      };
+    });
+  },
+};
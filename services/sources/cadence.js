@@ -0,0 +1,107 @@
+// services/sources/cadence.js - 소스별 게시 주기 학습 → 폴링 간격
+// - 새 항목(처음 보는 링크)의 발행 시각 간격을 EWMA 로 추적
+// - 간격 = 평균 게시 간격 × POLL_FACTOR, [POLL_MIN_SEC, POLL_MAX_SEC] 범위
+// - 새 항목이 없으면 간격을 점점 늘리고(×1.5), 새 항목이 오면 학습값으로 복귀
+// - 피드 힌트(ttl, sy:updatePeriod)는 하한, Retry-After 는 다음 실행 시각 하한
+// - 상태는 CacheService 에 저장 (재시작 후에도 학습값 유지)
+const CacheService = require('../cacheService');
+const logger = require('../../utils/logger');
+
+const POLL = {
+  MIN_SEC: Number(process.env.POLL_MIN_SEC || 60),
+  MAX_SEC: Number(process.env.POLL_MAX_SEC || 3600),
+  FACTOR: Number(process.env.POLL_FACTOR || 0.5), // 평균 게시 간격의 절반마다 확인
+  IDLE_BACKOFF: 1.5,
+  ALPHA: 0.3,                                      // EWMA 가중치
+  SEEN_MAX: 300,                                   // 키별로 기억하는 링크 수
+  STATE_TTL_SEC: 14 * 24 * 3600,
+};
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const median = (arr) => { const s = [...arr].sort((a, b) => a - b); return s.length ? s[Math.floor(s.length / 2)] : null; };
+
+const emptyState = (key) => ({
+  key,
+  seen: [],
+  lastPublishedAt: null,
+  ewmaSec: null,
+  samples: 0,
+  hintSec: null,
+  intervalSec: null,
+  lastNewAt: null,
+  lastNewCount: 0,
+});
+
+class PollCadence {
+  constructor(opts = {}) {
+    this.cache = opts.cache || CacheService.shared();
+    this.logger = opts.logger || logger;
+    this.prefix = opts.prefix || 'poll-cadence:';
+  }
+
+  async getState(key) {
+    return (await this.cache.get(this.prefix + key)) || emptyState(key);
+  }
+
+  /**
+   * 수집 결과를 반영하고 다음 폴링 간격(초)을 돌려준다.
+   * @param {string} key 소스 target 키
+   * @param {Array<{ link, id, publishedAt }>} items 정규화 항목
+   * @param {{ minIntervalSec?: number }} [hints]
+   * @param {number} fallbackSec 학습 전 기본 간격
+   */
+  async observe(key, items, hints, fallbackSec) {
+    const s = await this.getState(key);
+    const now = Date.now();
+    const seen = new Set(s.seen);
+
+    const fresh = items.filter(it => {
+      const id = it.link || it.id;
+      return id && !seen.has(id);
+    });
+    const times = fresh
+      .map(it => new Date(it.publishedAt).getTime())
+      .filter(t => Number.isFinite(t) && t <= now)
+      .sort((a, b) => a - b);
+
+    if (s.lastPublishedAt == null && times.length >= 2) {
+      // 첫 수집: 한 번에 받은 항목들의 발행 간격 중앙값으로 시작
+      const gaps = times.slice(1).map((t, i) => (t - times[i]) / 1000).filter(g => g > 0);
+      if (gaps.length) { s.ewmaSec = median(gaps); s.samples = gaps.length; }
+    } else {
+      let prev = s.lastPublishedAt;
+      for (const t of times) {
+        if (prev != null && t > prev) {
+          const gap = (t - prev) / 1000;
+          s.ewmaSec = s.ewmaSec == null ? gap : POLL.ALPHA * gap + (1 - POLL.ALPHA) * s.ewmaSec;
+          s.samples++;
+        }
+        if (prev == null || t > prev) prev = t;
+      }
+    }
+    if (times.length) s.lastPublishedAt = Math.max(s.lastPublishedAt || 0, times[times.length - 1]);
+
+    const learned = s.ewmaSec != null ? s.ewmaSec * POLL.FACTOR : (s.intervalSec || fallbackSec);
+    let interval = fresh.length || s.intervalSec == null
+      ? learned
+      : Math.max(learned, s.intervalSec * POLL.IDLE_BACKOFF);
+    s.hintSec = hints?.minIntervalSec || null;
+    if (s.hintSec) interval = Math.max(interval, Math.min(s.hintSec, POLL.MAX_SEC));
+    s.intervalSec = Math.round(clamp(interval, POLL.MIN_SEC, POLL.MAX_SEC));
+
+    if (fresh.length) { s.lastNewAt = new Date(now).toISOString(); }
+    s.lastNewCount = fresh.length;
+    s.seen = [...s.seen, ...fresh.map(it => it.link || it.id)].slice(-POLL.SEEN_MAX);
+
+    await this.cache.set(this.prefix + key, s, POLL.STATE_TTL_SEC);
+    return s.intervalSec;
+  }
+
+  // 상태 조회용 요약 (seen 목록 제외)
+  async describe(key) {
+    const { seen, ...rest } = await this.getState(key);
+    return { ...rest, tracked: seen.length };
+  }
+}
+
+module.exports = { PollCadence, POLL };
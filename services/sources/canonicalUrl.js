@@ -0,0 +1,287 @@
+// services/sources/canonicalUrl.js - 기사 URL 정규화 (중복 제거·기사 ID 의 기준 URL)
+// canonicalizeUrl (네트워크 없음)
+// - 리디렉터 풀기: google.com/url?q=, l.facebook.com/l.php?u=, out.reddit.com?url=, Yahoo RU=, Outlook safelinks 등
+// - AMP 변형 → 원본: *.cdn.ampproject.org/c/s/…, google.com/amp/s/…, .amp.html, ?amp=1, "<글 슬러그>/amp",
+//   알려진 사이트 규칙(AMP_SITES). /news/amp/, /amp/story-123 처럼 다른 페이지일 수 있는 경로는 그대로 둠
+// - 추적 파라미터 제거(utm_*, fbclid, gclid ...), 나머지 쿼리는 이름순 정렬, 해시 제거
+// - 스킴은 유지(http 전용 사이트), 호스트 소문자·기본 포트 제거, 경로 끝 슬래시 제거
+// - 정규 URL 은 기사 ID·중복 제거 기준일 뿐, 사용자가 여는 링크는 unwrapUrl() (리디렉터·AMP 캐시만 풂)
+// - 사이트별: 네이버 뉴스(read.naver?oid&aid, m.news.naver.com) → n.news.naver.com/mnews/article/…, youtu.be → youtube.com/watch
+// CanonicalResolver (네트워크, 선택)
+// - CANONICAL_RESOLVE=redirects (기본): 정적으로 풀 수 없는 단축/중계 URL(feedproxy, t.co, bit.ly ...)만
+//   HEAD 로 리다이렉트를 따라가 최종 URL 을 사용 (robots 검사·crawl delay 없음)
+// - CANONICAL_RESOLVE=page: 모든 기사 페이지를 받아 rel=canonical 을 읽음 (robots 적용, 결과는 캐시)
+// - 피드 항목 URL 은 외부 입력이므로 내부 주소(및 그리로의 리다이렉트)는 요청하지 않음 (hostGuard)
+// - 한 번에(소스 하나의 항목들) 최대 CANONICAL_MAX_PER_RUN 개만 요청
+// - CANONICAL_RESOLVE=off: 정적 정규화만
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const logger = require('../../utils/logger');
+const CacheService = require('../cacheService');
+const { fetchWithRetry } = require('../rss/httpClient');
+const { assertPublicUrl, PUBLIC_ONLY } = require('../rss/hostGuard');
+
+const CANONICAL = {
+  RESOLVE: ['off', 'redirects', 'page'].includes(process.env.CANONICAL_RESOLVE) ? process.env.CANONICAL_RESOLVE : 'redirects',
+  TTL_SEC: Number(process.env.CANONICAL_TTL_SEC || 7 * 24 * 3600),
+  MISS_TTL_SEC: 3600, // 실패는 짧게 캐시
+  TIMEOUT_MS: Number(process.env.CANONICAL_TIMEOUT_MS || 5000),
+  CONCURRENCY: 4,
+  MAX_PER_RUN: Number(process.env.CANONICAL_MAX_PER_RUN || 50),
+  HEAD_MAX_CHARS: 200000,
+};
+
+const TRACKING_PREFIXES = ['utm_', 'ns_', 'at_', 'pk_', 'mtm_', 'hmb_'];
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl',
+  'ocid', 'cmpid', 'cmp', 'smid', 'smtyp', 'taid', 'icid', 'ref', 'ref_src', 'ref_url', 'referrer',
+  'spm', 'feature', 'src_type',
+]);
+const AMP_PARAMS = { amp: true, outputtype: 'amp', output: 'amp' }; // 값이 true 면 값과 무관하게 제거
+
+// 쿼리 파라미터에 원래 URL 을 담는 리디렉터: [호스트 정규식, 경로 정규식, 파라미터]
+const PARAM_REDIRECTORS = [
+  [/(^|\.)google\.[a-z.]+$/, /^\/url$/, ['q', 'url']],
+  [/^(l|lm|m|www)?\.?facebook\.com$/, /^\/l\.php$/, ['u']],
+  [/^out\.reddit\.com$/, /.*/, ['url']],
+  [/\.safelinks\.protection\.outlook\.com$/, /.*/, ['url']],
+  [/^t\.umblr\.com$/, /^\/redirect$/, ['z']],
+  [/^(www\.)?linkedin\.com$/, /^\/redir\/redirect$/, ['url']],
+  [/^href\.li$/, /.*/, []], // href.li/?https://...
+];
+
+// 따라가야만 원래 URL 을 알 수 있는 단축/중계 호스트
+const REDIRECT_HOSTS = [
+  /^feedproxy\.google\.com$/, /^feeds\.feedburner\.com$/, /^t\.co$/, /^bit\.ly$/, /^ow\.ly$/, /^buff\.ly$/,
+  /^dlvr\.it$/, /^trib\.al$/, /^lnkd\.in$/, /^fb\.me$/, /^flip\.it$/,
+];
+
+const sha1 = (s) => crypto.createHash('sha1').update(s || '').digest('hex');
+const isTracking = (name) => TRACKING_PARAMS.has(name) || TRACKING_PREFIXES.some(p => name.startsWith(p));
+
+function parseHttpUrl(str) {
+  try {
+    const u = new URL(String(str || '').trim());
+    return /^https?:$/.test(u.protocol) ? u : null;
+  } catch { return null; }
+}
+
+// 리디렉터 URL 이면 안에 담긴 URL, 아니면 null
+function unwrapRedirect(u) {
+  const host = u.hostname.toLowerCase();
+  for (const [hostRe, pathRe, params] of PARAM_REDIRECTORS) {
+    if (!hostRe.test(host) || !pathRe.test(u.pathname)) continue;
+    if (!params.length) return parseHttpUrl(decodeURIComponent(u.search.slice(1)));
+    for (const p of params) {
+      const target = parseHttpUrl(u.searchParams.get(p));
+      if (target) return target;
+    }
+  }
+  // Yahoo 검색 결과: /…/RU=<인코딩된 URL>/RK=…
+  if (/^r\.search\.yahoo\.com$/.test(host)) {
+    const m = /\/RU=([^/]+)/.exec(u.pathname);
+    if (m) return parseHttpUrl(decodeURIComponent(m[1]));
+  }
+  return null;
+}
+
+// AMP 캐시/뷰어 URL → 원본 (아니면 null)
+function unwrapAmpCache(u) {
+  const host = u.hostname.toLowerCase();
+  let m;
+  if (host.endsWith('.cdn.ampproject.org') && (m = /^\/[a-z]\/s\/(.+)$/.exec(u.pathname))) {
+    return parseHttpUrl(`https://${m[1]}${u.search}`);
+  }
+  if (/(^|\.)google\.[a-z.]+$/.test(host) && (m = /^\/amp\/s\/(.+)$/.exec(u.pathname))) {
+    return parseHttpUrl(`https://${m[1]}${u.search}`);
+  }
+  return null;
+}
+
+// AMP 주소 규칙이 알려진 사이트: [호스트 정규식, URL 수정]
+const AMP_SITES = [
+  [/^amp\.theguardian\.com$/, (u) => { u.hostname = 'www.theguardian.com'; }],
+  [/(^|\.)bbc\.(com|co\.uk)$/, (u) => { u.pathname = u.pathname.replace(/\.amp$/i, ''); }],
+];
+
+// AMP 표시가 분명한 것만 제거. 경로의 "/amp" 는 하이픈이 든 글 슬러그 바로 뒤일 때만 (WordPress AMP)
+function stripAmp(u) {
+  for (const [hostRe, fix] of AMP_SITES) if (hostRe.test(u.hostname)) fix(u);
+  u.pathname = u.pathname
+    .replace(/\.amp\.html?$/i, '.html')
+    .replace(/(\/[^/]*[a-z0-9]-[a-z0-9][^/]*)\/amp\/?$/i, '$1') || '/';
+  for (const [name, value] of Object.entries(AMP_PARAMS)) {
+    for (const key of Array.from(u.searchParams.keys())) {
+      if (key.toLowerCase() !== name) continue;
+      if (value === true || String(u.searchParams.get(key)).toLowerCase() === value) u.searchParams.delete(key);
+    }
+  }
+}
+
+// 사이트별 정규형
+function siteRules(u) {
+  const host = u.hostname;
+  if (host === 'youtu.be' && u.pathname.length > 1) {
+    return parseHttpUrl(`https://youtube.com/watch?v=${u.pathname.slice(1)}`);
+  }
+  if (/^(www\.|m\.)?youtube\.com$/.test(host)) u.hostname = 'youtube.com';
+  if (/^(news|m\.news|n\.news)\.naver\.com$/.test(host)) {
+    const oid = u.searchParams.get('oid'), aid = u.searchParams.get('aid');
+    const m = /^\/(?:mnews\/)?article\/(\d+)\/(\d+)/.exec(u.pathname);
+    if (m) return parseHttpUrl(`https://n.news.naver.com/mnews/article/${m[1]}/${m[2]}`);
+    if (oid && aid) return parseHttpUrl(`https://n.news.naver.com/mnews/article/${oid}/${aid}`);
+  }
+  return u;
+}
+
+// 리디렉터/AMP 캐시 중첩 풀기 (최대 3단계). 풀 것이 없으면 같은 객체
+function unwrapAll(u) {
+  for (let i = 0; i < 3; i++) {
+    const inner = unwrapRedirect(u) || unwrapAmpCache(u);
+    if (!inner) break;
+    u = inner;
+  }
+  return u;
+}
+
+/**
+ * 리디렉터·AMP 캐시 URL 만 풀어 원래 기사 주소를 돌려준다. 그 외에는 입력 그대로 (사용자 링크/본문 추출용).
+ * @param {string} url
+ * @returns {string}
+ */
+function unwrapUrl(url) {
+  const u = parseHttpUrl(url);
+  if (!u) return url || '';
+  const inner = unwrapAll(u);
+  return inner === u ? String(url).trim() : inner.toString();
+}
+
+/**
+ * 네트워크 없이 기사 URL 을 정규형으로 바꾼다. http(s) URL 이 아니면 입력을 그대로 돌려준다.
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalizeUrl(url) {
+  let u = parseHttpUrl(url);
+  if (!u) return url || '';
+  u = unwrapAll(u);
+  u = siteRules(u) || u;
+  u.hostname = u.hostname.toLowerCase().replace(/\.$/, '');
+  if (u.port === '80' || u.port === '443') u.port = '';
+  u.hash = '';
+  stripAmp(u);
+
+  const params = Array.from(u.searchParams.entries())
+    .filter(([name]) => !isTracking(name.toLowerCase()))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  u.search = params.length ? `?${new URLSearchParams(params)}` : '';
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+  return u.toString();
+}
+
+/**
+ * 같은 기사 판단용 URL 키: 정규 URL 에서 스킴과 앞의 www. 를 뺀 것 (경로/쿼리 대소문자는 유지)
+ * 중복 제거와 기사 ID 가 같은 기준을 쓰도록 공유한다.
+ */
+function urlIdentity(url) {
+  const canonical = canonicalizeUrl(url);
+  return /^https?:\/\//i.test(canonical) ? canonical.replace(/^https?:\/\/(www\.)?/i, '') : canonical;
+}
+
+// 따라가 봐야 하는 단축/중계 URL 인지
+function needsResolve(url) {
+  const u = parseHttpUrl(url);
+  return !!u && REDIRECT_HOSTS.some(re => re.test(u.hostname.toLowerCase()));
+}
+
+/**
+ * HTML 의 <link rel="canonical"> (없거나 사이트 첫 페이지를 가리키면 null)
+ */
+function canonicalFromHtml(html, pageUrl) {
+  const str = String(html || '');
+  const head = (/<head[\s>][\s\S]*?<\/head>/i.exec(str) || [str.slice(0, CANONICAL.HEAD_MAX_CHARS)])[0];
+  const $ = cheerio.load(head);
+  const href = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+  if (!href) return null;
+  let u;
+  try { u = new URL(href, pageUrl); } catch { return null; }
+  if (!/^https?:$/.test(u.protocol)) return null;
+  // 모든 글의 canonical 을 첫 페이지로 잘못 단 사이트가 있음
+  const page = parseHttpUrl(pageUrl);
+  if (u.pathname === '/' && page && page.pathname !== '/') return null;
+  return u.toString();
+}
+
+class CanonicalResolver {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+    this.mode = opts.mode || CANONICAL.RESOLVE;
+    this.inflight = new Map();
+  }
+
+  // 이 URL 에 요청이 필요한지 (모드 기준)
+  wants(url) {
+    if (this.mode === 'off') return false;
+    return this.mode === 'page' ? !!parseHttpUrl(url) : needsResolve(url);
+  }
+
+  // redirects 모드: HEAD 로 리다이렉트만 따라감 (HEAD 를 거부하는 단축 서비스는 GET). page 모드: 본문까지
+  async _fetch(url) {
+    const opts = { timeout: CANONICAL.TIMEOUT_MS, ...PUBLIC_ONLY };
+    if (this.mode === 'page') return fetchWithRetry(url, 1, { ...opts, robots: true });
+    try {
+      return await fetchWithRetry(url, 1, { ...opts, method: 'head' });
+    } catch (e) {
+      if (![405, 501].includes(e.response?.status)) throw e;
+      return fetchWithRetry(url, 1, opts);
+    }
+  }
+
+  /**
+   * 리디렉트를 따라가(page 모드는 rel=canonical 까지 읽어) 정규 URL 을 돌려준다. 실패하면 null.
+   * @param {string} url 원래 URL (정적 정규화 전)
+   * @returns {Promise<{ url: string, finalUrl: string }|null>} url=정규 URL, finalUrl=리다이렉트 끝의 실제 주소
+   */
+  async resolve(url) {
+    const key = `canonical:${sha1(url)}`;
+    const cached = await this.cache.get(key);
+    if (cached) return cached.url ? { url: cached.url, finalUrl: cached.finalUrl || cached.url } : null;
+
+    if (this.inflight.has(key)) return this.inflight.get(key);
+    const pending = (async () => {
+      let resolved = null;
+      try {
+        await assertPublicUrl(url);
+        const res = await this._fetch(url);
+        const finalUrl = res.request?.res?.responseUrl || url;
+        const fromPage = typeof res.data === 'string' ? canonicalFromHtml(res.data, finalUrl) : null;
+        resolved = { url: canonicalizeUrl(fromPage || finalUrl), finalUrl: unwrapUrl(finalUrl) };
+      } catch (e) {
+        this.logger.debug(`Canonical lookup failed: ${url} ${e.message}`);
+      }
+      await this.cache.set(key, resolved || { url: null }, resolved ? CANONICAL.TTL_SEC : CANONICAL.MISS_TTL_SEC);
+      return resolved;
+    })().finally(() => this.inflight.delete(key));
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * 요청이 필요한 URL 들(최대 MAX_PER_RUN 개)을 CONCURRENCY 개씩 풀어 원래 URL → resolve() 결과 Map 으로 돌려준다.
+   */
+  async resolveMany(urls) {
+    const wanted = Array.from(new Set(urls.filter(u => this.wants(u))));
+    const todo = wanted.slice(0, CANONICAL.MAX_PER_RUN);
+    if (wanted.length > todo.length) this.logger.debug(`Canonical lookups capped: ${todo.length}/${wanted.length}`);
+    const out = new Map();
+    for (let i = 0; i < todo.length; i += CANONICAL.CONCURRENCY) {
+      const batch = todo.slice(i, i + CANONICAL.CONCURRENCY);
+      const results = await Promise.all(batch.map(u => this.resolve(u)));
+      batch.forEach((u, j) => { if (results[j]) out.set(u, results[j]); });
+    }
+    return out;
+  }
+}
+
+module.exports = { canonicalizeUrl, unwrapUrl, urlIdentity, canonicalFromHtml, needsResolve, CanonicalResolver, CANONICAL };
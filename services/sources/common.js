@@ -0,0 +1,35 @@
+// services/sources/common.js - 어댑터 공통 유틸
+const domainFromUrl = (u) => { try { return new URL(u).hostname.replace(/^www\./,''); } catch { return ''; } };
+
+// 발행일이 최근 N일 이내인지 (날짜 없음/파싱 불가는 제외)
+function isWithinDays(date, days = 30) {
+  if (!date) return false;
+  const t = new Date(date).getTime();
+  if (Number.isNaN(t)) return false;
+  return t >= Date.now() - days * 86400000;
+}
+
+function stripHtml(text) { if (!text) return ''; return text.replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, ' ').trim(); }
+
+const toInt = (v) => { const n = parseInt(v, 10); return Number.isFinite(n) && n > 0 ? n : null; };
+
+/**
+ * 이미지 후보를 { url, width, height, source } 로 정규화한다.
+ * 상대/프로토콜 상대 URL 은 기사 URL 기준으로 풀고, data: URL 과 1px 추적 이미지는 버린다.
+ * @param {string|object} image URL 문자열 또는 { url, width, height, source }
+ * @param {string} [baseUrl] 기사 URL
+ * @param {string} [source] 추정 출처 (예: 'newsapi:urlToImage')
+ */
+function toImage(image, baseUrl, source) {
+  if (!image) return null;
+  const img = typeof image === 'string' ? { url: image } : image;
+  if (!img.url || !String(img.url).trim()) return null;
+  let url;
+  try { url = new URL(String(img.url || '').trim(), baseUrl || undefined).href; } catch { return null; }
+  if (!/^https?:\/\//i.test(url)) return null;
+  const width = toInt(img.width), height = toInt(img.height);
+  if ((width && width <= 1) || (height && height <= 1)) return null;
+  return { url, width, height, source: img.source || source || 'unknown' };
+}
+
+module.exports = { domainFromUrl, isWithinDays, stripHtml, toImage };
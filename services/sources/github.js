@@ -0,0 +1,61 @@
+// services/sources/github.js - GitHub Trending 어댑터 (github.com/trending HTML, 키 불필요)
+// - 오늘 받은 스타 수 → reactions, 전체 스타 수 → followers
+// - 트렌딩 목록에는 발행 시각이 없으므로 수집 시각을 publishedAt 으로 사용 (당일 스냅샷)
+const cheerio = require('cheerio');
+const { toImage } = require('./common');
+
+// GITHUB_TRENDING_LANGUAGES=python,typescript → /trending/python, /trending/typescript 추가
+const LANGUAGES = (process.env.GITHUB_TRENDING_LANGUAGES || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const toNumber = (s) => parseInt(String(s || '').replace(/[^\d]/g, ''), 10) || 0;
+
+// 트렌딩 페이지의 저장소 행 → 원본 레코드
+function parseTrending(html) {
+  const $ = cheerio.load(html);
+  return $('article.Box-row').toArray().map(el => {
+    const $el = $(el);
+    const repo = ($el.find('h2 a').attr('href') || '').replace(/^\//, '').trim();
+    return {
+      repo,
+      description: $el.find('p').first().text().replace(/\s+/g, ' ').trim(),
+      language: $el.find('[itemprop="programmingLanguage"]').text().trim() || null,
+      stars: toNumber($el.find('a[href$="/stargazers"]').first().text()),
+      forks: toNumber($el.find('a[href$="/forks"]').first().text()),
+      starsToday: toNumber($el.find('.float-sm-right').text()),
+    };
+  }).filter(r => /^[^/\s]+\/[^/\s]+$/.test(r.repo));
+}
+
+module.exports = {
+  name: 'github',
+  capabilities: ['engagement', 'description'],
+  phase: 2,
+
+  targets(section) {
+    if (section !== 'tech') return [];
+    return [{ section, path: '/trending' }, ...LANGUAGES.map(l => ({ section, path: `/trending/${encodeURIComponent(l)}` }))];
+  },
+
+  async fetch(ctx, { path }) {
+    const { data } = await ctx.githubWeb.get(path, { params: { since: 'daily' } });
+    return parseTrending(data);
+  },
+
+  normalize(ctx, repos) {
+    const now = new Date().toISOString();
+    return repos.map(r => ctx.normalizeItem({
+      title: r.description ? `${r.repo}: ${r.description}` : r.repo,
+      description: [r.description, r.language && `Language: ${r.language}`, `★ ${r.stars.toLocaleString('en-US')} (+${r.starsToday.toLocaleString('en-US')} today)`].filter(Boolean).join(' · '),
+      url: `https://github.com/${r.repo}`,
+      source: 'GitHub Trending',
+      lang: 'en',
+      publishedAt: now,
+      reactions: r.starsToday,
+      followers: r.stars,
+      domain: 'github.com',
+      categories: r.language ? [r.language] : [],
+      image: toImage(`https://opengraph.githubassets.com/1/${r.repo}`, null, 'github:opengraph'),
+      _srcType: 'github',
+    }));
+  },
+};
@@ -0,0 +1,39 @@
+// services/sources/gnews.js - GNews 어댑터
+const { domainFromUrl, isWithinDays, toImage } = require('./common');
+
+const TOPICS = { tech: 'technology', business: 'business', world: 'world' };
+
+module.exports = {
+  name: 'gnews',
+  capabilities: ['headlines', 'description'],
+  credentials: ['GNEWS_API_KEY'],
+  phase: 2,
+
+  async fetch(ctx, { section }) {
+    const params = {
+      token: process.env.GNEWS_API_KEY,
+      max: 50,
+      lang: section === 'kr' ? 'ko' : 'en'
+    };
+    if (TOPICS[section]) params.topic = TOPICS[section];
+    const response = await ctx.gnewsApi.get('top-headlines', { params });
+    return response.data.articles || [];
+  },
+
+  normalize(ctx, articles) {
+    return articles
+      .filter(article => isWithinDays(article.publishedAt, 30))
+      .map(article => ctx.normalizeItem({
+        title: article.title,
+        description: article.description,
+        url: article.url,
+        source: article.source?.name || 'GNews',
+        publishedAt: article.publishedAt,
+        reactions: 0,
+        followers: 0,
+        domain: domainFromUrl(article.url),
+        image: toImage(article.image, article.url, 'gnews:image'),
+        _srcType: 'gnews'
+      }));
+  },
+};
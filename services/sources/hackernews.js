@@ -0,0 +1,55 @@
+// services/sources/hackernews.js - Hacker News 어댑터 (Algolia HN Search API, 키 불필요)
+// - points + 댓글 수 → reactions
+// - 링크 글은 외부 기사 URL, 토론 페이지는 discussionUrl (Ask/Show HN 등 본문 글은 토론 URL)
+const { domainFromUrl, stripHtml } = require('./common');
+
+// front_page: 현재 1면 (top) / new: 최근 글 중 최소 점수 이상
+const LISTS = {
+  front_page: { path: '/search', params: { tags: 'front_page', hitsPerPage: 50 } },
+  new: { path: '/search_by_date', params: { tags: 'story', hitsPerPage: 50, numericFilters: `points>=${Number(process.env.HN_NEW_MIN_POINTS || 20)}` } },
+};
+
+const SECTION_LISTS = {
+  tech: ['front_page', 'new'],
+};
+
+module.exports = {
+  name: 'hackernews',
+  capabilities: ['engagement'],
+  phase: 1,
+
+  targets(section) {
+    return (SECTION_LISTS[section] || []).map(path => ({ section, path }));
+  },
+
+  async fetch(ctx, { path }) {
+    const list = LISTS[path];
+    const { data } = await ctx.hnApi.get(list.path, { params: list.params });
+    return data?.hits || [];
+  },
+
+  normalize(ctx, hits) {
+    return hits
+      .filter(h => h.title && h.objectID)
+      .map(h => {
+        const discussionUrl = `https://news.ycombinator.com/item?id=${h.objectID}`;
+        const url = /^https?:\/\//i.test(h.url || '') ? h.url : null;
+        return {
+          ...ctx.normalizeItem({
+            title: h.title,
+            url: url || discussionUrl,
+            description: h.story_text ? stripHtml(h.story_text).slice(0, 500) : '',
+            source: 'Hacker News',
+            lang: 'en',
+            publishedAt: h.created_at || new Date((h.created_at_i || 0) * 1000).toISOString(),
+            reactions: (h.points || 0) + (h.num_comments || 0),
+            followers: 0,
+            domain: url ? domainFromUrl(url) : 'news.ycombinator.com',
+            author: h.author || null,
+            _srcType: 'hn',
+          }),
+          discussionUrl,
+        };
+      });
+  },
+};
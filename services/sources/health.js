@@ -0,0 +1,175 @@
+// services/sources/health.js - 소스별 헬스 추적 + 서킷 브레이커
+// - 성공/실패 카운터, 지연 히스토그램, 마지막 성공 시각
+// - 연속 실패 N회 → open (쿨다운 동안 호출 생략) → half-open 에서 1회 탐침 → 성공 시 closed
+// - 서킷 판단은 CacheService(Redis/메모리)의 원자 연산으로 해 여러 인스턴스가 같은 판단을 내림
+//   연속 실패·trip 횟수 = incr, open = SET NX (한 인스턴스만 전환), half-open 탐침 = SET NX + 탐침 제한 시간 TTL
+// - 누적 성공/실패 수, 지연 히스토그램, 마지막 오류는 통계용 - 인스턴스 간에는 마지막 쓰기가 이겨 일부 빠질 수 있음
+const CacheService = require('../cacheService');
+const logger = require('../../utils/logger');
+
+const BREAKER = {
+  THRESHOLD: Number(process.env.SOURCE_BREAKER_THRESHOLD || 5),
+  COOLDOWN_MS: Number(process.env.SOURCE_BREAKER_COOLDOWN_MS || 5 * 60_000),
+  MAX_COOLDOWN_MS: Number(process.env.SOURCE_BREAKER_MAX_COOLDOWN_MS || 60 * 60_000),
+  PROBE_TIMEOUT_MS: Number(process.env.SOURCE_BREAKER_PROBE_TIMEOUT_MS || 30_000),
+  STATE_TTL_SEC: 7 * 24 * 3600,
+};
+
+// 소스 장애로 보지 않는 에러 코드 (호출 한도 소진 등 - 브레이커 카운트 제외)
+const NOT_FAILURES = ['ERATELIMITED'];
+
+// 지연 히스토그램 상한(ms). 마지막 버킷은 그 이상 전부
+const LATENCY_BUCKETS = [100, 250, 500, 1000, 2500, 5000, 10000];
+
+const emptyState = (key) => ({
+  key,
+  circuit: 'closed',
+  successes: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  trips: 0,
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null,
+  openUntil: null,
+  probeStartedAt: null,
+  latency: { count: 0, sumMs: 0, maxMs: 0, buckets: new Array(LATENCY_BUCKETS.length + 1).fill(0) },
+});
+
+function observeLatency(latency, ms) {
+  const i = LATENCY_BUCKETS.findIndex(le => ms <= le);
+  latency.buckets[i === -1 ? LATENCY_BUCKETS.length : i]++;
+  latency.count++;
+  latency.sumMs += ms;
+  latency.maxMs = Math.max(latency.maxMs, ms);
+}
+
+class SourceHealth {
+  constructor(opts = {}) {
+    this.cache = opts.cache || CacheService.shared();
+    this.logger = opts.logger || logger;
+    this.prefix = opts.prefix || 'source-health:';
+    this.locks = new Map();
+  }
+
+  // 서킷 판단용 원자 키: fails(연속 실패), trips(연속 open 횟수), open({ until }), probe(탐침 시작 시각)
+  _key(key, part) {
+    return `${this.prefix}${key}:${part}`;
+  }
+
+  async getState(key) {
+    const [stats, fails, trips, open, probe] = await Promise.all(
+      [this.prefix + key, ...['fails', 'trips', 'open', 'probe'].map(p => this._key(key, p))].map(k => this.cache.get(k))
+    );
+    const state = { ...emptyState(key), ...(stats || {}) };
+    state.consecutiveFailures = Number(fails) || 0;
+    state.trips = Number(trips) || 0;
+    state.openUntil = open?.until ?? null;
+    state.probeStartedAt = probe ?? null;
+    state.circuit = !open ? 'closed' : Date.now() < open.until ? 'open' : 'half-open';
+    return state;
+  }
+
+  // 통계(누적 수, 지연, 마지막 오류) 갱신. read-modify-write 는 이 프로세스 안에서만 직렬화 (파일 머리말 참고)
+  async _update(key, fn) {
+    const prev = this.locks.get(key) || Promise.resolve();
+    const next = prev.then(async () => {
+      const state = { ...emptyState(key), ...((await this.cache.get(this.prefix + key)) || {}) };
+      fn(state, Date.now());
+      await this.cache.set(this.prefix + key, state, BREAKER.STATE_TTL_SEC);
+      return state;
+    });
+    const tail = next.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => { if (this.locks.get(key) === tail) this.locks.delete(key); });
+    return next;
+  }
+
+  /**
+   * 호출 가능 여부. 쿨다운이 지난 open 은 half-open 으로 보고, 모든 인스턴스를 통틀어 탐침 1회만 허용한다.
+   * @returns {Promise<boolean|'probe'>} 'probe' 면 이 호출이 탐침 (결과를 recordSuccess/recordFailure 에 { probe: true } 로)
+   */
+  async allow(key) {
+    const open = await this.cache.get(this._key(key, 'open'));
+    if (!open) return true;
+    const now = Date.now();
+    if (now < open.until) return false;
+    // 탐침이 응답 없이 사라져도 PROBE_TIMEOUT_MS 뒤 키가 만료되어 다시 탐침
+    const claimed = await this.cache.setIfAbsent(this._key(key, 'probe'), now, Math.ceil(BREAKER.PROBE_TIMEOUT_MS / 1000));
+    return claimed ? 'probe' : false;
+  }
+
+  async recordSuccess(key, latencyMs, { probe = false } = {}) {
+    await this.cache.delete(this._key(key, 'fails'));
+    if (probe) {
+      await Promise.all(['trips', 'open', 'probe'].map(p => this.cache.delete(this._key(key, p))));
+      this.logger.info(`Source circuit closed: ${key}`);
+    }
+    return this._update(key, (s, now) => {
+      s.successes++;
+      s.lastSuccessAt = new Date(now).toISOString();
+      observeLatency(s.latency, latencyMs);
+    });
+  }
+
+  async recordFailure(key, latencyMs, error, { probe = false } = {}) {
+    const lastError = String(error?.code || error?.message || error || 'unknown').slice(0, 200);
+    const consecutive = await this.cache.incr(this._key(key, 'fails'), BREAKER.STATE_TTL_SEC);
+    // half-open 탐침 실패 또는 임계치 도달 → open
+    if (probe) await this.cache.delete(this._key(key, 'open'));
+    if (probe || consecutive >= BREAKER.THRESHOLD) await this._open(key, lastError);
+    if (probe) await this.cache.delete(this._key(key, 'probe'));
+    return this._update(key, (s, now) => {
+      s.failures++;
+      s.lastFailureAt = new Date(now).toISOString();
+      s.lastError = lastError;
+      observeLatency(s.latency, latencyMs);
+    });
+  }
+
+  // open 전환은 SET NX 로 한 인스턴스만 (이미 열려 있으면 아무것도 안 함). 재차 열릴수록 쿨다운 2배, 상한 있음
+  async _open(key, lastError) {
+    const trips = (Number(await this.cache.get(this._key(key, 'trips'))) || 0) + 1;
+    const cooldown = Math.min(BREAKER.COOLDOWN_MS * 2 ** (trips - 1), BREAKER.MAX_COOLDOWN_MS);
+    const claimed = await this.cache.setIfAbsent(this._key(key, 'open'), { until: Date.now() + cooldown }, BREAKER.STATE_TTL_SEC);
+    if (!claimed) return;
+    await this.cache.incr(this._key(key, 'trips'), BREAKER.STATE_TTL_SEC);
+    this.logger.warn(`Source circuit open: ${key} for ${Math.round(cooldown / 1000)}s (${lastError})`);
+  }
+
+  /**
+   * fn 실행을 헬스 기록으로 감싼다. 서킷이 열려 있으면 code=ECIRCUITOPEN 에러를 던진다.
+   */
+  async run(key, fn) {
+    const allowed = await this.allow(key);
+    if (!allowed) {
+      const err = new Error(`Circuit open for ${key}`);
+      err.code = 'ECIRCUITOPEN';
+      throw err;
+    }
+    const probe = allowed === 'probe';
+    const started = Date.now();
+    try {
+      const result = await fn();
+      this.recordSuccess(key, Date.now() - started, { probe }).catch(() => {});
+      return result;
+    } catch (e) {
+      if (NOT_FAILURES.includes(e.code)) { if (probe) this._releaseProbe(key).catch(() => {}); }
+      else this.recordFailure(key, Date.now() - started, e, { probe }).catch(() => {});
+      throw e;
+    }
+  }
+
+  // 판정 없이 끝난 half-open 탐침을 풀어 다음 호출이 다시 탐침하도록
+  async _releaseProbe(key) {
+    return this.cache.delete(this._key(key, 'probe'));
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(k => this.getState(k)));
+  }
+}
+
+const sourceHealth = new SourceHealth();
+
+module.exports = { SourceHealth, sourceHealth, LATENCY_BUCKETS, BREAKER };
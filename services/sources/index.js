@@ -0,0 +1,17 @@
+// services/sources/index.js - 기본 어댑터 등록
+const registry = require('./registry');
+
+[
+  require('./newsapi'),
+  require('./gnews'),
+  require('./naver'),
+  require('./reddit'),
+  require('./youtube'),
+  require('./youtubeChannels'),
+  require('./youtubeSearch'),
+  require('./rss'),
+  require('./hackernews'),
+  require('./github'),
+].forEach(registry.registerAdapter);
+
+module.exports = registry;
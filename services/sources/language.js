@@ -0,0 +1,113 @@
+// services/sources/language.js - 기사 언어 감지 (정규화 단계에서 사용)
+// - 문자 체계로 바로 갈리는 언어: 한글 → ko, 가나 → ja, 한자만 → zh, 키릴/아랍/태국 등
+// - 라틴 문자: 언어별 빈출 3-gram 프로필과 비교 (베트남어는 성조 기호로 먼저 판별)
+// - 글이 너무 짧거나 판별이 애매하면 소스가 알려준 언어(힌트)를 따르고, 그것도 없으면 'und'
+
+// 라틴 문자 언어별 빈출 3-gram (단어 경계는 '_', 빈도순)
+const PROFILES = {
+  en: '_th the he_ _an nd_ and ion _of of_ _to to_ tio _in ed_ ing ng_ in_ er_ _a_ is_ re_ _re es_ ent _co on_ at_ for _fo or_ hat _is ter _be tha al_ as_ ati ers his _wi ith wit',
+  es: '_de de_ os_ _la la_ el_ _el es_ _qu que ue_ _en en_ as_ _co ent ión ón_ _lo los _se _po con est ado _un ara par _pa nte del _y_ _re ra_ ien res do_ e_l a_e por _su',
+  fr: '_de es_ de_ le_ _le ent _la la_ re_ _pa ion _et et_ les nt_ on_ _qu que ue_ _co des _un ait _po e_d ur_ our _re tio men par _en en_ ons ans _da dan s_d _se _pr été',
+  de: 'en_ er_ _de der ein ich _di die ie_ sch che _un und nd_ den _ei ung ng_ cht ine _da _ge gen in_ _in ten ter _au auf te_ es_ _zu nde _si sie ber _be ist _is _mi',
+  pt: '_de de_ os_ _qu que ue_ do_ da_ _do _da ão_ ção _co _pa ent _se as_ es_ _e_ com par ara _a_ _o_ ado nte _em em_ _no no_ est _pr men ra_ a_d o_d dos _um um_ uma',
+  it: '_di di_ _de del _la la_ che he_ _ch _il il_ to_ re_ _co one ne_ per _pe ell lla _in ent ion ato ta_ _un con are _so no_ zio ti_ _e_ a_d o_d ale _al all nte ra_',
+  nl: 'en_ _de de_ an_ _he het et_ van _va _en _ee een er_ ing ng_ aar _in in_ _te oor _vo ver _ve _ge gen den ijk _da dat at_ sch _zi ij_ _op op_ _me met nde ter jn_',
+  id: 'an_ _me kan _di ang ng_ _pe men _da dan _ya yan _be nya ya_ _se _ke ber ara _ba per ah_ ada _in ini _ad gan eng erk _un unt tuk uk_ lah asi aka ama ter _te a_m',
+};
+
+// 짧은 제목 보정용 기능어 (단어 하나당 3-gram 하나보다 큰 가중치)
+const STOPWORDS = {
+  en: 'the of and to in on for with is at by as from after over new says will are be',
+  es: 'el la los las de del y en un una por con para que se es al',
+  fr: 'le la les des du de un une et en pour dans sur est au aux avec que qui',
+  de: 'der die das und den dem des ein eine ist mit für auf im zu von nicht',
+  pt: 'o a os as de do da dos das e em um uma para com que no na é',
+  it: 'il lo la gli le di del della e un una per con che è nel alla',
+  nl: 'de het een en van in op te voor met is dat niet zijn',
+  id: 'yang dan di ke dari untuk dengan ini itu akan pada tidak',
+};
+const STOPWORD_WEIGHT = 2;
+const STOPSETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, s]) => [lang, new Set(s.split(' '))]));
+
+const RANKED = Object.fromEntries(Object.entries(PROFILES).map(([lang, s]) => {
+  const grams = s.split(' ');
+  return [lang, new Map(grams.map((g, i) => [g, 1 - i / grams.length]))];
+}));
+
+// 문자 체계 → 언어 (한자/가나/한글은 아래에서 따로 판단)
+const SCRIPTS = [
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['he', /[֐-׿]/g],
+  ['th', /[฀-๿]/g],
+  ['hi', /[ऀ-ॿ]/g],
+  ['el', /[Ͱ-Ͽ]/g],
+];
+const HANGUL_RE = /[가-힯ᄀ-ᇿ㄰-㆏]/g;
+const KANA_RE = /[぀-ヿ]/g;
+const HAN_RE = /[一-鿿㐀-䶿]/g;
+const LATIN_RE = /[a-zà-ÿ]/gi;
+const VI_RE = /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gi;
+
+const MIN_LETTERS = 12;      // 이보다 짧으면 힌트 우선 (라틴 글자 기준)
+const MIN_MARGIN = 0.15;     // 라틴 1·2위 점수 차이가 이보다 작으면 애매함
+
+const count = (text, re) => (text.match(re) || []).length;
+
+function classifyLatin(text) {
+  const words = text.toLowerCase().replace(/[^a-zà-ÿ\s]/g, ' ').split(/\s+/).filter(Boolean);
+  const scores = Object.fromEntries(Object.keys(RANKED).map(l => [l, 0]));
+  let grams = 0;
+  for (const w of words) {
+    for (const [lang, set] of Object.entries(STOPSETS)) if (set.has(w)) scores[lang] += STOPWORD_WEIGHT;
+    const padded = `_${w}_`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = padded.slice(i, i + 3);
+      grams++;
+      for (const [lang, profile] of Object.entries(RANKED)) scores[lang] += profile.get(g) || 0;
+    }
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  if (!grams || !best[1]) return { lang: null, confidence: 0 };
+  return { lang: best[0], confidence: Math.min(1, (best[1] - second[1]) / best[1]) };
+}
+
+/**
+ * 텍스트의 언어(ISO 639-1)를 추정한다.
+ * @param {string} text 제목 + 설명 등
+ * @param {{ hint?: string }} [opts] 소스가 알려준 언어 ('und' 는 없음으로 취급)
+ * @returns {{ lang: string, confidence: number, method: 'script'|'ngram'|'hint'|'none' }}
+ */
+function detectLanguage(text, { hint } = {}) {
+  const h = /^[a-z]{2}$/.test(hint || '') ? hint : null;
+  const s = String(text || '');
+
+  const hangul = count(s, HANGUL_RE);
+  const kana = count(s, KANA_RE);
+  const han = count(s, HAN_RE);
+  const latin = count(s, LATIN_RE);
+  const scripts = SCRIPTS.map(([lang, re]) => [lang, count(s, re)]);
+  const total = hangul + kana + han + latin + scripts.reduce((n, [, c]) => n + c, 0);
+  // 한중일 글자는 한 자가 라틴 몇 글자 분량의 정보를 가지므로 3배로 셈
+  if (total + 2 * (hangul + kana + han) < MIN_LETTERS) return h ? { lang: h, confidence: 0.5, method: 'hint' } : { lang: 'und', confidence: 0, method: 'none' };
+
+  // 영문 고유명사가 섞인 한국어/일본어 제목이 흔하므로 CJK 는 적은 비율로도 판정
+  const cjkShare = (hangul + kana + han) / total;
+  if (cjkShare >= 0.2) {
+    if (hangul >= kana && hangul >= han * 0.5) return { lang: 'ko', confidence: Math.min(1, cjkShare + 0.3), method: 'script' };
+    if (kana > 0 && kana >= han * 0.05) return { lang: 'ja', confidence: Math.min(1, cjkShare + 0.3), method: 'script' };
+    if (han > 0) return { lang: h === 'ja' ? 'ja' : 'zh', confidence: Math.min(1, cjkShare), method: 'script' };
+  }
+  const [topScript, topCount] = scripts.sort((a, b) => b[1] - a[1])[0];
+  if (topCount / total >= 0.4) return { lang: topScript, confidence: topCount / total, method: 'script' };
+
+  if (count(s, VI_RE) >= 3) return { lang: 'vi', confidence: 0.9, method: 'script' };
+  const { lang, confidence } = classifyLatin(s);
+  if (!lang) return h ? { lang: h, confidence: 0.5, method: 'hint' } : { lang: 'und', confidence: 0, method: 'none' };
+  // 애매하면 힌트가 후보 중 하나일 때 힌트를 따름
+  if (confidence < MIN_MARGIN && h && RANKED[h]) return { lang: h, confidence: 0.5, method: 'hint' };
+  return { lang, confidence, method: 'ngram' };
+}
+
+module.exports = { detectLanguage };
@@ -0,0 +1,93 @@
+// services/sources/naver.js - 네이버 뉴스 검색 어댑터 (services/sources/naverClient.js)
+// - 섹션별 검색어 묶음, 검색어마다 start 로 여러 페이지 (오래된 기사에 닿으면 중단)
+// - 네이버는 같은 기사를 link(네이버 뉴스 페이지)와 originallink(언론사 원문)로 주므로
+//   둘 중 하나라도 이미 본 항목은 건너뛰고, 기사 URL 은 원문 우선 (네이버 페이지는 naverUrl)
+const { domainFromUrl, isWithinDays, stripHtml } = require('./common');
+
+// "경제,증시" → ['경제', '증시']
+const parseList = (str) => String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// 섹션별 검색어 (NAVER_QUERIES_<SECTION> 으로 덮어쓰기)
+const DEFAULT_QUERIES = {
+  kr:       ['속보', '긴급', '최신뉴스', '주요뉴스'],
+  business: ['경제', '증시', '환율', '부동산'],
+  tech:     ['IT', '반도체', '인공지능', '스타트업'],
+  japan:    ['일본'],
+  world:    ['국제', '외신'],
+};
+
+const NAVER_SEARCH = {
+  DISPLAY: Math.min(100, Number(process.env.NAVER_DISPLAY || 50)),
+  PAGES: Math.max(1, Number(process.env.NAVER_PAGES || 2)),
+  MAX_AGE_HOURS: 24, // 이보다 오래된 기사가 나오면 다음 페이지를 받지 않음
+};
+const MAX_START = 1000; // 네이버 검색 API start 상한
+
+function queriesFor(section) {
+  const override = parseList(process.env[`NAVER_QUERIES_${section.toUpperCase()}`]);
+  return override.length ? override : (DEFAULT_QUERIES[section] || []);
+}
+
+const isNaverHosted = (url) => /(^|\.)naver\.com$/.test(domainFromUrl(url));
+
+module.exports = {
+  name: 'naver',
+  capabilities: ['search', 'description'],
+  credentials: ['NAVER_CLIENT_ID', 'NAVER_CLIENT_SECRET'],
+  phase: 1,
+
+  targets(section) {
+    return queriesFor(section).map(query => ({ section, query }));
+  },
+
+  async fetch(ctx, { query }) {
+    const items = [];
+    const seen = new Set();
+    const cutoff = Date.now() - NAVER_SEARCH.MAX_AGE_HOURS * 3600 * 1000;
+    for (let page = 0; page < NAVER_SEARCH.PAGES; page++) {
+      const start = 1 + page * NAVER_SEARCH.DISPLAY;
+      if (start > MAX_START) break;
+      let data;
+      try {
+        data = await ctx.naverClient.searchNews(query, { start, display: NAVER_SEARCH.DISPLAY, sort: 'date' });
+      } catch (e) {
+        if (page === 0) throw e;
+        break; // 뒷 페이지 실패(한도 등)는 앞 페이지 결과만 사용
+      }
+      const batch = data?.items || [];
+      for (const it of batch) {
+        const keys = [it.originallink, it.link].filter(Boolean);
+        if (!keys.length || keys.some(k => seen.has(k))) continue;
+        keys.forEach(k => seen.add(k));
+        items.push(it);
+      }
+      const oldest = new Date(batch[batch.length - 1]?.pubDate).getTime();
+      if (batch.length < NAVER_SEARCH.DISPLAY || data.total <= start + batch.length - 1 || oldest < cutoff) break;
+    }
+    return items;
+  },
+
+  normalize(ctx, articles) {
+    return articles
+      .filter(article => isWithinDays(article.pubDate, 30))
+      .map(article => {
+        const url = article.originallink || article.link;
+        const naverUrl = article.link && article.link !== url && isNaverHosted(article.link) ? article.link : null;
+        return {
+          ...ctx.normalizeItem({
+            title: stripHtml(article.title),
+            description: stripHtml(article.description),
+            url,
+            source: 'Naver News',
+            lang: 'ko',
+            publishedAt: article.pubDate,
+            reactions: 0,
+            followers: 0,
+            domain: domainFromUrl(url),
+            _srcType: 'naver'
+          }),
+          ...(naverUrl ? { naverUrl } : {}),
+        };
+      });
+  },
+};
@@ -0,0 +1,117 @@
+// services/sources/naverClient.js - 네이버 검색 API 클라이언트
+// - 검색 API 는 애플리케이션당 하루 호출 수가 정해져 있음 (기본 25,000회, 한국 시각 자정 초기화)
+// - 호출 수를 날짜별 카운터(naver-quota:<날짜>)로 CacheService 에서 원자적으로 증가시켜 셈
+//   (재시작해도 이어서 세고, 같은 키를 쓰는 여러 인스턴스가 한 카운터를 나눠 씀)
+// - 한도에서 NAVER_QUOTA_RESERVE 만큼 남으면 다음 초기화 시각까지 code=ERATELIMITED 로 호출을 건너뜀
+//   (서킷 브레이커 실패로 집계되지 않고, 스케줄러는 retryAfterMs 뒤로 미룸)
+// - 429 는 같은 키를 쓰는 다른 배포가 한도를 썼거나 초당 한도를 넘은 경우라 잠시(15분, 자정 이전까지)만 멈춤
+const logger = require('../../utils/logger');
+const CacheService = require('../cacheService');
+const { createHttpClient } = require('../rss/httpClient');
+
+const API_BASE = 'https://openapi.naver.com/v1/search/';
+const KST_OFFSET_MS = 9 * 3600 * 1000;
+
+const NAVER = {
+  DAILY_QUOTA: Number(process.env.NAVER_DAILY_QUOTA || 25000),
+  RESERVE: Number(process.env.NAVER_QUOTA_RESERVE || 100), // 수동 조회 등을 위해 남겨둘 호출 수
+  BLOCK_MS: 15 * 60 * 1000,
+};
+const QUOTA_TTL_SEC = 2 * 24 * 3600;
+
+// 한국 시각 기준 날짜와 다음 자정(UTC ms)
+function kstDay(now = Date.now()) {
+  const kst = new Date(now + KST_OFFSET_MS);
+  const day = kst.toISOString().slice(0, 10);
+  const nextMidnight = Date.UTC(kst.getUTCFullYear(), kst.getUTCMonth(), kst.getUTCDate() + 1) - KST_OFFSET_MS;
+  return { day, resetAt: nextMidnight };
+}
+
+function quotaExhaustedError(untilMs) {
+  const err = new Error(`Naver search quota exhausted until ${new Date(untilMs).toISOString()}`);
+  err.code = 'ERATELIMITED';
+  err.retryAt = untilMs;
+  err.retryAfterMs = Math.max(0, untilMs - Date.now());
+  return err;
+}
+
+class NaverClient {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.cache = opts.cache || CacheService.shared();
+    this.dailyQuota = opts.dailyQuota || NAVER.DAILY_QUOTA;
+    this.reserve = opts.reserve ?? NAVER.RESERVE;
+    this.http = opts.http || createHttpClient({
+      baseURL: API_BASE,
+      timeout: opts.timeout || 5000,
+      headers: { 'X-Naver-Client-Id': process.env.NAVER_CLIENT_ID || '', 'X-Naver-Client-Secret': process.env.NAVER_CLIENT_SECRET || '' },
+    });
+    this.usage = { day: null, used: 0, blockedUntil: null };
+    this.loading = null;
+  }
+
+  // 날짜가 바뀌었으면 그날 사용량과 429 차단 시각을 읽어 옴 (사용량은 이후 incr 결과로 갱신)
+  async _syncDay() {
+    const { day } = kstDay();
+    if (this.usage.day === day) return;
+    if (!this.loading) {
+      this.loading = Promise.all([this.cache.get(`naver-quota:${day}`), this.cache.get(`naver-quota-block:${day}`)])
+        .catch(() => [])
+        .then(([used, block]) => { this.usage = { day, used: Number(used) || 0, blockedUntil: block?.until || null }; })
+        .finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  // 공유 카운터를 1 올리고 올린 뒤의 값을 사용량으로 (저장소 실패 시 로컬 값으로 계속)
+  async _take() {
+    const used = await this.cache.incr(`naver-quota:${this.usage.day}`, QUOTA_TTL_SEC);
+    this.usage.used = used ?? this.usage.used + 1;
+    return this.usage.used;
+  }
+
+  /**
+   * 뉴스 검색 (GET news.json). 호출마다 일일 사용량에 1 을 더한다.
+   * @param {string} query
+   * @param {{ start?: number, display?: number, sort?: 'date'|'sim' }} [opts]
+   */
+  async searchNews(query, { start = 1, display = 100, sort = 'date' } = {}) {
+    await this._syncDay();
+    const { resetAt } = kstDay();
+    const limit = this.dailyQuota - this.reserve;
+    // 이미 소진된 걸 알면 카운터를 더 올리지 않음
+    if (this.usage.used >= limit) throw quotaExhaustedError(resetAt);
+    if (this.usage.blockedUntil && Date.now() < this.usage.blockedUntil) throw quotaExhaustedError(this.usage.blockedUntil);
+    // 다른 인스턴스가 먼저 쓴 몫까지 반영된 값으로 판단
+    if (await this._take() > limit) throw quotaExhaustedError(resetAt);
+
+    try {
+      const res = await this.http.get('news.json', { params: { query, start, display, sort } });
+      return res.data;
+    } catch (e) {
+      // 429 (errorCode 012: 처리 한도 초과)
+      if (e.response?.status === 429) {
+        this.usage.blockedUntil = Math.min(resetAt, Date.now() + NAVER.BLOCK_MS);
+        this.cache.set(`naver-quota-block:${this.usage.day}`, { until: this.usage.blockedUntil }, QUOTA_TTL_SEC).catch(() => {});
+        this.logger.warn(`Naver search limit reported after ${this.usage.used} calls today`);
+        throw quotaExhaustedError(this.usage.blockedUntil);
+      }
+      throw e;
+    }
+  }
+
+  getStatus() {
+    const { resetAt } = kstDay();
+    return {
+      day: this.usage.day,
+      used: this.usage.used,
+      dailyQuota: this.dailyQuota,
+      reserve: this.reserve,
+      remaining: Math.max(0, this.dailyQuota - this.reserve - this.usage.used),
+      blockedUntil: this.usage.blockedUntil ? new Date(this.usage.blockedUntil).toISOString() : null,
+      resetAt: new Date(resetAt).toISOString(),
+    };
+  }
+}
+
+module.exports = { NaverClient, kstDay };
@@ -0,0 +1,45 @@
+// services/sources/newsapi.js - NewsAPI 어댑터
+const { domainFromUrl, isWithinDays, toImage } = require('./common');
+
+const WORLD_COUNTRIES = ['us', 'gb', 'jp', 'au', 'ca'];
+
+module.exports = {
+  name: 'newsapi',
+  capabilities: ['headlines', 'description'],
+  credentials: ['NEWS_API_KEY'],
+  phase: 1,
+
+  // world 는 국가별 top-headlines 를 각각 호출
+  targets(section) {
+    if (section === 'world') return WORLD_COUNTRIES.map(country => ({ section, country }));
+    return [{ section }];
+  },
+
+  async fetch(ctx, { section, country }) {
+    const params = { pageSize: 50, sortBy: 'publishedAt' };
+    params.language = (section === 'kr' || section === 'korea') ? 'ko' : 'en';
+    if (country) params.country = country;
+    else if (['tech', 'business'].includes(section)) params.category = section;
+
+    const response = await ctx.newsApiClient.get('top-headlines', { params });
+    return response.data.articles || [];
+  },
+
+  normalize(ctx, articles) {
+    // 날짜 필터링: 최근 30일 이내의 뉴스만 포함
+    return articles
+      .filter(article => isWithinDays(article.publishedAt, 30))
+      .map(article => ctx.normalizeItem({
+        title: article.title,
+        description: article.description,
+        url: article.url,
+        source: article.source?.name || 'NewsAPI',
+        publishedAt: article.publishedAt,
+        reactions: 0,
+        followers: 0,
+        domain: domainFromUrl(article.url),
+        image: toImage(article.urlToImage, article.url, 'newsapi:urlToImage'),
+        _srcType: 'newsapi'
+      }));
+  },
+};
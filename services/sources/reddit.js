@@ -0,0 +1,75 @@
+// services/sources/reddit.js - Reddit 어댑터 (app-only OAuth, services/sources/redditClient.js)
+// - 추천수/댓글수 → reactions, 구독자수 → followers
+// - 링크 게시물은 외부 기사 URL 로 풀어 RSS 항목과 중복 제거되도록 함 (토론 링크는 discussionUrl)
+const { domainFromUrl, toImage } = require('./common');
+
+// 섹션별 엔드포인트
+const REDDIT_EP = {
+  buzz:    [{ path:'/r/all/hot', limit:100 }, { path:'/r/all/new', limit:100 }],
+  world:   [{ path:'/r/worldnews/hot', limit:100 }],
+  business:[{ path:'/r/business/hot', limit:100 }, { path:'/r/finance/hot', limit:100 }],
+  tech:    [{ path:'/r/technology/hot', limit:100 }, { path:'/r/programming/hot', limit:100 }, { path:'/r/MachineLearning/hot', limit:100 }],
+};
+
+// 외부 기사로 보지 않는 호스트 (Reddit 자체 미디어/갤러리)
+const SELF_HOSTS = ['reddit.com', 'redd.it', 'i.redd.it', 'v.redd.it', 'preview.redd.it'];
+
+function outboundUrl(d) {
+  if (d.is_self) return null;
+  const url = d.url_overridden_by_dest || d.url;
+  if (!/^https?:\/\//i.test(url || '')) return null;
+  const host = domainFromUrl(url);
+  return SELF_HOSTS.some(h => host === h || host.endsWith(`.${h}`)) ? null : url;
+}
+
+// preview 이미지(가장 큰 원본) → 썸네일 순
+function postImage(d) {
+  const src = d.preview?.images?.[0]?.source;
+  if (src?.url) return toImage({ url: src.url, width: src.width, height: src.height, source: 'reddit:preview' });
+  if (/^https?:\/\//i.test(d.thumbnail || '')) {
+    return toImage({ url: d.thumbnail, width: d.thumbnail_width, height: d.thumbnail_height, source: 'reddit:thumbnail' });
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'reddit',
+  capabilities: ['engagement'],
+  credentials: ['REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET'],
+  phase: 2,
+
+  targets(section) {
+    return (REDDIT_EP[section] || []).map(ep => ({ section, ...ep }));
+  },
+
+  async fetch(ctx, { path = '/r/all/new', limit = 100 }) {
+    const data = await ctx.redditApi.get(path, { limit: Math.min(limit, 100) });
+    return data?.data?.children || [];
+  },
+
+  normalize(ctx, posts) {
+    return posts
+      .map(p => p.data || {})
+      .filter(d => d.title && !d.stickied && !d.over_18)
+      .map(d => {
+        const discussionUrl = `https://www.reddit.com${d.permalink}`;
+        const url = outboundUrl(d);
+        return {
+          ...ctx.normalizeItem({
+            title: d.title,
+            url: url || discussionUrl,
+            source: url ? `${d.domain || domainFromUrl(url)} via r/${d.subreddit}` : `r/${d.subreddit}`,
+            description: d.selftext ? d.selftext.slice(0, 500) : '',
+            lang: 'en',
+            publishedAt: new Date((d.created_utc || 0) * 1000).toISOString(),
+            reactions: (d.ups || 0) + (d.num_comments || 0),
+            followers: d.subreddit_subscribers || 0,
+            domain: url ? domainFromUrl(url) : 'reddit.com',
+            image: postImage(d),
+            _srcType: 'reddit',
+          }),
+          discussionUrl,
+        };
+      });
+  },
+};
@@ -0,0 +1,108 @@
+// services/sources/redditClient.js - Reddit OAuth(app-only) 클라이언트
+// - client_credentials 로 액세스 토큰 발급, 만료 전 갱신, 401 이면 1회 재발급 후 재시도
+// - X-Ratelimit-Remaining/Reset 헤더를 기억해 한도가 바닥나면 리셋 시각까지 호출을 건너뜀
+//   (code=ERATELIMITED 에러 → 서킷 브레이커 실패로 집계되지 않도록 어댑터에서 처리)
+const logger = require('../../utils/logger');
+const { createHttpClient } = require('../rss/httpClient');
+
+const TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+const API_BASE = 'https://oauth.reddit.com';
+const TOKEN_MARGIN_MS = 60_000;      // 만료 1분 전 갱신
+const RATE_LIMIT_RESERVE = Number(process.env.REDDIT_RATE_LIMIT_RESERVE || 5); // 남겨둘 요청 수
+
+function rateLimitedError(untilMs) {
+  const err = new Error(`Reddit rate limit exhausted until ${new Date(untilMs).toISOString()}`);
+  err.code = 'ERATELIMITED';
+  err.retryAt = untilMs;
+  err.retryAfterMs = Math.max(0, untilMs - Date.now());
+  return err;
+}
+
+class RedditClient {
+  constructor(opts = {}) {
+    this.logger = opts.logger || logger;
+    this.clientId = opts.clientId || process.env.REDDIT_CLIENT_ID || '';
+    this.clientSecret = opts.clientSecret || process.env.REDDIT_CLIENT_SECRET || '';
+    this.userAgent = opts.userAgent || process.env.REDDIT_USER_AGENT || 'emark-buzz/1.0';
+    this.http = opts.http || createHttpClient({ baseURL: API_BASE, timeout: opts.timeout || 5000 });
+    this.tokenHttp = opts.tokenHttp || createHttpClient({ timeout: opts.timeout || 5000 });
+
+    this.token = null;          // { value, expiresAt }
+    this.tokenPromise = null;   // 동시 갱신 방지
+    this.rate = { remaining: null, used: null, resetAt: null };
+  }
+
+  async getToken(force = false) {
+    if (!force && this.token && Date.now() < this.token.expiresAt - TOKEN_MARGIN_MS) return this.token.value;
+    if (this.tokenPromise) return this.tokenPromise;
+
+    this.tokenPromise = (async () => {
+      const { data } = await this.tokenHttp.post(TOKEN_URL, 'grant_type=client_credentials', {
+        auth: { username: this.clientId, password: this.clientSecret },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'User-Agent': this.userAgent },
+      });
+      if (!data?.access_token) throw new Error(`Reddit token response missing access_token (${data?.error || 'unknown'})`);
+      this.token = { value: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000 };
+      this.logger.info(`Reddit token refreshed, expires in ${data.expires_in}s`);
+      return this.token.value;
+    })().finally(() => { this.tokenPromise = null; });
+    return this.tokenPromise;
+  }
+
+  // 응답 헤더의 한도 정보 기록 (Reset 은 초 단위 남은 시간)
+  _observeRateLimit(headers = {}) {
+    const remaining = parseFloat(headers['x-ratelimit-remaining']);
+    const used = parseFloat(headers['x-ratelimit-used']);
+    const reset = parseFloat(headers['x-ratelimit-reset']);
+    if (Number.isFinite(remaining)) this.rate.remaining = remaining;
+    if (Number.isFinite(used)) this.rate.used = used;
+    if (Number.isFinite(reset)) this.rate.resetAt = Date.now() + reset * 1000;
+  }
+
+  _assertBudget() {
+    const { remaining, resetAt } = this.rate;
+    if (remaining == null || remaining > RATE_LIMIT_RESERVE) return;
+    if (resetAt && Date.now() < resetAt) throw rateLimitedError(resetAt);
+    this.rate.remaining = null; // 리셋 시각이 지났으면 다음 응답 헤더로 다시 판단
+  }
+
+  /**
+   * GET oauth.reddit.com<path>. 401 이면 토큰을 새로 받아 한 번 더 시도한다.
+   */
+  async get(path, params = {}) {
+    this._assertBudget();
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const token = await this.getToken(attempt > 0);
+      try {
+        const res = await this.http.get(path, {
+          params: { raw_json: 1, ...params },
+          headers: { Authorization: `Bearer ${token}`, 'User-Agent': this.userAgent },
+        });
+        this._observeRateLimit(res.headers);
+        return res.data;
+      } catch (e) {
+        const res = e.response;
+        if (res) this._observeRateLimit(res.headers);
+        if (res?.status === 401 && attempt === 0) { this.token = null; continue; }
+        if (res?.status === 429) {
+          const retryAfter = parseFloat(res.headers?.['retry-after']);
+          const until = Number.isFinite(retryAfter) ? Date.now() + retryAfter * 1000 : (this.rate.resetAt || Date.now() + 60_000);
+          this.rate = { ...this.rate, remaining: 0, resetAt: until };
+          throw rateLimitedError(until);
+        }
+        throw e;
+      }
+    }
+    throw new Error('Reddit request failed after token refresh');
+  }
+
+  getStatus() {
+    return {
+      hasToken: !!this.token,
+      tokenExpiresAt: this.token ? new Date(this.token.expiresAt).toISOString() : null,
+      rateLimit: { ...this.rate, resetAt: this.rate.resetAt ? new Date(this.rate.resetAt).toISOString() : null },
+    };
+  }
+}
+
+module.exports = { RedditClient };
@@ -0,0 +1,114 @@
+// services/sources/registry.js - 소스 어댑터 레지스트리
+//
+// 어댑터 인터페이스
+//   name          : 레지스트리 키 (섹션 설정에서 이 이름으로 참조)
+//   capabilities  : 제공 신호 목록 (예: 'engagement', 'description', 'search')
+//   credentials   : 필요한 환경변수 이름 목록 (하나라도 없으면 건너뜀)
+//   phase         : 빠른 길에서 선호하는 단계 (1 = 즉시 응답, 2 = 백필)
+//   targets(section, ctx)   : 섹션별 호출 단위 목록 (피드 URL, 엔드포인트 등)
+//   fetch(ctx, target)      : 상류 원본 레코드 배열 반환 (실패 시 throw)
+//                             또는 { items, hints } — hints = { minIntervalSec, retryAfterMs } 폴링 간격 힌트
+//   normalize(ctx, raw, target) : 원본 레코드 → normalizeItem 결과 배열
+//
+// ctx 는 NewsService 인스턴스(클라이언트, logger, normalizeItem 제공)이다.
+
+const adapters = new Map();
+
+const PHASES = [1, 2];
+
+function defineAdapter(def) {
+  if (!def || typeof def.name !== 'string' || !def.name) {
+    throw new Error('Source adapter requires a name');
+  }
+  if (typeof def.fetch !== 'function') {
+    throw new Error(`Source adapter "${def.name}" requires a fetch function`);
+  }
+  const phase = def.phase ?? 2;
+  if (!PHASES.includes(phase)) {
+    throw new Error(`Source adapter "${def.name}" has invalid phase: ${phase}`);
+  }
+  return Object.freeze({
+    capabilities: [],
+    credentials: [],
+    targets: (section) => [{ section }],
+    normalize: (ctx, raw) => raw,
+    ...def,
+    phase,
+  });
+}
+
+function registerAdapter(def) {
+  const adapter = defineAdapter(def);
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+function listAdapters() {
+  return Array.from(adapters.values());
+}
+
+// .env.example 의 자리표시자(your_..._here)는 미설정으로 취급
+function hasCredential(envName) {
+  const v = process.env[envName];
+  return !!v && !/^your_/i.test(v);
+}
+
+function isAdapterAvailable(adapter) {
+  return !!adapter && adapter.credentials.every(hasCredential);
+}
+
+// 헬스/서킷 브레이커 키: '<adapter>:<카탈로그 id | url | 섹션:세부>'
+function targetKey(adapter, target) {
+  if (adapter.key) return `${adapter.name}:${adapter.key(target)}`;
+  const detail = target.country || target.query || target.path || target.regionCode;
+  const id = target.feed?.id || target.url || [target.section, detail].filter(Boolean).join(':');
+  return `${adapter.name}:${id}`;
+}
+
+// 섹션 설정 항목: 'rss' 또는 { name:'rss', phase:2 }
+//   phase : 어댑터 기본 단계 덮어쓰기
+// target 에 phase 가 있으면 그 값이 우선한다 (예: 카탈로그 피드별 단계)
+function parseSourceSpec(spec) {
+  return typeof spec === 'string' ? { name: spec } : { ...spec };
+}
+
+/**
+ * 섹션 설정을 실행할 (adapter, target) 목록으로 펼친다.
+ * @param {Array} specs 섹션의 소스 설정
+ * @param {string} section
+ * @param {1|2|'full'} phase
+ * @param {object} ctx NewsService 인스턴스
+ */
+function planSources(specs, section, phase, ctx) {
+  const plan = [];
+  for (const spec of (specs || []).map(parseSourceSpec)) {
+    const adapter = getAdapter(spec.name);
+    if (!adapter) {
+      ctx?.logger?.warn(`Unknown source adapter "${spec.name}" in section ${section}`);
+      continue;
+    }
+    if (!isAdapterAvailable(adapter)) continue;
+
+    const targets = adapter.targets(section, ctx) || [];
+    const picked = phase === 'full'
+      ? targets
+      : targets.filter(t => (t.phase ?? spec.phase ?? adapter.phase) === phase);
+
+    for (const target of picked) plan.push({ adapter, target });
+  }
+  return plan;
+}
+
+module.exports = {
+  defineAdapter,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  isAdapterAvailable,
+  targetKey,
+  planSources,
+};
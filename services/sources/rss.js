@@ -0,0 +1,33 @@
+// services/sources/rss.js - RSS 피드 어댑터
+const { fetchFeed } = require('../rss/httpClient');
+const { parseFeed } = require('../rss/feedParser');
+
+module.exports = {
+  name: 'rss',
+  capabilities: ['headlines'],
+  phase: 1,
+
+  // 섹션 피드 목록은 NewsService 가 제공 (config/rssSources.js 카탈로그)
+  targets(section, ctx) {
+    return ctx.getFeeds(section).map(feed => ({ section, url: feed.url, feed, phase: feed.phase }));
+  },
+
+  // 조건부 GET: 304 면 마지막 파싱 결과 재사용
+  // 피드의 ttl(분)/sy:updatePeriod 와 Retry-After 는 폴링 간격 힌트로 전달
+  async fetch(ctx, { url, feed }) {
+    const { parsed, retryAfterMs } = await fetchFeed(url, { parse: parseFeed, tries: 1, timeout: ctx.API_TIMEOUT, langHint: feed?.lang });
+    const hintSec = Math.max(parsed.ttl ? parsed.ttl * 60 : 0, parsed.updatePeriodSec || 0);
+    return { items: parsed.items || [], hints: { minIntervalSec: hintSec || null, retryAfterMs } };
+  },
+
+  // FeedBurner 피드는 link 가 feedproxy 중계 URL 이라 feedburner:origLink 를 우선
+  // (domain 은 정규 URL 에서 구함)
+  normalize(ctx, items, { feed } = {}) {
+    return items.map(it => ctx.normalizeItem({
+      title:it.title||'', url:it.origLink||it.link||'', description:it.summary, source:feed?.name||'RSS', lang:it.lang||feed?.lang||'und',
+      publishedAt:it.publishedAt||new Date().toISOString(),
+      author:it.author, categories:it.categories, image:it.image,
+      reactions:0, followers:0, trust:feed?.trust, _srcType:'rss'
+    }));
+  },
+};
@@ -0,0 +1,59 @@
+// services/sources/videoStats.js - 영상 통계(조회/좋아요/댓글) 폴링 간 증가량 → 실제 속도
+// - 영상별 마지막 관측값(합계, 시각)을 CacheService 에 저장 (재시작해도 이어서 계산)
+// - 다음 폴링에서 (지금 합계 - 지난 합계) / 경과 시간 = 시간당 반응 수 (basis='delta')
+// - 처음 보는 영상은 누적 반응 수 / 게시 후 경과 시간으로 대신함 (basis='lifetime')
+// - 폴링 간격이 MIN_GAP_SEC 보다 짧으면 기준값을 바꾸지 않고 이전 속도를 그대로 씀
+const CacheService = require('../cacheService');
+
+const VIDEO_STATS = {
+  MIN_GAP_SEC: Number(process.env.VIDEO_STATS_MIN_GAP_SEC || 300),
+  VELOCITY_NORM: Number(process.env.VIDEO_VELOCITY_NORM || 5000), // 이 속도(반응/시간)면 v 점수 1
+  TTL_SEC: 3 * 24 * 3600,
+};
+
+const total = ({ views = 0, likes = 0, comments = 0 }) => views + likes + comments;
+
+class VideoStatsTracker {
+  constructor(opts = {}) {
+    this.cache = opts.cache || CacheService.shared();
+    this.prefix = opts.prefix || 'video-stats:';
+  }
+
+  /**
+   * 영상들의 현재 통계를 기록하고 시간당 반응 수를 돌려준다.
+   * @param {Array<{ id: string, views: number, likes: number, comments: number, publishedAt?: string }>} videos
+   * @returns {Promise<Map<string, { perHour: number, basis: 'delta'|'lifetime', samples: number }>>}
+   */
+  async observe(videos, now = Date.now()) {
+    const out = new Map();
+    await Promise.all(videos.map(async (v) => {
+      const key = this.prefix + v.id;
+      const prev = await this.cache.get(key).catch(() => null);
+      const r = total(v);
+
+      if (prev && now - prev.at < VIDEO_STATS.MIN_GAP_SEC * 1000) {
+        out.set(v.id, { perHour: Math.round(prev.perHour), basis: prev.basis, samples: prev.samples });
+        return;
+      }
+      let entry;
+      if (prev) {
+        const hours = (now - prev.at) / 3600000;
+        entry = { r, at: now, perHour: Math.max(0, (r - prev.r) / hours), basis: 'delta', samples: prev.samples + 1 };
+      } else {
+        const published = new Date(v.publishedAt).getTime();
+        const ageHours = Number.isFinite(published) ? Math.max(1, (now - published) / 3600000) : null;
+        entry = { r, at: now, perHour: ageHours ? r / ageHours : 0, basis: 'lifetime', samples: 0 };
+      }
+      await this.cache.set(key, entry, VIDEO_STATS.TTL_SEC).catch(() => {});
+      out.set(v.id, { perHour: Math.round(entry.perHour), basis: entry.basis, samples: entry.samples });
+    }));
+    return out;
+  }
+}
+
+// rankAndSort 의 v(속도) 점수 보조 (item.stats 가 있는 영상 항목)
+function statsVelocityScore(stats) {
+  return stats ? Math.min(1, (stats.perHour || 0) / VIDEO_STATS.VELOCITY_NORM) : 0;
+}
+
+module.exports = { VideoStatsTracker, statsVelocityScore, VIDEO_STATS };
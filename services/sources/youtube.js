@@ -0,0 +1,26 @@
+// services/sources/youtube.js - YouTube mostPopular 어댑터 (지역별 인기 차트)
+// - 인기 차트는 뮤직비디오/예능 위주라 뉴스 섹션에는 youtube-channels, youtube-search 를 씀
+const { ytGet, withVelocity, normalizeVideos } = require('./youtubeApi');
+
+// 섹션별 지역 (예: buzz: [{ regionCode:'KR', maxResults:30 }])
+const YT_REGIONS = {};
+
+module.exports = {
+  name: 'youtube',
+  capabilities: ['engagement', 'video'],
+  credentials: ['YOUTUBE_API_KEY'],
+  phase: 2,
+
+  targets(section) {
+    return (YT_REGIONS[section] || []).map(r => ({ section, ...r }));
+  },
+
+  async fetch(ctx, { regionCode = 'US', maxResults = 30 }) {
+    const data = await ytGet(ctx, '/videos', { part:'snippet,statistics', chart:'mostPopular', regionCode, maxResults:Math.min(maxResults,50) });
+    return withVelocity(ctx, data.items || []);
+  },
+
+  normalize(ctx, videos) {
+    return normalizeVideos(ctx, videos);
+  },
+};
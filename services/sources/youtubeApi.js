@@ -0,0 +1,113 @@
+// services/sources/youtubeApi.js - YouTube Data API v3 공통 (youtube / youtube-channels / youtube-search 어댑터)
+// - 하루 할당량 10,000 단위: videos.list·playlistItems.list·channels.list 는 1, search.list 는 100
+// - 할당량 초과(403 quotaExceeded)는 code=ERATELIMITED 로 바꿔 다음 초기화(태평양 시각 자정)까지 건너뜀
+// - 통계는 statistics 의 조회/좋아요/댓글 수 → reactions, 폴링 간 증가량 → stats.perHour (sources/videoStats.js)
+const { toImage } = require('./common');
+
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded'];
+const PST_MS = 8 * 3600 * 1000;
+const VIDEOS_PER_CALL = 50;
+
+// 태평양 표준시 기준 다음 자정 (서머타임 중에는 실제 초기화보다 1시간 늦게 재개)
+function nextQuotaReset(now = Date.now()) {
+  const d = new Date(now - PST_MS);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) + PST_MS;
+}
+
+function quotaExceededError(reason) {
+  const untilMs = nextQuotaReset();
+  const err = new Error(`YouTube API ${reason} until ${new Date(untilMs).toISOString()}`);
+  err.code = 'ERATELIMITED';
+  err.retryAt = untilMs;
+  err.retryAfterMs = Math.max(0, untilMs - Date.now());
+  return err;
+}
+
+/**
+ * GET 요청 (API 키는 여기서 붙임). 할당량 초과는 ERATELIMITED 로 던진다.
+ * @param {object} ctx NewsService (youtubeApi 클라이언트)
+ * @param {string} path 예: '/videos'
+ * @param {object} params
+ */
+async function ytGet(ctx, path, params) {
+  try {
+    const { data } = await ctx.youtubeApi.get(path, { params: { ...params, key: process.env.YOUTUBE_API_KEY } });
+    return data || {};
+  } catch (e) {
+    const reason = e.response?.data?.error?.errors?.[0]?.reason;
+    if (e.response?.status === 403 && QUOTA_REASONS.includes(reason)) throw quotaExceededError(reason);
+    throw e;
+  }
+}
+
+const statsOf = (v) => {
+  const st = v.statistics || {};
+  return { views: +st.viewCount || 0, likes: +st.likeCount || 0, comments: +st.commentCount || 0 };
+};
+
+/**
+ * 영상 ID 목록 → snippet/statistics 가 있는 영상 (50개씩 videos.list)
+ */
+async function listVideos(ctx, ids) {
+  const unique = Array.from(new Set(ids.filter(Boolean)));
+  const out = [];
+  for (let i = 0; i < unique.length; i += VIDEOS_PER_CALL) {
+    const data = await ytGet(ctx, '/videos', { part: 'snippet,statistics', id: unique.slice(i, i + VIDEOS_PER_CALL).join(','), maxResults: VIDEOS_PER_CALL });
+    out.push(...(data.items || []));
+  }
+  return out;
+}
+
+/**
+ * 영상마다 _velocity(시간당 반응 수)를 붙인다. 추적 실패는 속도 없이 진행.
+ */
+async function withVelocity(ctx, videos) {
+  if (!ctx.videoStats || !videos.length) return videos;
+  let velocity;
+  try {
+    velocity = await ctx.videoStats.observe(videos.map(v => ({ id: v.id, publishedAt: v.snippet?.publishedAt, ...statsOf(v) })));
+  } catch (e) {
+    ctx.logger?.warn(`YouTube stats tracking failed: ${e.message}`);
+    return videos;
+  }
+  return videos.map(v => ({ ...v, _velocity: velocity.get(v.id) || null }));
+}
+
+// snippet.thumbnails 중 가장 큰 것
+const THUMB_ORDER = ['maxres', 'standard', 'high', 'medium', 'default'];
+function bestThumbnail(thumbnails = {}) {
+  const key = THUMB_ORDER.find(k => thumbnails[k]?.url);
+  return key ? { ...thumbnails[key], source: `youtube:${key}` } : null;
+}
+
+/**
+ * videos.list 결과 → 정규화 항목. 예정된 라이브(통계 없음)는 제외.
+ * 항목에 stats({ views, likes, comments, perHour, basis }) 와 channel({ id, title }) 을 덧붙인다.
+ */
+function normalizeVideos(ctx, videos) {
+  return videos
+    .filter(v => v.id && v.snippet?.title && v.snippet.liveBroadcastContent !== 'upcoming')
+    .map(v => {
+      const s = v.snippet;
+      const st = statsOf(v);
+      return {
+        ...ctx.normalizeItem({
+          title: s.title,
+          description: (s.description || '').slice(0, 500),
+          url: `https://youtube.com/watch?v=${v.id}`,
+          source: s.channelTitle ? `${s.channelTitle} via YouTube` : 'YouTube',
+          lang: (s.defaultAudioLanguage || s.defaultLanguage || 'und').slice(0, 2),
+          publishedAt: s.publishedAt,
+          reactions: st.views + st.likes + st.comments,
+          followers: 0,
+          domain: 'youtube.com',
+          image: toImage(bestThumbnail(s.thumbnails)),
+          _srcType: 'yt',
+        }),
+        stats: { ...st, perHour: v._velocity?.perHour ?? null, basis: v._velocity?.basis || null },
+        channel: { id: s.channelId || null, title: s.channelTitle || null },
+      };
+    });
+}
+
+module.exports = { ytGet, listVideos, withVelocity, normalizeVideos, bestThumbnail, nextQuotaReset };
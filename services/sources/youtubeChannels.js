@@ -0,0 +1,68 @@
+// services/sources/youtubeChannels.js - 뉴스 채널 업로드 목록 어댑터
+// - 채널 ID(UC...)의 업로드 재생목록은 UU... (channels.list 없이 바로 playlistItems.list, 1단위)
+// - @핸들은 channels.list(forHandle) 로 한 번 풀어 프로세스 동안 기억
+// - 최근 YT_CHANNEL_MAX_AGE_HOURS 안의 업로드만 videos.list 로 통계 조회
+const { ytGet, listVideos, withVelocity, normalizeVideos } = require('./youtubeApi');
+
+// "UC...,@handle" → ['UC...', '@handle']
+const parseList = (str) => String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// 섹션별 채널 (YT_CHANNELS_<SECTION> 으로 덮어쓰기)
+const DEFAULT_CHANNELS = {
+  world:    ['UC16niRr50-MSBwiO3YDb3RA' /* BBC News */, 'UChqUTb7kYRX8-EiaN3XFrSQ' /* Reuters */, 'UCNye-wNBqNL5ZzHSJj3l8Bg' /* Al Jazeera English */],
+  business: ['UCvJJ_dzjViJCoLf5uKUTwoA' /* CNBC */, 'UCIALMKvObZNtJ6AmdCLP7Lg' /* Bloomberg Television */],
+  tech:     ['UCddiUEpeqJcYeBxX1IVBKvQ' /* The Verge */],
+  kr:       ['UChlgI3UHCOnwUGzWzbJ3H5w' /* YTN */],
+};
+
+const YT_CHANNEL = {
+  MAX_RESULTS: Math.min(50, Number(process.env.YT_CHANNEL_MAX_RESULTS || 15)),
+  MAX_AGE_HOURS: Number(process.env.YT_CHANNEL_MAX_AGE_HOURS || 48),
+};
+
+function channelsFor(section) {
+  const override = parseList(process.env[`YT_CHANNELS_${section.toUpperCase()}`]);
+  return override.length ? override : (DEFAULT_CHANNELS[section] || []);
+}
+
+const resolvedHandles = new Map(); // '@handle' → 'UC...'
+
+async function resolveChannelId(ctx, channel) {
+  if (/^UC[\w-]{22}$/.test(channel)) return channel;
+  if (!channel.startsWith('@')) throw new Error(`Invalid YouTube channel "${channel}" (expected UC... id or @handle)`);
+  if (resolvedHandles.has(channel)) return resolvedHandles.get(channel);
+  const data = await ytGet(ctx, '/channels', { part: 'id', forHandle: channel });
+  const id = data.items?.[0]?.id;
+  if (!id) throw new Error(`YouTube channel ${channel} not found`);
+  resolvedHandles.set(channel, id);
+  return id;
+}
+
+module.exports = {
+  name: 'youtube-channels',
+  capabilities: ['engagement', 'video'],
+  credentials: ['YOUTUBE_API_KEY'],
+  phase: 2,
+
+  targets(section) {
+    return channelsFor(section).map(channel => ({ section, channel }));
+  },
+
+  key({ section, channel }) { return `${section}:${channel}`; },
+
+  async fetch(ctx, { channel }) {
+    const channelId = await resolveChannelId(ctx, channel);
+    const data = await ytGet(ctx, '/playlistItems', { part: 'contentDetails', playlistId: `UU${channelId.slice(2)}`, maxResults: YT_CHANNEL.MAX_RESULTS });
+    const cutoff = Date.now() - YT_CHANNEL.MAX_AGE_HOURS * 3600 * 1000;
+    const ids = (data.items || [])
+      .map(it => it.contentDetails || {})
+      .filter(cd => new Date(cd.videoPublishedAt).getTime() >= cutoff)
+      .map(cd => cd.videoId);
+    if (!ids.length) return [];
+    return withVelocity(ctx, await listVideos(ctx, ids));
+  },
+
+  normalize(ctx, videos) {
+    return normalizeVideos(ctx, videos);
+  },
+};
@@ -0,0 +1,68 @@
+// services/sources/youtubeSearch.js - 키워드 검색 어댑터 (최근 YT_SEARCH_WINDOW_HOURS 안의 업로드)
+// - search.list 는 100단위라 검색 결과(영상 ID)는 YT_SEARCH_REFRESH_SEC 동안 재사용하고,
+//   그 사이 폴링은 videos.list(1단위)로 통계만 다시 받아 속도를 갱신
+const { ytGet, listVideos, withVelocity, normalizeVideos } = require('./youtubeApi');
+
+// "속보,breaking news" → ['속보', 'breaking news']
+const parseList = (str) => String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// 섹션별 검색어 (YT_SEARCH_<SECTION> 으로 덮어쓰기, 검색어는 지역/언어 지정 없이 사용)
+const DEFAULT_SEARCHES = {
+  buzz: [
+    { query: 'breaking news' },
+    { query: '속보', regionCode: 'KR', relevanceLanguage: 'ko' },
+  ],
+};
+
+const YT_SEARCH = {
+  WINDOW_HOURS: Number(process.env.YT_SEARCH_WINDOW_HOURS || 12),
+  MAX_RESULTS: Math.min(50, Number(process.env.YT_SEARCH_MAX_RESULTS || 25)),
+  REFRESH_SEC: Number(process.env.YT_SEARCH_REFRESH_SEC || 3600),
+  ORDER: process.env.YT_SEARCH_ORDER || 'viewCount',
+};
+
+function searchesFor(section) {
+  const override = parseList(process.env[`YT_SEARCH_${section.toUpperCase()}`]);
+  return override.length ? override.map(query => ({ query })) : (DEFAULT_SEARCHES[section] || []);
+}
+
+const lastSearch = new Map(); // 검색 조건 → { at, ids }
+
+async function searchIds(ctx, { query, regionCode, relevanceLanguage }) {
+  const cacheKey = JSON.stringify([query, regionCode, relevanceLanguage]);
+  const prev = lastSearch.get(cacheKey);
+  if (prev && Date.now() - prev.at < YT_SEARCH.REFRESH_SEC * 1000) return prev.ids;
+
+  const publishedAfter = new Date(Date.now() - YT_SEARCH.WINDOW_HOURS * 3600 * 1000).toISOString();
+  const params = { part: 'id', type: 'video', q: query, order: YT_SEARCH.ORDER, publishedAfter, maxResults: YT_SEARCH.MAX_RESULTS };
+  if (regionCode) params.regionCode = regionCode;
+  if (relevanceLanguage) params.relevanceLanguage = relevanceLanguage;
+  const data = await ytGet(ctx, '/search', params);
+  const ids = (data.items || []).map(it => it.id?.videoId).filter(Boolean);
+  lastSearch.set(cacheKey, { at: Date.now(), ids });
+  return ids;
+}
+
+module.exports = {
+  name: 'youtube-search',
+  capabilities: ['engagement', 'video', 'search'],
+  credentials: ['YOUTUBE_API_KEY'],
+  phase: 2,
+
+  targets(section) {
+    return searchesFor(section).map(s => ({ section, ...s }));
+  },
+
+  async fetch(ctx, target) {
+    const ids = await searchIds(ctx, target);
+    if (!ids.length) return [];
+    // 재사용한 검색 결과 중 기간을 벗어난 영상은 제외
+    const cutoff = Date.now() - YT_SEARCH.WINDOW_HOURS * 3600 * 1000;
+    const videos = (await listVideos(ctx, ids)).filter(v => new Date(v.snippet?.publishedAt).getTime() >= cutoff);
+    return withVelocity(ctx, videos);
+  },
+
+  normalize(ctx, videos) {
+    return normalizeVideos(ctx, videos);
+  },
+};
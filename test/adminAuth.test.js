@@ -0,0 +1,26 @@
+// test/adminAuth.test.js - 관리 API 토큰 미들웨어
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requireAdmin } = require('../utils/adminAuth');
+
+async function withServer(token, fn) {
+  const app = express();
+  app.use('/api/admin', requireAdmin({ token }));
+  app.post('/api/admin/sources/reload', (req, res) => res.json({ success: true }));
+  const server = app.listen(0);
+  try { return await fn(`http://127.0.0.1:${server.address().port}/api/admin/sources/reload`); }
+  finally { server.close(); }
+}
+
+test('토큰이 없거나 틀리면 401, 맞으면 통과 (X-Admin-Token / Bearer)', () => withServer('s3cret', async (url) => {
+  assert.equal((await fetch(url, { method: 'POST' })).status, 401);
+  assert.equal((await fetch(url, { method: 'POST', headers: { 'X-Admin-Token': 'wrong' } })).status, 401);
+  assert.equal((await fetch(url, { method: 'POST', headers: { 'X-Admin-Token': 's3cret' } })).status, 200);
+  assert.equal((await fetch(url, { method: 'POST', headers: { Authorization: 'Bearer s3cret' } })).status, 200);
+}));
+
+test('ADMIN_TOKEN 이 설정되지 않으면 관리 API 전체를 막음', () => withServer('', async (url) => {
+  const res = await fetch(url, { method: 'POST', headers: { 'X-Admin-Token': '' } });
+  assert.equal(res.status, 503);
+}));
@@ -0,0 +1,35 @@
+// test/cacheService.test.js - 서비스들이 프로세스 공용 CacheService 하나를 쓰는지
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CacheService = require('../services/cacheService');
+const { SourceHealth } = require('../services/sources/health');
+const { PollCadence } = require('../services/sources/cadence');
+const { ArticleStore } = require('../services/news/articleStore');
+
+test('shared() 는 같은 인스턴스를 돌려주고 opts.cache 가 없으면 기본값이 됨', () => {
+  const shared = CacheService.shared();
+  assert.equal(CacheService.shared(), shared);
+  assert.equal(new SourceHealth().cache, shared);
+  assert.equal(new PollCadence().cache, shared);
+  assert.equal(new ArticleStore().cache, shared);
+});
+
+test('opts.cache 로 넘긴 인스턴스를 그대로 씀', () => {
+  const own = { get: async () => null, set: async () => true, getStatus: () => ({ type: 'memory' }) };
+  assert.equal(new SourceHealth({ cache: own }).cache, own);
+  assert.equal(new ArticleStore({ cache: own }).cache, own);
+});
+
+test('메모리 모드: incr 카운터는 일반 키가 1000개를 넘어도 밀려나지 않음', async () => {
+  const redisUrl = process.env.REDIS_URL;
+  delete process.env.REDIS_URL;
+  const cache = new CacheService();
+  if (redisUrl !== undefined) process.env.REDIS_URL = redisUrl;
+  assert.equal(cache.useMemory, true);
+  await cache.incr('naver-quota:2026-10-19', 3600);
+  await cache.incr('naver-quota:2026-10-19', 3600);
+  for (let i = 0; i < 1500; i++) await cache.set(`extract:${i}`, { i });
+  assert.equal(await cache.get('naver-quota:2026-10-19'), 2);
+  assert.equal(await cache.incr('naver-quota:2026-10-19', 3600), 3);
+  assert.equal(cache.getStatus().size, 1000);
+});
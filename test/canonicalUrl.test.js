@@ -0,0 +1,73 @@
+// test/canonicalUrl.test.js - URL 정규화(기사 ID·중복 제거 기준)와 사용자 링크 분리, 리다이렉트 풀기
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { canonicalizeUrl, unwrapUrl, urlIdentity, CanonicalResolver } = require('../services/sources/canonicalUrl');
+const NewsService = require('../services/newsService');
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+// 생성자는 AI 큐 타이머 등을 띄우므로 필요한 필드만 가진 인스턴스로 시험
+const newsService = (fields = {}) => Object.assign(Object.create(NewsService.prototype), { logger: quietLogger }, fields);
+const memoryCache = () => {
+  const m = new Map();
+  return { get: async (k) => m.get(k) ?? null, set: async (k, v) => { m.set(k, v); return true; } };
+};
+
+test('canonicalizeUrl: 스킴 유지, 추적 파라미터·해시·끝 슬래시 제거, 쿼리 정렬', () => {
+  assert.equal(canonicalizeUrl('http://Example.com:80/a/b/?utm_source=rss&z=1&a=2#top'), 'http://example.com/a/b?a=2&z=1');
+  assert.equal(canonicalizeUrl('https://example.com/x?fbclid=abc'), 'https://example.com/x');
+  // 스킴이 달라도 같은 기사 (ID·중복 제거는 urlIdentity 기준)
+  assert.equal(urlIdentity('http://www.example.com/x'), urlIdentity('https://example.com/x'));
+});
+
+test('canonicalizeUrl: AMP 는 캐시/뷰어, 명시적 표시, 알려진 사이트 규칙만 제거', () => {
+  assert.equal(canonicalizeUrl('https://example-com.cdn.ampproject.org/c/s/example.com/a-story'), 'https://example.com/a-story');
+  assert.equal(canonicalizeUrl('https://www.google.com/amp/s/example.com/a-story'), 'https://example.com/a-story');
+  assert.equal(canonicalizeUrl('https://example.com/a.amp.html?amp=1'), 'https://example.com/a.html');
+  assert.equal(canonicalizeUrl('https://example.com/2024/05/rate-hike/amp/'), 'https://example.com/2024/05/rate-hike');
+  assert.equal(canonicalizeUrl('https://www.bbc.com/news/world-123.amp'), 'https://www.bbc.com/news/world-123');
+  assert.equal(canonicalizeUrl('https://amp.theguardian.com/world/2024/x'), 'https://www.theguardian.com/world/2024/x');
+  // 다른 페이지일 수 있는 경로는 그대로
+  assert.equal(canonicalizeUrl('https://example.com/news/amp/'), 'https://example.com/news/amp');
+  assert.equal(canonicalizeUrl('https://example.com/amp/story-123'), 'https://example.com/amp/story-123');
+  assert.equal(canonicalizeUrl('https://amp.example.com/story'), 'https://amp.example.com/story');
+});
+
+test('unwrapUrl: 리디렉터와 AMP 캐시만 풀고 나머지는 그대로', () => {
+  assert.equal(unwrapUrl('https://www.google.com/url?q=http%3A%2F%2Fexample.com%2Fx%3Futm_source%3Dy'), 'http://example.com/x?utm_source=y');
+  assert.equal(unwrapUrl('https://www.google.com/amp/s/example.com/a-story/amp'), 'https://example.com/a-story/amp');
+  assert.equal(unwrapUrl('http://example.com/news/amp/?utm_source=rss'), 'http://example.com/news/amp/?utm_source=rss');
+});
+
+test('normalizeItem: link 는 소스 URL, id 와 canonicalUrl 은 정규 URL 기준', () => {
+  const svc = newsService();
+  const raw = { title: 'Rate hike', url: 'http://example.com/2024/05/rate-hike/amp/?utm_source=rss', source: 'Example' };
+  const it = svc.normalizeItem(raw);
+  assert.equal(it.link, raw.url);
+  assert.equal(it.originalUrl, raw.url);
+  assert.equal(it.canonicalUrl, 'http://example.com/2024/05/rate-hike');
+  assert.equal(it.id, svc.normalizeItem({ ...raw, url: 'https://www.example.com/2024/05/rate-hike' }).id);
+});
+
+test('리다이렉트 풀기: link 는 최종 주소, id 는 그 정규 URL', async () => {
+  const original = 'https://feedproxy.google.com/~r/example/~3/abc';
+  const canonicalResolver = { resolveMany: async () => new Map([[original, { url: 'https://example.com/story', finalUrl: 'https://example.com/story?utm_source=feedburner' }]]) };
+  const svc = newsService({ canonicalResolver });
+  const [it] = await svc._resolveCanonicalUrls([svc.normalizeItem({ title: 'Story', url: original, source: 'Example' })]);
+  assert.equal(it.link, 'https://example.com/story?utm_source=feedburner');
+  assert.equal(it.canonicalUrl, 'https://example.com/story');
+  assert.equal(it.id, svc.generateArticleId('https://example.com/story'));
+  assert.equal(it.domain, 'example.com');
+});
+
+test('CanonicalResolver: 내부 주소는 요청하지 않고 null', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => { hits++; res.writeHead(301, { location: 'https://example.com/' }); res.end(); }).listen(0);
+  try {
+    const resolver = new CanonicalResolver({ logger: quietLogger, cache: memoryCache(), mode: 'page' });
+    assert.equal(await resolver.resolve(`http://127.0.0.1:${server.address().port}/r`), null);
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
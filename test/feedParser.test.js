@@ -0,0 +1,82 @@
+// test/feedParser.test.js - 포맷별 픽스처(test/fixtures/feeds)로 피드 파서 정규화 확인
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, detectFormat } = require('../services/rss/feedParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/feeds', name), 'utf8');
+
+test('RSS 2.0: dc:creator, category, 가장 큰 media:content, content:encoded', async () => {
+  const body = fixture('rss2.xml');
+  assert.equal(detectFormat(body), 'rss');
+  const feed = await parseFeed(body);
+  assert.equal(feed.format, 'rss');
+  assert.equal(feed.language, 'en');
+  assert.equal(feed.ttl, 15);
+  const [it] = feed.items;
+  assert.equal(it.title, 'Leaders meet for climate summit');
+  assert.equal(it.guid, 'ex-1001');
+  assert.equal(it.author, 'Jane Doe');
+  assert.deepEqual(it.categories, ['Climate', 'Politics']);
+  assert.deepEqual(it.image, { url: 'https://example.com/large.jpg', width: 1280, height: 720, source: 'media:content' });
+  assert.match(it.contentHtml, /<b>Monday<\/b>/);
+  assert.equal(it.summary, 'Leaders gathered on Monday.');
+  assert.equal(it.publishedAt, '2026-10-19T08:00:00.000Z');
+});
+
+test('RSS 1.0 (RDF): dc:subject, dc:date, 본문 첫 img, sy:updatePeriod', async () => {
+  const body = fixture('rdf.xml');
+  assert.equal(detectFormat(body), 'rdf');
+  const feed = await parseFeed(body);
+  assert.equal(feed.format, 'rdf');
+  assert.equal(feed.language, 'ja');
+  assert.equal(feed.updatePeriodSec, 1800);
+  const [it] = feed.items;
+  assert.equal(it.link, 'https://example.jp/news/1');
+  assert.equal(it.author, '山田太郎');
+  assert.deepEqual(it.categories, ['科学']);
+  assert.deepEqual(it.image, { url: 'https://example.jp/img/rocket.jpg', width: 640, height: 360, source: 'content' });
+  assert.match(it.contentHtml, /<em>午前9時<\/em>/);
+  assert.equal(it.publishedAt, '2026-10-19T00:30:00.000Z');
+  assert.equal(it.lang, 'ja');
+});
+
+test('Atom 1.0: author/name, category label 우선, media:thumbnail, html content', async () => {
+  const body = fixture('atom.xml');
+  assert.equal(detectFormat(body), 'atom');
+  const feed = await parseFeed(body);
+  assert.equal(feed.format, 'atom');
+  const [it] = feed.items;
+  assert.equal(it.title, 'New chip doubles battery life');
+  assert.equal(it.link, 'https://tech.example.org/chips/battery');
+  assert.equal(it.guid, 'urn:example:tech:42');
+  assert.equal(it.author, 'Alex Kim');
+  assert.deepEqual(it.categories, ['Hardware', 'mobile']);
+  assert.deepEqual(it.image, { url: 'https://tech.example.org/thumb.png', width: 600, height: 400, source: 'media:thumbnail' });
+  assert.equal(it.contentHtml, '<p>The chip is built on a <strong>2nm</strong> process.</p>');
+  assert.equal(it.updatedAt, '2026-10-19T09:45:00.000Z');
+});
+
+test('JSON Feed 1.1: authors, 중복 tags 제거, image, 피드 author/본문 img 대체', async () => {
+  const body = fixture('jsonfeed.json');
+  assert.equal(detectFormat(body), 'json');
+  const feed = await parseFeed(body);
+  assert.equal(feed.format, 'json');
+  assert.equal(feed.language, 'ko');
+  const [first, second] = feed.items;
+  assert.equal(first.author, '김기자');
+  assert.deepEqual(first.categories, ['연예', '영상']);
+  assert.deepEqual(first.image, { url: 'https://buzz.example.net/img/7.jpg', width: null, height: null, source: 'jsonfeed:image' });
+  assert.match(first.contentHtml, /<a href="https:\/\/buzz\.example\.net\/v\/7">/);
+  assert.equal(second.author, 'Buzz Desk');
+  assert.equal(second.image.url, 'https://buzz.example.net/img/8.jpg');
+  assert.equal(second.image.source, 'content');
+  assert.equal(second.summary, '본문');
+});
+
+test('JSON Feed 객체도 그대로 받음, 알 수 없는 포맷은 에러', async () => {
+  const feed = await parseFeed(JSON.parse(fixture('jsonfeed.json')));
+  assert.equal(feed.items.length, 2);
+  await assert.rejects(parseFeed('<html><body>not a feed</body></html>'), /Unrecognized feed format/);
+});
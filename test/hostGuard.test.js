@@ -0,0 +1,65 @@
+// test/hostGuard.test.js - 피드 탐색 대상의 내부 주소 차단
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { assertPublicUrl, isPrivateAddress, isPrivateHostError, PUBLIC_ONLY } = require('../services/rss/hostGuard');
+const { discoverFeeds, inspectFeed } = require('../services/rss/discovery');
+
+const isPrivate = (e) => e.code === 'EPRIVATEHOST';
+
+test('사설/루프백/링크 로컬 주소 판별 (IPv4 매핑 IPv6 포함)', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '1.1.1.1', '2606:4700::1111', 'example.com']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('assertPublicUrl: 내부 주소, localhost, http(s) 아닌 스킴 거부', async () => {
+  for (const url of ['http://127.0.0.1/feed', 'http://[::1]:8080/', 'http://169.254.169.254/latest/meta-data', 'http://localhost:3000/', 'https://app.localhost/']) {
+    await assert.rejects(assertPublicUrl(url), isPrivate, url);
+  }
+  await assert.rejects(assertPublicUrl('file:///etc/passwd'), { code: 'EBADURL' });
+  await assertPublicUrl('http://93.184.216.34/');
+});
+
+test('리다이렉트와 연결 시점 DNS 조회도 다시 검사', async () => {
+  assert.throws(() => PUBLIC_ONLY.beforeRedirect({ hostname: '169.254.169.254' }), isPrivate);
+  assert.throws(() => PUBLIC_ONLY.beforeRedirect({ hostname: '[::1]' }), isPrivate);
+  assert.doesNotThrow(() => PUBLIC_ONLY.beforeRedirect({ hostname: '93.184.216.34' }));
+  await assert.rejects(PUBLIC_ONLY.lookup('localhost', {}), isPrivate);
+});
+
+test('discoverFeeds / inspectFeed(publicOnly) 는 내부 서버에 요청하지 않음', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => { hits++; res.end('<rss version="2.0"><channel></channel></rss>'); }).listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/feed`;
+  try {
+    await assert.rejects(discoverFeeds(url), (e) => isPrivateHostError(e));
+    await assert.rejects(inspectFeed(url, { publicOnly: true }), (e) => isPrivateHostError(e));
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('OPML 가져오기: 내부 주소 피드는 요청하지 않고 blocked 로 보고', async () => {
+  const { importOpml } = require('../services/rss/opml');
+  let hits = 0;
+  const server = http.createServer((req, res) => { hits++; res.end('<rss version="2.0"><channel></channel></rss>'); }).listen(0);
+  const { port } = server.address();
+  const xml = `<?xml version="1.0"?><opml version="2.0"><body><outline text="tech">
+    <outline type="rss" text="a" xmlUrl="http://127.0.0.1:${port}/feed"/>
+    <outline type="rss" text="b" xmlUrl="http://localhost:${port}/rss"/>
+  </outline></body></opml>`;
+  try {
+    const data = await importOpml(xml, { dryRun: true });
+    assert.deepEqual(data.blocked.map(f => f.url).sort(), [`http://127.0.0.1:${port}/feed`, `http://localhost:${port}/rss`]);
+    assert.equal(data.unreachable.length, 0);
+    assert.equal(data.added.length, 0);
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
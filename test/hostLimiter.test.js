@@ -0,0 +1,32 @@
+// test/hostLimiter.test.js - 호스트별 대기 상한: 긴 crawl delay 뒤에서 요청이 쌓이지 않고 바로 실패
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HostLimiter } = require('../services/rss/hostLimiter');
+
+test('예상 대기가 maxWaitMs 를 넘으면 바로 EHOSTQUEUE', async () => {
+  const limiter = new HostLimiter({ rps: 100, burst: 10, concurrency: 2, overrides: {} });
+  const release = await limiter.acquire('slow.example', { minGapMs: 60_000, maxWaitMs: 1000 });
+  const started = Date.now();
+  await assert.rejects(limiter.acquire('slow.example', { minGapMs: 60_000, maxWaitMs: 1000 }), { code: 'EHOSTQUEUE' });
+  assert.ok(Date.now() - started < 100);
+  release();
+  assert.equal(limiter.getStats()['slow.example'].queued, 0);
+});
+
+test('상한 안에 슬롯을 못 얻으면 대기열에서 빠지고 EHOSTQUEUE, 다음 요청은 계속 처리', async () => {
+  const limiter = new HostLimiter({ rps: 100, burst: 10, concurrency: 1, overrides: {} });
+  const release = await limiter.acquire('busy.example', { maxWaitMs: 50 });
+  await assert.rejects(limiter.acquire('busy.example', { maxWaitMs: 50 }), { code: 'EHOSTQUEUE' });
+  assert.equal(limiter.getStats()['busy.example'].queued, 0);
+  release();
+  const next = await limiter.acquire('busy.example', { maxWaitMs: 50 });
+  next();
+});
+
+test('maxWaitMs 가 없으면 기존처럼 순서대로 대기', async () => {
+  const limiter = new HostLimiter({ rps: 100, burst: 10, concurrency: 1, overrides: {} });
+  const first = await limiter.acquire('a.example', { minGapMs: 30 });
+  const second = limiter.acquire('a.example', { minGapMs: 30 });
+  first();
+  (await second)();
+});
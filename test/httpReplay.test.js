@@ -0,0 +1,24 @@
+// test/httpReplay.test.js - 녹화 픽스처(fixtures/http) 재생: 녹화된 요청은 응답, 녹화 안 된 요청은 실패
+process.env.HTTP_FIXTURES = 'replay';
+delete process.env.HTTP_FIXTURES_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpClient } = require('../services/rss/httpClient');
+
+test('녹화된 요청은 네트워크 없이 픽스처로 응답', async () => {
+  const hn = createHttpClient({ baseURL: 'https://hn.algolia.com/api/v1', timeout: 1000 });
+  const { status, data } = await hn.get('/search', { params: { tags: 'front_page', hitsPerPage: 50 } });
+  assert.equal(status, 200);
+  assert.ok(data.hits.length > 0);
+});
+
+test('녹화된 연결 오류는 같은 오류로 재생', async () => {
+  const http = createHttpClient({ timeout: 1000 });
+  await assert.rejects(http.get('https://feeds.reuters.com/reuters/topNews'), { code: 'ENOTFOUND' });
+});
+
+test('녹화 안 된 요청은 EREPLAYMISS 로 실패', async () => {
+  const http = createHttpClient({ timeout: 1000 });
+  await assert.rejects(http.get('https://unrecorded.example.com/feed.xml'), { code: 'EREPLAYMISS' });
+});
@@ -0,0 +1,32 @@
+// test/ingestScheduler.test.js - 섹션 job 의 Retry-After 는 그 실패 직후 한 번만 적용
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IngestScheduler = require('../services/ingestScheduler');
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+test('섹션 job 이 성공하면 retryAfterMs 를 지우고 원래 간격으로', async () => {
+  let fail = true;
+  const newsService = {
+    getSections: () => ['world'],
+    getPlanVersion: () => 1,
+    planSection: () => [],
+    async composeSection() {
+      if (fail) { const e = new Error('HTTP 429'); e.retryAfterMs = 600_000; throw e; }
+      return { total: 3 };
+    },
+  };
+  const scheduler = new IngestScheduler({ newsService, logger: quietLogger, cadence: {}, sections: ['world'] });
+  scheduler._buildJobs();
+  const job = scheduler.jobs.get('section:world');
+
+  await scheduler.runJob(job);
+  assert.equal(job.retryAfterMs, 600_000);
+  assert.ok(job.nextRunAt - Date.now() > job.intervalSec * 1000);
+
+  fail = false;
+  await scheduler.runJob(job);
+  assert.equal(job.retryAfterMs, null);
+  assert.equal(job.lastCount, 3);
+  assert.ok(job.nextRunAt - Date.now() <= job.intervalSec * 1000);
+});
@@ -0,0 +1,32 @@
+// test/naverClient.test.js - 일일 한도 카운터를 여러 인스턴스가 나눠 쓰는지
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CacheService = require('../services/cacheService');
+const { NaverClient } = require('../services/sources/naverClient');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+test('같은 캐시를 쓰는 두 인스턴스의 호출 합이 한도(quota - reserve)를 넘지 않음', async () => {
+  const cache = new CacheService(); // REDIS_URL 없음 → 메모리
+  let calls = 0;
+  const http = { get: async () => { calls++; return { data: { items: [] } }; } };
+  const a = new NaverClient({ cache, http, dailyQuota: 10, reserve: 2, logger: quietLogger });
+  const b = new NaverClient({ cache, http, dailyQuota: 10, reserve: 2, logger: quietLogger });
+
+  const results = await Promise.allSettled(Array.from({ length: 12 }, (_, i) => (i % 2 ? a : b).searchNews('뉴스')));
+  assert.equal(calls, 8);
+  const rejected = results.filter(r => r.status === 'rejected');
+  assert.equal(rejected.length, 4);
+  assert.ok(rejected.every(r => r.reason.code === 'ERATELIMITED' && r.reason.retryAfterMs > 0));
+});
+
+test('getStatus().remaining 은 reserve 를 뺀 값', async () => {
+  const cache = new CacheService();
+  const http = { get: async () => ({ data: {} }) };
+  const client = new NaverClient({ cache, http, dailyQuota: 10, reserve: 2, logger: quietLogger });
+  await client.searchNews('a');
+  await client.searchNews('b');
+  const status = client.getStatus();
+  assert.equal(status.used, 2);
+  assert.equal(status.remaining, 6);
+});
@@ -0,0 +1,20 @@
+// test/pipelineReplay.test.js - 녹화 픽스처만으로 전체 섹션 파이프라인(_getFast → _getFull) 실행
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SECTIONS = ['world', 'tech', 'business', 'buzz', 'kr', 'japan'];
+
+test('pipeline --replay: 모든 섹션이 기사를 돌려줌', () => {
+  const env = { ...process.env };
+  for (const k of ['REDIS_URL', 'OPENAI_API_KEY', 'HTTP_FIXTURES', 'HTTP_FIXTURES_DIR', 'ARCHIVE_DB_PATH']) delete env[k];
+  const run = spawnSync(process.execPath, [path.join(__dirname, '../scripts/pipeline.js'), '--replay'], { env, encoding: 'utf8', timeout: 120_000 });
+  assert.equal(run.status, 0, run.stderr || run.stdout);
+  for (const section of SECTIONS) {
+    const line = run.stdout.split('\n').find(l => l.startsWith(`${section} `));
+    assert.ok(line, `no result line for ${section}`);
+    const full = Number(/full=\s*(\d+)/.exec(line)[1]);
+    assert.ok(full > 0, `${section} returned no articles`);
+  }
+});
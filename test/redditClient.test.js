@@ -0,0 +1,36 @@
+// test/redditClient.test.js - 한도 소진 에러가 스케줄러가 읽는 retryAfterMs 를 갖는지
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RedditClient } = require('../services/sources/redditClient');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const tokenHttp = { post: async () => ({ data: { access_token: 'token', expires_in: 3600 } }) };
+
+test('429 의 Retry-After 와 이후 예산 소진 에러 모두 retryAfterMs 를 가짐', async () => {
+  const http = {
+    get: async () => {
+      const e = new Error('Too Many Requests');
+      e.response = { status: 429, headers: { 'retry-after': '30' } };
+      throw e;
+    },
+  };
+  const client = new RedditClient({ clientId: 'id', clientSecret: 'secret', http, tokenHttp, logger: quietLogger });
+
+  const first = await client.get('/r/news/hot').catch(e => e);
+  assert.equal(first.code, 'ERATELIMITED');
+  assert.ok(first.retryAfterMs > 25_000 && first.retryAfterMs <= 30_000);
+
+  const second = await client.get('/r/news/hot').catch(e => e);
+  assert.equal(second.code, 'ERATELIMITED');
+  assert.ok(second.retryAfterMs > 0 && second.retryAfterMs <= 30_000);
+  assert.equal(second.retryAt, first.retryAt);
+});
+
+test('X-Ratelimit 헤더로 예산이 바닥나면 리셋까지 남은 시간을 retryAfterMs 로', async () => {
+  const http = { get: async () => ({ data: {}, headers: { 'x-ratelimit-remaining': '2', 'x-ratelimit-reset': '120' } }) };
+  const client = new RedditClient({ clientId: 'id', clientSecret: 'secret', http, tokenHttp, logger: quietLogger });
+  await client.get('/r/news/hot');
+  const err = await client.get('/r/news/hot').catch(e => e);
+  assert.equal(err.code, 'ERATELIMITED');
+  assert.ok(err.retryAfterMs > 115_000 && err.retryAfterMs <= 120_000);
+});
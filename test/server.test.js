@@ -0,0 +1,75 @@
+// test/server.test.js - 서버 라우트: /api/:section 에 가려지지 않는지, 임의/내부 URL 을 대신 가져오지 않는지
+// 실제 server.js 를 띄움 (Redis/AI 키 없이, 상류 호출은 재생 모드라 네트워크 없음)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 20000 + (process.pid % 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+let server;
+
+test.before(async () => {
+  const env = { ...process.env, PORT: String(PORT), INGEST_SCHEDULER: 'false', ARCHIVE_DB_PATH: 'off', HTTP_FIXTURES: 'replay' };
+  for (const k of ['REDIS_URL', 'OPENAI_API_KEY', 'HTTP_FIXTURES_DIR']) delete env[k];
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], { env, stdio: 'ignore' });
+  for (let i = 0; i < 100; i++) {
+    try { if ((await fetch(`${BASE}/health`)).ok) return; } catch { /* 아직 기동 중 */ }
+    await new Promise(r => setTimeout(r, 100));
+  }
+  throw new Error('server did not start');
+});
+
+test.after(() => { server?.kill(); });
+
+test('/api/extract 는 섹션 라우트가 아니라 추출 라우트가 응답', async () => {
+  let res = await fetch(`${BASE}/api/extract`);
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /section and id/);
+
+  res = await fetch(`${BASE}/api/extract?section=world&id=unknown`);
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).error, 'Article not found');
+});
+
+test('/api/extract, /api/summarize 는 요청 본문의 URL 을 가져오지 않음', async () => {
+  let hits = 0;
+  const target = http.createServer((req, res) => { hits++; res.end('<html><body><p>secret</p></body></html>'); }).listen(0);
+  const url = `http://127.0.0.1:${target.address().port}/internal`;
+  try {
+    const extract = await fetch(`${BASE}/api/extract?url=${encodeURIComponent(url)}`);
+    assert.equal(extract.status, 400);
+
+    const summarize = await fetch(`${BASE}/api/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, text: 'fallback text' }),
+    });
+    const body = await summarize.json();
+    assert.equal(body.data.basedOn, 'text');
+    assert.equal(body.data.extraction, null);
+    assert.equal(hits, 0);
+  } finally {
+    target.close();
+  }
+});
+
+test('/api/image 는 섹션 라우트가 아니라 og:image 라우트가 응답, 알려진 기사만 조회', async () => {
+  let res = await fetch(`${BASE}/api/image`);
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /section and id/);
+
+  res = await fetch(`${BASE}/api/image?section=world&id=unknown`);
+  assert.equal(res.status, 404);
+
+  let hits = 0;
+  const target = http.createServer((req, res) => { hits++; res.end('<meta property="og:image" content="/a.png">'); }).listen(0);
+  try {
+    res = await fetch(`${BASE}/api/image?url=${encodeURIComponent(`http://127.0.0.1:${target.address().port}/post`)}`);
+    assert.equal(res.status, 400);
+    assert.equal(hits, 0);
+  } finally {
+    target.close();
+  }
+});
@@ -0,0 +1,76 @@
+// test/socialSignals.test.js - mock 공급자로 게시물↔기사 매칭과 언급 속도 계산 확인
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMatcher, urlKey } = require('../services/signals/matcher');
+const { SocialSignals, velocityScore, PROVIDERS } = require('../services/signals');
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const passThroughHealth = { run: (key, fn) => fn() };
+
+const articles = [
+  { id: 'a', title: 'Central bank raises interest rates again', link: 'https://www.example.com/economy/rates/?utm_source=rss' },
+  { id: 'b', title: '서울 도심 대규모 정전 사태 발생', link: 'https://news.example.kr/article/42' },
+  { id: 'c', title: 'Short title', link: 'https://example.org/short' },
+];
+
+test('matcher: URL 은 스킴/www/쿼리/끝 슬래시를 무시하고 매칭', () => {
+  assert.equal(urlKey('http://www.Example.com/economy/rates/?x=1#top'), 'example.com/economy/rates');
+  const match = createMatcher(articles);
+  assert.deepEqual(match({ text: 'look', urls: ['https://example.com/economy/rates'] }), [0]);
+  assert.deepEqual(match({ text: 'nothing here', urls: ['https://other.example/x'] }), []);
+});
+
+test('matcher: URL 이 없으면 제목 토큰 포함률로 매칭 (한국어 2-gram 포함), 짧은 제목은 제외', () => {
+  const match = createMatcher(articles);
+  assert.deepEqual(match({ text: 'BREAKING: central bank raises interest rates again!', urls: [] }), [0]);
+  assert.deepEqual(match({ text: '속보 서울 도심 대규모 정전 사태 발생했다', urls: [] }), [1]);
+  assert.deepEqual(match({ text: 'interest in central topics', urls: [] }), []);
+  assert.deepEqual(match({ text: 'short title', urls: [] }), []);
+});
+
+test('mock 공급자 게시물로 언급 수, 최근 60분 기준 속도, 참여 합계 계산', async (t) => {
+  const now = Date.now();
+  const minutesAgo = (m) => new Date(now - m * 60_000).toISOString();
+  const posts = [
+    { id: 'p1', text: 'rates', urls: ['https://example.com/economy/rates?ref=x'], createdAt: minutesAgo(5), engagement: 10 },
+    { id: 'p2', text: 'rates', urls: ['http://www.example.com/economy/rates/'], createdAt: minutesAgo(20), engagement: 5 },
+    { id: 'p3', text: 'rates', urls: ['https://example.com/economy/rates'], createdAt: minutesAgo(50), engagement: 1 },
+    { id: 'p4', text: 'rates', urls: ['https://example.com/economy/rates'], createdAt: minutesAgo(120), engagement: 4 },
+    { id: 'p5', text: '서울 도심 대규모 정전 사태 발생 영상', urls: [], createdAt: minutesAgo(10), engagement: 2 },
+    { id: 'p6', text: '서울 도심 대규모 정전 사태 발생', urls: [], createdAt: minutesAgo(90), engagement: 0 },
+    { id: 'p7', text: 'old', urls: ['https://example.com/economy/rates'], createdAt: minutesAgo(400), engagement: 100 }, // 조회 범위 밖
+  ];
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'social-')), 'posts.json');
+  fs.writeFileSync(file, JSON.stringify(posts));
+  process.env.SOCIAL_MOCK_FILE = file;
+  t.after(() => { delete process.env.SOCIAL_MOCK_FILE; fs.rmSync(path.dirname(file), { recursive: true, force: true }); });
+
+  const signals = new SocialSignals({ provider: PROVIDERS.mock, health: passThroughHealth, logger: quietLogger });
+  const [a, b, c] = await signals.attach('world', articles);
+
+  assert.equal(a.social.mentions, 4);
+  assert.equal(a.social.velocity, 3); // 최근 60분 3건 → 시간당 3
+  assert.equal(a.social.engagement, 20);
+  assert.equal(a.social.lastMentionAt, minutesAgo(5));
+  assert.equal(a.social.provider, 'mock');
+  assert.equal(b.social.mentions, 2);
+  assert.equal(b.social.velocity, 1);
+  assert.equal(c.social, undefined);
+
+  assert.equal(velocityScore(a.social), 0.1);
+  assert.equal(velocityScore({ velocity: 90 }), 1);
+  assert.equal(velocityScore(undefined), 0);
+});
+
+test('mock 합성 모드는 같은 입력에 같은 결과', async () => {
+  delete process.env.SOCIAL_MOCK_FILE;
+  const signals = new SocialSignals({ provider: PROVIDERS.mock, health: passThroughHealth, logger: quietLogger });
+  const many = Array.from({ length: 12 }, (_, i) => ({ id: `n${i}`, title: `Headline number ${i} about markets`, link: `https://example.net/story/${i}` }));
+  const first = await signals.attach('world', many);
+  const second = await signals.attach('world', many);
+  assert.deepEqual(first.map(it => it.social?.mentions), second.map(it => it.social?.mentions));
+  assert.ok(first.some(it => it.social));
+});
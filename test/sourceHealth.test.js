@@ -0,0 +1,57 @@
+// test/sourceHealth.test.js - 서킷 브레이커: 여러 인스턴스(같은 캐시를 쓰는 SourceHealth 여럿)가 같은 판단
+process.env.SOURCE_BREAKER_THRESHOLD = '3';
+process.env.SOURCE_BREAKER_COOLDOWN_MS = '40';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CacheService = require('../services/cacheService');
+const { SourceHealth } = require('../services/sources/health');
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function instances(n) {
+  const redisUrl = process.env.REDIS_URL;
+  delete process.env.REDIS_URL;
+  const cache = new CacheService();
+  if (redisUrl !== undefined) process.env.REDIS_URL = redisUrl;
+  return Array.from({ length: n }, () => new SourceHealth({ cache, logger: quietLogger, prefix: 'test-health:' }));
+}
+
+test('동시에 임계치를 넘겨도 open 전환(trip)은 한 번', async () => {
+  const [a, b, c] = instances(3);
+  await Promise.all([a, b, c, a, b, c].map(h => h.recordFailure('src', 10, new Error('boom'))));
+  const state = await a.getState('src');
+  assert.equal(state.consecutiveFailures, 6);
+  assert.equal(state.trips, 1);
+  assert.equal(state.circuit, 'open');
+  assert.equal(await b.allow('src'), false);
+});
+
+test('쿨다운 후 half-open 탐침은 모든 인스턴스를 통틀어 하나, 실패하면 다시 open', async () => {
+  const [a, b, c] = instances(3);
+  for (let i = 0; i < 3; i++) await a.recordFailure('src', 10, new Error('boom'));
+  await sleep(60);
+  const allowed = await Promise.all([a, b, c].map(h => h.allow('src')));
+  assert.deepEqual(allowed.filter(v => v === 'probe').length, 1);
+  assert.deepEqual(allowed.filter(v => v === false).length, 2);
+
+  await b.recordFailure('src', 10, new Error('still down'), { probe: true });
+  const state = await c.getState('src');
+  assert.equal(state.circuit, 'open');
+  assert.equal(state.trips, 2);
+});
+
+test('탐침 성공이면 모든 인스턴스에서 closed, 연속 실패 초기화', async () => {
+  const [a, b] = instances(2);
+  for (let i = 0; i < 3; i++) await a.recordFailure('src', 10, new Error('boom'));
+  await sleep(60);
+  await assert.rejects(b.run('src', async () => { throw new Error('x'); })); // 탐침 실패 → 다시 open
+  await sleep(100);
+  assert.equal(await a.run('src', async () => 'ok'), 'ok'); // 탐침 성공
+  await sleep(10);
+  const state = await b.getState('src');
+  assert.equal(state.circuit, 'closed');
+  assert.equal(state.consecutiveFailures, 0);
+  assert.equal(state.trips, 0);
+  assert.equal(await b.allow('src'), true);
+});
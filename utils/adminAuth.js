@@ -0,0 +1,41 @@
+// utils/adminAuth.js - /api/admin/* 보호 미들웨어
+// - ADMIN_TOKEN 과 같은 토큰을 X-Admin-Token 또는 Authorization: Bearer 헤더로 보내야 통과
+// - ADMIN_TOKEN 이 없으면 관리 API 전체를 막음 (503) - 설정을 잊어도 열려 있지 않도록
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+function tokenFrom(req) {
+  const header = req.get('x-admin-token');
+  if (header) return header;
+  const m = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * @param {{ token?: string }} [opts] 기본값은 process.env.ADMIN_TOKEN (요청마다 읽음)
+ */
+function requireAdmin(opts = {}) {
+  return (req, res, next) => {
+    const expected = opts.token ?? process.env.ADMIN_TOKEN;
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin API is disabled (ADMIN_TOKEN is not set)'
+      });
+    }
+    const given = tokenFrom(req);
+    // 길이 차이로 새지 않도록 해시끼리 고정 시간 비교
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(expected))) {
+      logger.warn(`Rejected admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Admin token required'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAdmin };